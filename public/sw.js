@@ -0,0 +1,188 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker
+ *
+ * Offline: the app shell (index.html, manifest, icons), the hashed build files
+ * listed in asset-manifest.json and the Tailwind CDN script are cached on
+ * install, and every page is served from the shell, so the app opens without
+ * a network after the first visit. Build files loaded later (lazy chunks) are
+ * cached the first time they load.
+ *
+ * Updates: the shell is only replaced when the app asks ({ type:
+ * "check-update" }). If the freshly fetched index.html differs from the cached
+ * one it becomes the new shell and the app is told { type: "update-available" }
+ * so it can offer a reload. Bump VERSION when this file changes in a way that
+ * needs the caches rebuilt.
+ *
+ * Notifications: a click on an action is routed back to the app: an open tab
+ * gets a { type: "notification-action", action } message, otherwise a new tab
+ * opens with ?action=<action> (see src/lib/serviceWorker and notifications).
+ */
+
+const VERSION = 2;
+const SHELL_CACHE = `pomodoro-shell-v${VERSION}`;
+const ASSET_CACHE = `pomodoro-assets-v${VERSION}`;
+const MAX_ASSETS = 60; // oldest cached build files are dropped past this
+
+const SHELL = ["./", "manifest.json", "logo192.png", "logo512.png", "assets/icon.png"];
+const SHELL_URL = new URL("./", self.registration.scope).href;
+const TAILWIND_ORIGIN = "https://cdn.tailwindcss.com";
+
+// The page loaded these before the worker controlled it, so they have to be
+// fetched again here
+async function precacheAssets() {
+  const cache = await caches.open(ASSET_CACHE);
+  const manifest = await fetch("asset-manifest.json", { cache: "reload" });
+  if (manifest.ok) {
+    const { files = {} } = await manifest.json();
+    const paths = Object.values(files).filter(
+      (path) => path.includes("/static/") && !path.endsWith(".map")
+    );
+    await cache.addAll(paths.map((path) => new Request(path, { cache: "reload" })));
+  }
+  // Cross-origin without CORS, like the page's <script>: the response is
+  // opaque, which addAll refuses but put stores. An unreachable CDN does not
+  // stop the install; the fetch handler caches the script once it loads.
+  const tailwind = new Request(TAILWIND_ORIGIN, { mode: "no-cors" });
+  try {
+    await cache.put(tailwind, await fetch(tailwind));
+  } catch {}
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL.map((path) => new Request(path, { cache: "reload" }))))
+      .then(precacheAssets)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE && key !== ASSET_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// -------------------- Fetch --------------------
+async function fromShell(request) {
+  const cached = await caches.match(SHELL_URL);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(SHELL_CACHE)).put(SHELL_URL, response.clone());
+  return response;
+}
+
+async function trimAssets(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, keys.length - MAX_ASSETS).map((key) => cache.delete(key)));
+}
+
+// Build files never change under the same name
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.put(request, response.clone());
+    trimAssets(cache);
+  }
+  return response;
+}
+
+// Answer from the cache, refresh it in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await cache.match(event.request);
+  const fresh = fetch(event.request).then((response) => {
+    if (response.ok || response.type === "opaque") cache.put(event.request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(fresh.catch(() => {}));
+    return cached;
+  }
+  return fresh;
+}
+
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (request.mode === "navigate" && url.href.startsWith(self.registration.scope)) {
+    event.respondWith(fromShell(request));
+  } else if (url.origin === TAILWIND_ORIGIN) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (url.origin === self.location.origin) {
+    const isBuildFile = url.href.startsWith(new URL("static/", self.registration.scope).href);
+    event.respondWith(isBuildFile ? cacheFirst(request) : networkFirst(request));
+  }
+});
+
+// -------------------- Updates --------------------
+// True when a different index.html was deployed; it becomes the shell
+async function checkUpdate() {
+  const response = await fetch(SHELL_URL, { cache: "no-store" });
+  if (!response.ok) return false;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(SHELL_URL);
+  const [fresh, current] = await Promise.all([
+    response.clone().text(),
+    cached ? cached.text() : null,
+  ]);
+  if (fresh === current) return false;
+  await cache.put(SHELL_URL, response);
+  return current !== null;
+}
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "check-update") return;
+  event.waitUntil(
+    checkUpdate()
+      .then((updated) => {
+        if (updated) event.source?.postMessage({ type: "update-available" });
+      })
+      .catch(() => {}) // offline: try again next time
+  );
+});
+
+// -------------------- Notifications --------------------
+self.addEventListener("notificationclick", (event) => {
+  const action = event.action || "open";
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clients) => {
+        const client = clients.find((c) => "focus" in c);
+        if (client) {
+          client.postMessage({ type: "notification-action", action });
+          return client.focus();
+        }
+        const url = new URL(self.registration.scope);
+        if (action !== "open") url.searchParams.set("action", action);
+        return self.clients.openWindow(url.href);
+      })
+  );
+});
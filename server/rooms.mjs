@@ -0,0 +1,216 @@
+/**
+ * Focus rooms
+ *
+ * A room is a group of people running one timer together. The host's app runs
+ * the timer and sends its state; the server keeps the latest one and passes it
+ * on, so people joining late start in step. Everyone sends their name and the
+ * task they are on for the member list.
+ *
+ * Messages are JSON text (see server/webSocket):
+ *   client → server
+ *     { type: "profile", name, task }   who I am and what I am working on
+ *     { type: "timer", timer }          the timer, from the host only (see
+ *                                       cleanTimer for its fields)
+ *     { type: "claim-host" }            ask the host for the timer; taken
+ *                                       right away when nobody hosts
+ *     { type: "hand-over", to }         the host gives the timer to member `to`
+ *   server → client
+ *     { type: "welcome", id }           your member id, sent first
+ *     { type: "timer", timer, age }     the latest timer (null before any)
+ *                                       and how many ms ago the host sent it,
+ *                                       so clocks need not agree
+ *     { type: "members", hostId, members: [{ id, name, task }] }
+ *     { type: "host-request", from }    to the host: member `from` asks for
+ *                                       the timer
+ *
+ * There is one host at a time. The first member hosts; the host can hand the
+ * timer to someone else, and when the host leaves, the member who has been in
+ * the room longest takes over. An empty room keeps its timer for ROOM_TTL_MS
+ * so a reload does not lose it.
+ */
+
+export const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+export const ROOM_TTL_MS = 10 * 60 * 1000;
+
+const MAX_NAME_LENGTH = 40;
+const MAX_TASK_LENGTH = 120;
+
+const MAX_LABEL_LENGTH = 40;
+const MAX_BLOCK_MS = 24 * 60 * 60 * 1000;
+const MAX_LIST_LENGTH = 100;
+const MODES = ["focus", "short", "long"];
+
+const clip = (value, max) => (typeof value === "string" ? value.trim().slice(0, max) : "");
+
+// -------------------- Timer --------------------
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isSpan = (v) => Number.isFinite(v) && v >= 0 && v <= MAX_BLOCK_MS;
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// A list of objects cleaned by `clean`, or undefined when it is not one
+function cleanList(list, clean) {
+  if (!Array.isArray(list) || list.length > MAX_LIST_LENGTH) return undefined;
+  const out = list.map((item) => (isObject(item) ? clean(item) : null));
+  return out.every(Boolean) ? out : undefined;
+}
+
+// The finished block's history entry, which members record as their own
+function cleanSession(session) {
+  if (!isObject(session)) return null;
+  const { id, date, mode, seconds, planned } = session;
+  if (typeof id !== "string" || !id || id.length > 100) return null;
+  if (typeof date !== "string" || Number.isNaN(Date.parse(date))) return null;
+  if (!MODES.includes(mode) || !isSpan(seconds * 1000) || !isSpan(planned * 1000)) return null;
+  const pauses = cleanList(session.pauses, (p) =>
+    typeof p.at === "string" && isSpan(p.seconds * 1000)
+      ? { at: p.at, seconds: p.seconds, reason: clip(p.reason, MAX_LABEL_LENGTH) || null }
+      : null
+  );
+  const extensions = cleanList(session.extensions, (e) =>
+    typeof e.at === "string" && Number.isFinite(e.seconds) ? { at: e.at, seconds: e.seconds } : null
+  );
+  return {
+    id,
+    date,
+    mode,
+    label: clip(session.label, MAX_LABEL_LENGTH),
+    seconds,
+    planned,
+    skipped: session.skipped === true,
+    taskId: null,
+    ...(pauses?.length && { pauses }),
+    ...(extensions?.length && { extensions }),
+    ...(session.snooze === true && { snooze: true }),
+    ...(session.voided === true && { voided: true }),
+  };
+}
+
+/**
+ * The host's timer with only the fields apps use, or null when it is not a
+ * timer. A running block travels as the milliseconds it has left
+ * (`remainingMs`) rather than an end timestamp, so it works across clocks;
+ * `isRunning` false means paused or not started.
+ */
+export function cleanTimer(timer) {
+  if (!isObject(timer)) return null;
+  const { mode, isRunning, remainingMs, remaining, planned } = timer;
+  if (!MODES.includes(mode) || typeof isRunning !== "boolean") return null;
+  if (!isSpan(remainingMs) || !isSpan(remaining * 1000) || !isSpan(planned * 1000)) return null;
+  const ended = timer.ended;
+  if (ended != null && !(isObject(ended) && MODES.includes(ended.mode))) return null;
+  return {
+    mode,
+    label: clip(timer.label, MAX_LABEL_LENGTH),
+    color: /^#[0-9a-f]{3,8}$/i.test(timer.color) ? timer.color : null,
+    isRunning,
+    remaining,
+    remainingMs,
+    planned,
+    stepIndex: isCount(timer.stepIndex) ? timer.stepIndex : 0,
+    rep: isCount(timer.rep) ? timer.rep : 0,
+    completedFocusBlocks: isCount(timer.completedFocusBlocks) ? timer.completedFocusBlocks : 0,
+    ended: ended
+      ? {
+          id: clip(ended.id, 100),
+          mode: ended.mode,
+          label: clip(ended.label, MAX_LABEL_LENGTH),
+          skipped: ended.skipped === true,
+          voided: ended.voided === true,
+          session: cleanSession(ended.session),
+        }
+      : null,
+  };
+}
+
+// -------------------- Rooms --------------------
+function parse(raw) {
+  try {
+    const message = JSON.parse(raw);
+    return message && typeof message === "object" ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createRooms({ ttl = ROOM_TTL_MS } = {}) {
+  const rooms = new Map();
+  let lastId = 0;
+
+  const roomOf = (roomId) => {
+    let room = rooms.get(roomId);
+    if (!room)
+      rooms.set(roomId, (room = { members: new Map(), hostId: null, timer: null, timerAt: 0 }));
+    clearTimeout(room.expiry);
+    return room;
+  };
+
+  return {
+    /**
+     * Add connection `conn` (an emitter of "message" and "close" with
+     * send(text)) to room `roomId`; returns the member id.
+     */
+    join(roomId, conn) {
+      const room = roomOf(roomId);
+      const id = String(++lastId);
+      const member = { id, name: "Guest", task: "", conn };
+      room.members.set(id, member);
+      if (!room.hostId) room.hostId = id;
+
+      const send = (to, message) => to.conn.send(JSON.stringify(message));
+      const others = (message) =>
+        room.members.forEach((m) => m.id !== id && send(m, message));
+      const announce = () => {
+        const members = [...room.members.values()].map(({ id, name, task }) => ({
+          id,
+          name,
+          task,
+        }));
+        room.members.forEach((m) => send(m, { type: "members", hostId: room.hostId, members }));
+      };
+
+      send(member, { type: "welcome", id });
+      send(member, {
+        type: "timer",
+        timer: room.timer,
+        age: room.timer ? Date.now() - room.timerAt : 0,
+      });
+      announce();
+
+      conn.on("message", (raw) => {
+        const message = parse(raw);
+        if (message?.type === "profile") {
+          member.name = clip(message.name, MAX_NAME_LENGTH) || "Guest";
+          member.task = clip(message.task, MAX_TASK_LENGTH);
+          announce();
+        } else if (message?.type === "timer" && room.hostId === id) {
+          const timer = cleanTimer(message.timer);
+          if (!timer) return;
+          room.timer = timer;
+          room.timerAt = Date.now();
+          others({ type: "timer", timer, age: 0 });
+        } else if (message?.type === "claim-host" && room.hostId !== id) {
+          const host = room.members.get(room.hostId);
+          if (host) return send(host, { type: "host-request", from: id });
+          room.hostId = id;
+          announce();
+        } else if (message?.type === "hand-over" && room.hostId === id) {
+          if (message.to === id || !room.members.has(message.to)) return;
+          room.hostId = message.to;
+          announce();
+        }
+      });
+
+      conn.on("close", () => {
+        room.members.delete(id);
+        if (room.hostId === id) room.hostId = room.members.keys().next().value ?? null;
+        if (room.members.size) return announce();
+        room.expiry = setTimeout(() => rooms.delete(roomId), ttl);
+        room.expiry.unref?.();
+      });
+      return id;
+    },
+
+    /** Ids of the rooms currently kept */
+    roomIds: () => [...rooms.keys()],
+  };
+}
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { cleanTimer, createRooms } from "./rooms.mjs";
+
+// A connection that keeps what the room sent it
+function fakeConnection() {
+  const conn = new EventEmitter();
+  conn.sent = [];
+  conn.send = (text) => conn.sent.push(JSON.parse(text));
+  conn.say = (message) => conn.emit("message", JSON.stringify(message));
+  conn.last = (type) => conn.sent.filter((m) => m.type === type).at(-1);
+  return conn;
+}
+
+// A timer as the host's app sends it (see src/lib/room publicTimer)
+const timer = (fields = {}) => ({
+  mode: "focus",
+  label: "Focus",
+  color: "#ef4444",
+  isRunning: true,
+  remaining: 1500,
+  remainingMs: 1_200_000,
+  planned: 1500,
+  stepIndex: 0,
+  rep: 0,
+  completedFocusBlocks: 0,
+  ended: null,
+  ...fields,
+});
+
+test("welcomes members, lists them and passes the host's timer on", () => {
+  const rooms = createRooms();
+  const host = fakeConnection();
+  const hostId = rooms.join("team", host);
+  assert.deepEqual(host.sent.slice(0, 2), [
+    { type: "welcome", id: hostId },
+    { type: "timer", timer: null, age: 0 },
+  ]);
+
+  host.say({ type: "profile", name: "  Ana ", task: "Write report" });
+  host.say({ type: "timer", timer: timer() });
+
+  const guest = fakeConnection();
+  const guestId = rooms.join("team", guest);
+  assert.deepEqual(guest.last("timer").timer, timer());
+  assert.deepEqual(guest.last("members"), {
+    type: "members",
+    hostId,
+    members: [
+      { id: hostId, name: "Ana", task: "Write report" },
+      { id: guestId, name: "Guest", task: "" },
+    ],
+  });
+
+  // Only the host's timer counts
+  guest.say({ type: "timer", timer: timer({ mode: "short" }) });
+  assert.deepEqual(host.last("timer"), { type: "timer", timer: null, age: 0 });
+  host.say({ type: "timer", timer: timer({ mode: "short" }) });
+  assert.equal(guest.last("timer").timer.mode, "short");
+  guest.say("not json");
+});
+
+test("the host hands the timer over; others can only ask for it", () => {
+  const rooms = createRooms();
+  const [a, b, c] = [fakeConnection(), fakeConnection(), fakeConnection()];
+  const aId = rooms.join("team", a);
+  const bId = rooms.join("team", b);
+  const cId = rooms.join("team", c);
+
+  c.say({ type: "claim-host" });
+  assert.equal(c.last("members").hostId, aId);
+  assert.deepEqual(a.last("host-request"), { type: "host-request", from: cId });
+  assert.equal(b.last("host-request"), undefined);
+
+  b.say({ type: "hand-over", to: bId }); // not the host
+  a.say({ type: "hand-over", to: "nobody" });
+  assert.equal(c.last("members").hostId, aId);
+  a.say({ type: "hand-over", to: cId });
+  assert.equal(b.last("members").hostId, cId);
+
+  c.emit("close");
+  assert.equal(b.last("members").hostId, aId);
+});
+
+test("passes on only the timer fields apps use", () => {
+  const session = {
+    id: "1-focus",
+    date: "2025-01-10T09:25:00.000Z",
+    mode: "focus",
+    label: "Focus",
+    seconds: 1500,
+    planned: 1500,
+    skipped: false,
+    taskId: "secret",
+  };
+  const ended = { id: "1-focus", mode: "focus", label: "Focus", session, html: "<b>" };
+  const cleaned = cleanTimer({ ...timer(), extra: "x", ended });
+  assert.equal(cleaned.extra, undefined);
+  assert.deepEqual(cleaned.ended, {
+    id: "1-focus",
+    mode: "focus",
+    label: "Focus",
+    skipped: false,
+    voided: false,
+    session: { ...session, taskId: null },
+  });
+  assert.equal(cleanTimer(timer({ mode: "nap" })), null);
+  assert.equal(cleanTimer(timer({ isRunning: "yes" })), null);
+  assert.equal(cleanTimer(timer({ remainingMs: -1 })), null);
+  assert.equal(cleanTimer(timer({ ended: { mode: "focus", session: "x" } })).ended.session, null);
+  assert.equal(cleanTimer(null), null);
+
+  const rooms = createRooms();
+  const [host, guest] = [fakeConnection(), fakeConnection()];
+  rooms.join("team", host);
+  rooms.join("team", guest);
+  host.say({ type: "timer", timer: { mode: "focus", endsAt: 5 } });
+  assert.equal(guest.last("timer").timer, null);
+});
+
+test("keeps an empty room for a while", async () => {
+  const rooms = createRooms({ ttl: 20 });
+  const conn = fakeConnection();
+  rooms.join("team", conn);
+  conn.say({ type: "timer", timer: timer() });
+  conn.emit("close");
+  assert.deepEqual(rooms.roomIds(), ["team"]);
+
+  const back = fakeConnection();
+  rooms.join("team", back);
+  assert.deepEqual(back.last("timer").timer, timer());
+  back.emit("close");
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.deepEqual(rooms.roomIds(), []);
+});
@@ -0,0 +1,191 @@
+/**
+ * Self-hosted sync server
+ *
+ *   npm run sync-server
+ *
+ * A small dependency-free Node HTTP server the app can sync tasks, settings
+ * and session history through (see src/lib/sync). Data is kept in a JSON
+ * file, written atomically a moment after every change. It also hosts the
+ * focus rooms (server/rooms), which live in memory only.
+ *
+ * Environment
+ *   PORT          port to listen on (8787)
+ *   SYNC_DATA     data file (./sync-data.json)
+ *   SYNC_TOKEN    when set, clients must send "Authorization: Bearer <token>"
+ *                 (rooms: a `token` query parameter)
+ *   SYNC_ORIGIN   allowed CORS and WebSocket origin (*)
+ *
+ * API
+ *   GET  /health                      { ok: true }
+ *   POST /api/spaces/<space>/sync     { since, changes } → { rev, changes }
+ *     Applies the client's `changes` (see server/syncStore) and answers with
+ *     every item changed after revision `since`, including the ones just
+ *     sent, and the revision to ask from next time.
+ *   WebSocket /rooms/<room>?token=…  join a focus room
+ */
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { SPACE_PATTERN, createStore } from "./syncStore.mjs";
+import { ROOM_PATTERN, createRooms } from "./rooms.mjs";
+import { acceptWebSocket } from "./webSocket.mjs";
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const SAVE_DELAY_MS = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// -------------------- Persistence --------------------
+export function loadStore(file) {
+  try {
+    return createStore(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return createStore();
+  }
+}
+
+function saver(file, store) {
+  let timer = null;
+  const save = () => {
+    timer = null;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store));
+    fs.renameSync(tmp, file);
+  };
+  return {
+    schedule() {
+      if (!timer) timer = setTimeout(save, SAVE_DELAY_MS);
+    },
+    flush() {
+      if (!timer) return;
+      clearTimeout(timer);
+      save();
+    },
+  };
+}
+
+// -------------------- HTTP --------------------
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "request too large"));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new HttpError(400, "invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function matches(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const authorized = (req, token) =>
+  !token || matches(req.headers.authorization || "", `Bearer ${token}`);
+
+export function createSyncServer({
+  store,
+  rooms = createRooms(),
+  token = "",
+  origin = "*",
+  onChange = () => {},
+}) {
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Headers": "Authorization, Content-Type",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method === "GET" && pathname === "/health") return send(res, 200, { ok: true });
+
+    const match = pathname.match(/^\/api\/spaces\/([^/]+)\/sync$/);
+    if (!match || req.method !== "POST") throw new HttpError(404, "not found");
+    if (!authorized(req, token)) throw new HttpError(401, "missing or wrong token");
+    const space = decodeURIComponent(match[1]);
+    if (!SPACE_PATTERN.test(space)) throw new HttpError(400, "invalid space name");
+
+    const { since = 0, changes = [] } = await readJson(req);
+    if (!Array.isArray(changes) || !Number.isFinite(since))
+      throw new HttpError(400, "expected { since, changes }");
+    try {
+      if (store.apply(space, changes)) onChange();
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+    send(res, 200, store.since(space, since));
+  }
+
+  // Browsers cannot set headers on a WebSocket, so the token is in the URL
+  function upgrade(req, socket) {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/rooms\/([^/]+)$/);
+    const refuse = (status) => socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    if (!match || !ROOM_PATTERN.test(match[1])) return refuse("404 Not Found");
+    if (token && !matches(url.searchParams.get("token") || "", token))
+      return refuse("401 Unauthorized");
+    if (origin !== "*" && req.headers.origin !== origin) return refuse("403 Forbidden");
+    const conn = acceptWebSocket(req, socket);
+    if (conn) rooms.join(match[1], conn);
+  }
+
+  const server = http.createServer((req, res) =>
+    handle(req, res).catch((e) => {
+      if (!(e instanceof HttpError)) console.error(e);
+      send(res, e.status || 500, { error: e.status ? e.message : "internal error" });
+    })
+  );
+  server.on("upgrade", upgrade);
+  return server;
+}
+
+// -------------------- CLI --------------------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787;
+  const file = path.resolve(process.env.SYNC_DATA || "sync-data.json");
+  const store = loadStore(file);
+  const persist = saver(file, store);
+  const server = createSyncServer({
+    store,
+    token: process.env.SYNC_TOKEN || "",
+    origin: process.env.SYNC_ORIGIN || "*",
+    onChange: persist.schedule,
+  });
+  server.listen(port, () => {
+    console.log(`Pomodoro sync server on http://localhost:${port} (data: ${file})`);
+    if (!process.env.SYNC_TOKEN) console.log("No SYNC_TOKEN set: anyone who can reach it can sync.");
+  });
+  const stop = () => {
+    persist.flush();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { createSyncServer } from "./syncServer.mjs";
+import { createStore } from "./syncStore.mjs";
+import { decodeFrames } from "./webSocket.mjs";
+
+async function withServer(options, run) {
+  const server = createSyncServer({ store: createStore(), ...options });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+  try {
+    await run(base);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const sync = (base, body, headers = {}) =>
+  fetch(`${base}/api/spaces/team/sync`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+test("applies changes and answers with everything after `since`", async () => {
+  await withServer({}, async (base) => {
+    const change = { collection: "tasks", id: "a", data: { id: "a" }, updatedAt: 1 };
+    const first = await (await sync(base, { since: 0, changes: [change] })).json();
+    assert.equal(first.rev, 1);
+    assert.equal(first.changes.length, 1);
+
+    const again = await (await sync(base, { since: first.rev, changes: [] })).json();
+    assert.deepEqual(again, { rev: 1, changes: [] });
+  });
+});
+
+test("checks the token, the space name and the body", async () => {
+  await withServer({ token: "s3cret" }, async (base) => {
+    assert.equal((await sync(base, { since: 0 })).status, 401);
+    const auth = { Authorization: "Bearer s3cret" };
+    assert.equal((await sync(base, { since: 0 }, auth)).status, 200);
+    assert.equal((await sync(base, { since: 0, changes: [{}] }, auth)).status, 400);
+    const bad = await fetch(`${base}/api/spaces/no%20spaces/sync`, { method: "POST", headers: auth });
+    assert.equal(bad.status, 400);
+    assert.equal((await fetch(`${base}/health`)).status, 200);
+    const preflight = await fetch(`${base}/api/spaces/team/sync`, { method: "OPTIONS" });
+    assert.equal(preflight.headers.get("access-control-allow-origin"), "*");
+  });
+});
+
+// Open a room socket by hand (Node 20 has no WebSocket client); resolves with
+// the HTTP status and, once upgraded, the first message
+function openRoom(base, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${base}${path}`, {
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+        "Sec-WebSocket-Version": "13",
+      },
+    });
+    req.on("response", (res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    req.on("upgrade", (res, socket, head) => {
+      const read = (chunk) => {
+        const [frame] = decodeFrames(chunk).frames;
+        socket.destroy();
+        resolve({ status: res.statusCode, message: JSON.parse(frame.payload.toString()) });
+      };
+      if (head.length) read(head);
+      else socket.once("data", read);
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("opens focus rooms over WebSocket with the token", async () => {
+  await withServer({ token: "s3cret" }, async (base) => {
+    assert.equal((await openRoom(base, "/rooms/team")).status, 401);
+    assert.equal((await openRoom(base, "/rooms/no%20spaces?token=s3cret")).status, 404);
+    const joined = await openRoom(base, "/rooms/team?token=s3cret");
+    assert.equal(joined.status, 101);
+    assert.equal(joined.message.type, "welcome");
+  });
+});
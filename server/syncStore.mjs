@@ -0,0 +1,82 @@
+/**
+ * Sync store
+ *
+ * Keeps the synced data of every space (one person or team sharing data) as
+ * the latest version of each item plus a revision counter:
+ *
+ *   { spaces: { <space>: { rev, items: { "<collection>/<id>": Entry } } } }
+ *   Entry = { collection, id, data, updatedAt, deleted, rev }
+ *
+ * Clients send changes stamped with the time they were made (`updatedAt`,
+ * epoch ms); the newer one wins per item (last writer wins), and a deletion
+ * stays as a tombstone so other devices learn about it. Every accepted change
+ * gets the next revision, so a client asks for "everything after the revision
+ * I last saw" and receives each changed item once, in its latest version.
+ */
+
+export const COLLECTIONS = ["tasks", "settings", "sessions"];
+
+export const SPACE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MAX_ID_LENGTH = 200;
+
+// A change a client may send; anything else is rejected
+export function isValidChange(change) {
+  return (
+    !!change &&
+    typeof change === "object" &&
+    COLLECTIONS.includes(change.collection) &&
+    typeof change.id === "string" &&
+    change.id.length > 0 &&
+    change.id.length <= MAX_ID_LENGTH &&
+    Number.isFinite(change.updatedAt) &&
+    (change.deleted === true || (typeof change.data === "object" && change.data !== null))
+  );
+}
+
+export function createStore(snapshot = {}) {
+  // No prototype, so names like "constructor" are spaces like any other
+  const spaces = Object.assign(Object.create(null), snapshot.spaces);
+
+  const spaceOf = (name) => (spaces[name] ||= { rev: 0, items: {} });
+
+  return {
+    /**
+     * Apply `changes` to `space`; returns how many won over what was stored.
+     * Throws on an invalid change before applying any.
+     */
+    apply(space, changes) {
+      if (!changes.every(isValidChange)) throw new Error("invalid change");
+      const s = spaceOf(space);
+      let accepted = 0;
+      changes.forEach(({ collection, id, data, updatedAt, deleted }) => {
+        const key = `${collection}/${id}`;
+        const current = s.items[key];
+        if (current && current.updatedAt > updatedAt) return;
+        s.rev += 1;
+        s.items[key] = {
+          collection,
+          id,
+          data: deleted ? null : data,
+          updatedAt,
+          deleted: !!deleted,
+          rev: s.rev,
+        };
+        accepted += 1;
+      });
+      return accepted;
+    },
+
+    /** Items of `space` changed after revision `rev`, oldest first */
+    since(space, rev = 0) {
+      const s = spaces[space];
+      if (!s) return { rev: 0, changes: [] };
+      const changes = Object.values(s.items)
+        .filter((entry) => entry.rev > rev)
+        .sort((a, b) => a.rev - b.rev);
+      return { rev: s.rev, changes };
+    },
+
+    toJSON: () => ({ spaces }),
+  };
+}
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStore, isValidChange } from "./syncStore.mjs";
+
+const task = (id, title, updatedAt) => ({
+  collection: "tasks",
+  id,
+  data: { id, title },
+  updatedAt,
+});
+
+test("returns the latest version of every item changed since a revision", () => {
+  const store = createStore();
+  store.apply("team", [task("a", "One", 1), task("b", "Two", 1)]);
+  const { rev } = store.since("team");
+  store.apply("team", [task("a", "One!", 2)]);
+
+  const { changes } = store.since("team", rev);
+  assert.deepEqual(
+    changes.map((c) => [c.id, c.data.title]),
+    [["a", "One!"]]
+  );
+  assert.equal(store.since("team").changes.length, 2);
+  assert.deepEqual(store.since("other"), { rev: 0, changes: [] });
+});
+
+test("the newer change wins and deletions stay as tombstones", () => {
+  const store = createStore();
+  store.apply("team", [task("a", "New", 10)]);
+  assert.equal(store.apply("team", [task("a", "Old", 5)]), 0);
+  assert.equal(store.since("team").changes[0].data.title, "New");
+
+  store.apply("team", [{ collection: "tasks", id: "a", deleted: true, updatedAt: 11 }]);
+  const [entry] = store.since("team").changes;
+  assert.equal(entry.deleted, true);
+  assert.equal(entry.data, null);
+});
+
+test("rejects invalid changes without applying any", () => {
+  const store = createStore();
+  assert.equal(isValidChange({ collection: "secrets", id: "x", data: {}, updatedAt: 1 }), false);
+  assert.equal(isValidChange({ collection: "tasks", id: "x", updatedAt: 1 }), false);
+  assert.throws(() => store.apply("team", [task("a", "Ok", 1), { collection: "tasks" }]));
+  assert.equal(store.since("team").rev, 0);
+});
+
+test("survives a round trip through JSON", () => {
+  const store = createStore();
+  store.apply("team", [task("a", "One", 1)]);
+  const copy = createStore(JSON.parse(JSON.stringify(store)));
+  assert.deepEqual(copy.since("team"), store.since("team"));
+});
+
+test("space names that match Object properties are ordinary spaces", () => {
+  const store = createStore(JSON.parse('{"spaces":{"__proto__":{"rev":1,"items":{}}}}'));
+  assert.deepEqual(store.since("constructor"), { rev: 0, changes: [] });
+  assert.equal(store.since("__proto__").rev, 1);
+  store.apply("toString", [task("a", "One", 1)]);
+  assert.equal(store.since("toString").changes.length, 1);
+  const reloaded = createStore(JSON.parse(JSON.stringify(store)));
+  assert.deepEqual(Object.keys(reloaded.toJSON().spaces).sort(), ["__proto__", "toString"]);
+});
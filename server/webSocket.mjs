@@ -0,0 +1,161 @@
+/**
+ * Minimal WebSocket (RFC 6455) server side
+ *
+ * Just what the focus rooms need, without a dependency: the opening
+ * handshake, text messages (fragmented or not), ping/pong and close. Binary
+ * messages and extensions are not supported; a peer sending one is closed.
+ */
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const PING_INTERVAL_MS = 30 * 1000;
+
+const OP = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// -------------------- Frames --------------------
+/** An unmasked frame (servers never mask) */
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split `buffer` into complete frames; returns { frames, rest } where `rest`
+ * is the start of a frame still being received. Throws on frames larger than
+ * MAX_MESSAGE_BYTES.
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  for (;;) {
+    if (buffer.length - offset < 2) break;
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let at = offset + 2;
+    if (length === 126) {
+      if (buffer.length - at < 2) break;
+      length = buffer.readUInt16BE(at);
+      at += 2;
+    } else if (length === 127) {
+      if (buffer.length - at < 8) break;
+      const big = buffer.readBigUInt64BE(at);
+      if (big > BigInt(MAX_MESSAGE_BYTES)) throw new Error("frame too large");
+      length = Number(big);
+      at += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new Error("frame too large");
+    const masked = (second & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(at, at + 4) : null;
+    if (masked) at += 4;
+    if (buffer.length < at + length) break;
+    const payload = Buffer.from(buffer.subarray(at, at + length));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, masked, payload });
+    offset = at + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// -------------------- Connections --------------------
+/**
+ * Complete the handshake for an `upgrade` request. Returns a connection
+ * emitting "message" (text) and "close", with send(text) and close(), or null
+ * after refusing a request that is not a WebSocket handshake.
+ */
+export function acceptWebSocket(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+  const accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const conn = new EventEmitter();
+  let buffered = Buffer.alloc(0);
+  let parts = [];
+  let closed = false;
+  let alive = true;
+
+  const write = (opcode, payload) => {
+    if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+  };
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pinger);
+    socket.destroy();
+    conn.emit("close");
+  };
+  const fail = (code) => {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    write(OP.close, payload);
+    finish();
+  };
+
+  // A peer that missed a whole ping interval is gone
+  const pinger = setInterval(() => {
+    if (!alive) return finish();
+    alive = false;
+    write(OP.ping);
+  }, PING_INTERVAL_MS);
+
+  socket.on("data", (chunk) => {
+    alive = true;
+    let decoded;
+    try {
+      decoded = decodeFrames(Buffer.concat([buffered, chunk]));
+    } catch {
+      return fail(1009);
+    }
+    buffered = Buffer.from(decoded.rest);
+    for (const frame of decoded.frames) {
+      if (closed) return;
+      if (!frame.masked) return fail(1002); // clients must mask
+      if (frame.opcode === OP.ping) write(OP.pong, frame.payload);
+      else if (frame.opcode === OP.pong) continue;
+      else if (frame.opcode === OP.close) {
+        write(OP.close, frame.payload.subarray(0, 2));
+        return finish();
+      } else if (frame.opcode === OP.text || frame.opcode === OP.continuation) {
+        if (frame.opcode === OP.text) parts = [];
+        parts.push(frame.payload);
+        const size = parts.reduce((n, p) => n + p.length, 0);
+        if (size > MAX_MESSAGE_BYTES) return fail(1009);
+        if (frame.fin) conn.emit("message", Buffer.concat(parts).toString("utf8"));
+      } else return fail(1003); // binary is not supported
+    }
+  });
+  // HTTP server sockets stay half-open, so a peer that drops the connection
+  // without a close frame only ends its side
+  socket.on("end", finish);
+  socket.on("close", finish);
+  socket.on("error", finish);
+
+  conn.send = (text) => write(OP.text, Buffer.from(text, "utf8"));
+  conn.close = () => fail(1000);
+  return conn;
+}
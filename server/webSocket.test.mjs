@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Duplex } from "node:stream";
+import { acceptWebSocket, decodeFrames, encodeFrame } from "./webSocket.mjs";
+
+// A client frame: masked, as browsers send them
+function clientFrame(opcode, text, fin = true) {
+  const payload = Buffer.from(text);
+  const frame = encodeFrame(opcode, payload);
+  const headerLength = frame.length - payload.length;
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  const header = frame.subarray(0, headerLength);
+  header[1] |= 0x80;
+  if (!fin) header[0] &= 0x7f;
+  return Buffer.concat([header, mask, masked]);
+}
+
+test("decodes masked frames of every length encoding", () => {
+  for (const size of [5, 300, 70000 / 2]) {
+    const text = "x".repeat(size);
+    const { frames, rest } = decodeFrames(clientFrame(1, text));
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].payload.toString(), text);
+    assert.equal(frames[0].masked, true);
+    assert.equal(rest.length, 0);
+  }
+});
+
+test("keeps a partial frame for later", () => {
+  const whole = Buffer.concat([clientFrame(1, "one"), clientFrame(1, "two")]);
+  const { frames, rest } = decodeFrames(whole.subarray(0, whole.length - 2));
+  assert.deepEqual(frames.map((f) => f.payload.toString()), ["one"]);
+  const after = decodeFrames(Buffer.concat([rest, whole.subarray(whole.length - 2)]));
+  assert.deepEqual(after.frames.map((f) => f.payload.toString()), ["two"]);
+});
+
+test("rejects frames that are too large", () => {
+  assert.throws(() => decodeFrames(clientFrame(1, "x".repeat(70000))), /too large/);
+});
+
+test("encodes what it decodes", () => {
+  const [frame] = decodeFrames(encodeFrame(1, Buffer.from("hello"))).frames;
+  assert.deepEqual(
+    { fin: frame.fin, opcode: frame.opcode, masked: frame.masked, text: frame.payload.toString() },
+    { fin: true, opcode: 1, masked: false, text: "hello" }
+  );
+});
+
+test("closes when the peer ends the connection without a close frame", async () => {
+  // Half-open like the sockets an HTTP server hands over
+  const socket = new Duplex({ allowHalfOpen: true, read() {}, write: (chunk, enc, done) => done() });
+  socket.setNoDelay = () => {};
+  const req = { headers: { upgrade: "websocket", "sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ==" } };
+  const conn = acceptWebSocket(req, socket);
+  const closed = new Promise((resolve) => conn.on("close", resolve));
+  socket.push(null);
+  await closed;
+  assert.equal(socket.destroyed, true);
+});
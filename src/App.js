@@ -1,14 +1,22 @@
-import React from "react";
+import React, { useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Pomodoro from "./components/Pomodoro"; // adjust path if needed
+import StatsPage from "./components/StatsPage";
+import RoomPage from "./components/RoomPage";
+import UpdatePrompt from "./components/UpdatePrompt";
+import { startSync } from "./lib/sync";
 import "./index.css";
 
 export default function App() {
+  useEffect(() => startSync(), []);
   return (
     <Router>
       <Routes>
         <Route path="/" element={<Pomodoro />} />
+        <Route path="/stats" element={<StatsPage />} />
+        <Route path="/room/:id" element={<RoomPage />} />
       </Routes>
+      <UpdatePrompt />
     </Router>
   );
 }
\ No newline at end of file
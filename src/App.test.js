@@ -1,8 +1,16 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the pomodoro tracker', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/pomodoro tracker/i)).toBeInTheDocument();
+  expect(screen.getByText(/start \(space\)/i)).toBeInTheDocument();
+});
+
+test('renders the statistics page at /stats', async () => {
+  window.history.pushState({}, '', '/stats');
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /statistics/i })).toBeInTheDocument();
+  expect(await screen.findByText(/longest streak/i)).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
 });
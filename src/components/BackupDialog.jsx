@@ -0,0 +1,158 @@
+import React, { useMemo, useState } from "react";
+import { AlertTriangle, Download, Upload } from "lucide-react";
+import { Button, Dialog, Label, cx } from "./ui";
+import { createBackup, parseBackup, planImport } from "../lib/backup";
+import { clearSessions, putSessions, querySessions } from "../lib/historyDb";
+import { downloadFile } from "../lib/download";
+
+/**
+ * Backup dialog — download everything as JSON, or pick a backup file, preview
+ * what it would change and restore it by replacing or merging.
+ *
+ * `state` holds the current settings, ui, tasks, presets and sequences;
+ * `onRestore(next)` receives the sections that change (history is written
+ * here directly).
+ */
+export default function BackupDialog({ open, onClose, state, onRestore }) {
+  const [parsed, setParsed] = useState(null); // { data, problems, exportedAt, history }
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [busy, setBusy] = useState(false);
+
+  const plan = useMemo(
+    () =>
+      parsed &&
+      planImport(parsed.data, { ...state, history: parsed.history }, mode),
+    [parsed, state, mode]
+  );
+
+  function close() {
+    setParsed(null);
+    setError(null);
+    onClose();
+  }
+
+  async function exportBackup() {
+    const backup = await createBackup(state);
+    downloadFile(
+      `pomodoro_backup_${backup.exportedAt.slice(0, 10)}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setParsed(null);
+    try {
+      const result = parseBackup(await file.text(), state);
+      setParsed({ ...result, history: await querySessions() });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function restore() {
+    setBusy(true);
+    try {
+      const { history, ...rest } = plan.next;
+      if (history) {
+        if (mode === "replace") await clearSessions();
+        await putSessions(history);
+      }
+      onRestore(rest);
+      close();
+    } catch (err) {
+      setError(`Restore failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onClose={close} title="Backup & restore">
+      <div className="space-y-2">
+        <p className="text-sm text-slate-600">
+          A backup contains your settings, presets, sequences, tasks and the
+          full session history.
+        </p>
+        <Button variant="secondary" className="rounded-2xl" onClick={exportBackup}>
+          <Download className="h-4 w-4 mr-2" /> Download backup
+        </Button>
+      </div>
+
+      <div className="space-y-2 border-t border-slate-200 pt-4">
+        <Label className="text-xs uppercase tracking-wide text-slate-500">
+          Restore from file
+        </Label>
+        <label className="flex cursor-pointer items-center gap-2 text-sm text-slate-700">
+          <Upload className="h-4 w-4" />
+          <span className="underline">Choose a backup file…</span>
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="sr-only"
+            onChange={pickFile}
+          />
+        </label>
+        {error && (
+          <div className="flex items-start gap-2 rounded-xl bg-red-50 p-3 text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" /> {error}
+          </div>
+        )}
+      </div>
+
+      {plan && (
+        <div className="space-y-3">
+          {parsed.exportedAt && (
+            <div className="text-xs text-slate-500">
+              Backup from {new Date(parsed.exportedAt).toLocaleString()}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              ["merge", "Merge", "Add what is missing, keep my settings"],
+              ["replace", "Replace", "Make everything match the backup"],
+            ].map(([value, label, hint]) => (
+              <button
+                key={value}
+                className={cx(
+                  "rounded-xl border p-3 text-left",
+                  mode === value ? "border-red-300 bg-red-50" : "border-slate-200"
+                )}
+                onClick={() => setMode(value)}
+              >
+                <div className="text-sm font-medium">{label}</div>
+                <div className="text-xs text-slate-500">{hint}</div>
+              </button>
+            ))}
+          </div>
+          <ul className="space-y-1 text-sm">
+            {plan.changes.map((c) => (
+              <li key={c.section} className="flex justify-between">
+                <span className="capitalize text-slate-700">{c.section}</span>
+                <span className="text-slate-500">{c.summary}</span>
+              </li>
+            ))}
+          </ul>
+          {parsed.problems.length > 0 && (
+            <div className="rounded-xl bg-amber-50 p-3 text-xs text-amber-800">
+              Repaired while reading: {parsed.problems.join("; ")}
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" className="rounded-2xl" onClick={close}>
+              Cancel
+            </Button>
+            <Button className="rounded-2xl" disabled={busy} onClick={restore}>
+              {mode === "replace" ? "Replace my data" : "Merge into my data"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </Dialog>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { Button, Dialog, Input, Label } from "./ui";
+
+/**
+ * Block length dialog — change how long the current block runs without
+ * touching the settings. `planned` and `spent` are in seconds; a length at or
+ * below the time already spent ends the block now. `onSave(minutes)`.
+ */
+
+const MAX_MINUTES = 180;
+
+export default function BlockLengthDialog({ open, planned, spent, onSave, onClose }) {
+  return (
+    <Dialog open={open} onClose={onClose} title="Block length">
+      {open && (
+        <LengthForm planned={planned} spent={spent} onSave={onSave} onClose={onClose} />
+      )}
+    </Dialog>
+  );
+}
+
+function LengthForm({ planned, spent, onSave, onClose }) {
+  const [minutes, setMinutes] = useState(String(Math.round(planned / 60)));
+  const value = Number(minutes);
+  const valid = Number.isInteger(value) && value >= 1 && value <= MAX_MINUTES;
+  const endsNow = valid && value * 60 <= spent;
+
+  return (
+    <>
+      <div className="space-y-1">
+        <Label htmlFor="block-minutes">Minutes</Label>
+        <Input
+          id="block-minutes"
+          type="number"
+          min={1}
+          max={MAX_MINUTES}
+          value={minutes}
+          onChange={(e) => setMinutes(e.target.value)}
+        />
+        <div className="text-xs text-slate-500">
+          {Math.floor(spent / 60)} min done so far. Only this block changes.
+        </div>
+      </div>
+      {!valid && (
+        <div className="flex items-center gap-2 text-sm text-red-600">
+          <AlertTriangle className="h-4 w-4" /> Enter 1 to {MAX_MINUTES} minutes.
+        </div>
+      )}
+      {endsNow && (
+        <div className="text-sm text-amber-700">
+          That is no more than the time already spent: the block ends now.
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" className="rounded-xl" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button className="rounded-xl" disabled={!valid} onClick={() => onSave(value)}>
+          {endsNow ? "End block" : "Save"}
+        </Button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Search } from "lucide-react";
+import { Dialog, cx } from "./ui";
+import { searchCommands } from "../lib/commands";
+import { formatCombo } from "../lib/shortcuts";
+
+/**
+ * Command palette — type to filter the commands (see lib/commands), ↑/↓ to
+ * pick one, Enter to run it. `queryCommands(query)` adds commands made from
+ * what was typed, such as creating a task with that title.
+ */
+export default function CommandPalette({ open, commands, queryCommands, onClose }) {
+  return (
+    <Dialog open={open} onClose={onClose} title="Commands" className="self-start mt-[10vh]">
+      <PaletteBody commands={commands} queryCommands={queryCommands} onClose={onClose} />
+    </Dialog>
+  );
+}
+
+// Mounted only while open, so every opening starts with an empty query
+function PaletteBody({ commands, queryCommands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const activeRef = useRef(null);
+  const shown = [...searchCommands(commands, query), ...(queryCommands?.(query.trim()) || [])];
+  const current = Math.min(active, shown.length - 1);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView?.({ block: "nearest" });
+  }, [current]);
+
+  function run(command) {
+    onClose();
+    command.run();
+  }
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + shown.length) % Math.max(shown.length, 1));
+    } else if (e.key === "Enter" && shown[current]) {
+      e.preventDefault();
+      run(shown[current]);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 rounded-xl border border-slate-300 px-3 py-2 focus-within:ring-2 focus-within:ring-slate-300">
+        <Search className="h-4 w-4 text-slate-400" />
+        <input
+          autoFocus
+          className="w-full bg-transparent text-sm outline-none"
+          placeholder="Type a command or a task…"
+          aria-label="Search commands"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={onKeyDown}
+        />
+      </div>
+      <ul role="listbox" aria-label="Commands" className="max-h-80 overflow-auto text-sm">
+        {shown.map((command, i) => (
+          <li
+            key={command.id}
+            ref={i === current ? activeRef : undefined}
+            role="option"
+            aria-selected={i === current}
+            className={cx(
+              "flex cursor-pointer items-center justify-between gap-2 rounded-lg px-3 py-1.5",
+              i === current ? "bg-slate-100" : "hover:bg-slate-50"
+            )}
+            onMouseEnter={() => setActive(i)}
+            onClick={() => run(command)}
+          >
+            <span className="truncate">
+              {command.group && <span className="text-slate-400">{command.group}: </span>}
+              {command.label}
+            </span>
+            {command.shortcut && (
+              <kbd className="rounded-md border border-slate-300 px-2 py-0.5 text-xs font-mono">
+                {formatCombo(command.shortcut)}
+              </kbd>
+            )}
+          </li>
+        ))}
+        {!shown.length && <li className="px-3 py-1.5 text-slate-500">No matching command</li>}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { AlertTriangle, Download, Upload } from "lucide-react";
+import { Button, Dialog, Input, Label } from "./ui";
+import { newSessions, sessionsFromCSV, sessionsToCSV } from "../lib/historyCsv";
+import { dayRangeBounds, sessionDayKey } from "../lib/days";
+import { putSessions, querySessions } from "../lib/historyDb";
+import { downloadFile } from "../lib/download";
+
+/**
+ * CSV dialog — export session history for a range of local days, or import a
+ * CSV (ours or another Pomodoro tool's) after previewing what it contains.
+ *
+ * `onImport(sessions, newTasks)` receives the sessions that were added (ones
+ * already in history are left out) and the tasks created for unknown titles.
+ */
+export default function CsvDialog({
+  open,
+  onClose,
+  tasks,
+  dayStartHour,
+  onImport,
+}) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [preview, setPreview] = useState(null); // { sessions, fresh, newTasks, errors }
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function close() {
+    setPreview(null);
+    setError(null);
+    onClose();
+  }
+
+  async function exportCSV() {
+    // Day inputs are local days, bucketed like the stats (see lib/days)
+    const bounds = dayRangeBounds(from, to, dayStartHour);
+    const history = (await querySessions(bounds)).filter((s) => {
+      const key = sessionDayKey(s, dayStartHour);
+      return (!from || key >= from) && (!to || key <= to);
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `pomodoro_history_${stamp}.csv`,
+      sessionsToCSV(history, tasks),
+      "text/csv;charset=utf-8;"
+    );
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setPreview(null);
+    try {
+      const result = sessionsFromCSV(await file.text(), tasks);
+      const known = new Set((await querySessions()).map((s) => s.id));
+      const fresh = newSessions(result.sessions, known);
+      // Only create tasks that an added session actually points at
+      const used = new Set(fresh.map((s) => s.taskId));
+      setPreview({
+        ...result,
+        fresh,
+        newTasks: result.newTasks.filter((t) => used.has(t.id)),
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function confirmImport() {
+    setBusy(true);
+    try {
+      await putSessions(preview.fresh);
+      onImport(preview.fresh, preview.newTasks);
+      close();
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const focusCount = preview
+    ? preview.fresh.filter((s) => s.mode === "focus").length
+    : 0;
+
+  return (
+    <Dialog open={open} onClose={close} title="CSV export & import">
+      <div className="space-y-2">
+        <Label className="text-xs uppercase tracking-wide text-slate-500">
+          Export
+        </Label>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="csv-from">From</Label>
+            <Input
+              id="csv-from"
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="csv-to">To</Label>
+            <Input
+              id="csv-to"
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500">Leave empty to export everything.</p>
+        <Button variant="secondary" className="rounded-2xl" onClick={exportCSV}>
+          <Download className="h-4 w-4 mr-2" /> Download CSV
+        </Button>
+      </div>
+
+      <div className="space-y-2 border-t border-slate-200 pt-4">
+        <Label className="text-xs uppercase tracking-wide text-slate-500">
+          Import
+        </Label>
+        <label className="flex cursor-pointer items-center gap-2 text-sm text-slate-700">
+          <Upload className="h-4 w-4" />
+          <span className="underline">Choose a CSV file…</span>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            className="sr-only"
+            onChange={pickFile}
+          />
+        </label>
+        {error && (
+          <div className="flex items-start gap-2 rounded-xl bg-red-50 p-3 text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" /> {error}
+          </div>
+        )}
+      </div>
+
+      {preview && (
+        <div className="space-y-3">
+          <ul className="space-y-1 text-sm">
+            <li className="flex justify-between">
+              <span className="text-slate-700">Sessions</span>
+              <span className="text-slate-500">
+                {preview.fresh.length} new ({focusCount} focus),{" "}
+                {preview.sessions.length - preview.fresh.length} already present or repeated
+              </span>
+            </li>
+            <li className="flex justify-between">
+              <span className="text-slate-700">New tasks</span>
+              <span className="text-slate-500">
+                {preview.newTasks.length
+                  ? preview.newTasks.map((t) => t.title).join(", ")
+                  : "none"}
+              </span>
+            </li>
+          </ul>
+          {preview.errors.length > 0 && (
+            <div className="rounded-xl bg-amber-50 p-3 text-xs text-amber-800">
+              {preview.errors.length} row
+              {preview.errors.length === 1 ? "" : "s"} skipped:{" "}
+              {preview.errors
+                .slice(0, 5)
+                .map((e) => `line ${e.line}: ${e.message}`)
+                .join("; ")}
+              {preview.errors.length > 5 && "; …"}
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" className="rounded-2xl" onClick={close}>
+              Cancel
+            </Button>
+            <Button
+              className="rounded-2xl"
+              disabled={busy || preview.fresh.length === 0}
+              onClick={confirmImport}
+            >
+              Import {preview.fresh.length} session
+              {preview.fresh.length === 1 ? "" : "s"}
+            </Button>
+          </div>
+        </div>
+      )}
+    </Dialog>
+  );
+}
@@ -0,0 +1,131 @@
+import React from "react";
+import { Input, Label, Select, Switch, cx } from "./ui";
+
+/**
+ * Goal settings — daily and weekly targets in blocks or minutes, optional
+ * per-weekday targets, rest days and how the streak is counted.
+ */
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Monday first
+
+const toTarget = (value) => Math.max(0, parseInt(value || "0") || 0);
+
+export default function GoalSettings({ goals, onChange }) {
+  const update = (patch) => onChange({ ...goals, ...patch });
+
+  function setWeekdayTarget(day, value) {
+    const perWeekday = [...goals.perWeekday];
+    perWeekday[day] = toTarget(value);
+    update({ perWeekday });
+  }
+  function toggleRestDay(day) {
+    update({
+      restDays: goals.restDays.includes(day)
+        ? goals.restDays.filter((d) => d !== day)
+        : [...goals.restDays, day],
+    });
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="text-xs uppercase tracking-wide text-slate-500">Goals</div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Measure in</Label>
+        <Select
+          aria-label="Goal unit"
+          className="h-8 w-auto"
+          value={goals.unit}
+          onChange={(e) => update({ unit: e.target.value })}
+        >
+          <option value="blocks">Focus blocks</option>
+          <option value="minutes">Minutes</option>
+        </Select>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label htmlFor="goal-daily">Daily goal</Label>
+        <Input
+          id="goal-daily"
+          type="number"
+          min={0}
+          className="h-8 w-24"
+          value={goals.daily}
+          disabled={!!goals.perWeekday}
+          onChange={(e) => update({ daily: toTarget(e.target.value) })}
+        />
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Different per weekday</Label>
+        <Switch
+          checked={!!goals.perWeekday}
+          onCheckedChange={(v) =>
+            update({ perWeekday: v ? Array(7).fill(goals.daily) : null })
+          }
+        />
+      </div>
+      {goals.perWeekday && (
+        <div className="grid grid-cols-7 gap-1">
+          {WEEK_ORDER.map((day) => (
+            <div key={day} className="space-y-1 text-center">
+              <div className="text-xs text-slate-500">{WEEKDAY_NAMES[day]}</div>
+              <Input
+                type="number"
+                min={0}
+                aria-label={`${WEEKDAY_NAMES[day]} goal`}
+                className="h-8 px-1 text-center"
+                value={goals.perWeekday[day]}
+                onChange={(e) => setWeekdayTarget(day, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center justify-between gap-2">
+        <Label htmlFor="goal-weekly">Weekly goal</Label>
+        <Input
+          id="goal-weekly"
+          type="number"
+          min={0}
+          placeholder="None"
+          className="h-8 w-24"
+          value={goals.weekly ?? ""}
+          onChange={(e) =>
+            update({ weekly: e.target.value ? toTarget(e.target.value) : null })
+          }
+        />
+      </div>
+      <div className="space-y-1">
+        <Label>Rest days</Label>
+        <div className="flex gap-1">
+          {WEEK_ORDER.map((day) => (
+            <button
+              key={day}
+              aria-pressed={goals.restDays.includes(day)}
+              className={cx(
+                "flex-1 rounded-lg border py-1 text-xs",
+                goals.restDays.includes(day)
+                  ? "border-red-300 bg-red-50 text-red-700"
+                  : "border-slate-200 text-slate-600"
+              )}
+              onClick={() => toggleRestDay(day)}
+            >
+              {WEEKDAY_NAMES[day]}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Streak counts</Label>
+        <Select
+          aria-label="Streak counts"
+          className="h-8 w-auto"
+          value={goals.streakMode}
+          onChange={(e) => update({ streakMode: e.target.value })}
+        >
+          <option value="focus">Any day with focus</option>
+          <option value="goal">Days meeting the goal</option>
+        </Select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from "react";
+import { RotateCcw } from "lucide-react";
+import { Button, Input, Label, Switch } from "./ui";
+import {
+  DEFAULT_TEMPLATES,
+  NOTIFICATION_EVENTS,
+  TEMPLATE_FIELDS,
+} from "../lib/notifications";
+
+/**
+ * Notification settings — the "1 minute left" warning and the message sent
+ * for each event, with {placeholders} filled in when it goes out.
+ */
+export default function NotificationSettings({
+  templates,
+  warnBeforeEnd,
+  onTemplatesChange,
+  onWarnChange,
+}) {
+  const customized = Object.keys(DEFAULT_TEMPLATES).some(
+    (key) => templates[key] !== DEFAULT_TEMPLATES[key]
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="text-xs uppercase tracking-wide text-slate-500">Notifications</div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Warn 1 minute before the end</Label>
+        <Switch checked={warnBeforeEnd} onCheckedChange={onWarnChange} />
+      </div>
+      {Object.entries(NOTIFICATION_EVENTS).map(([event, label]) => (
+        <div key={event} className="space-y-1">
+          <Label htmlFor={`template-${event}`}>{label}</Label>
+          <Input
+            id={`template-${event}`}
+            className="h-8"
+            value={templates[event]}
+            onChange={(e) => onTemplatesChange({ ...templates, [event]: e.target.value })}
+          />
+        </div>
+      ))}
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-500">
+        <span>
+          Placeholders: {TEMPLATE_FIELDS.map((f) => `{${f}}`).join(" ")}
+        </span>
+        {customized && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onTemplatesChange(DEFAULT_TEMPLATES)}
+          >
+            <RotateCcw className="h-3 w-3 mr-1" /> Defaults
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
 "use client";
 
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { Link, useNavigate } from "react-router-dom";
 import {
   Play,
   Pause,
@@ -9,15 +16,24 @@ import {
   SkipForward,
   Settings,
   Bell,
+  BellOff,
   Volume2,
-  Plus,
-  Trash2,
   CheckCircle2,
   Timer as TimerIcon,
   Award,
   BarChart3,
   ChevronDown,
   ChevronUp,
+  AlertTriangle,
+  History,
+  HardDriveDownload,
+  Moon,
+  NotebookPen,
+  PauseCircle,
+  AlarmClock,
+  Flag,
+  Clock,
+  Users,
 } from "lucide-react";
 import {
   BarChart,
@@ -28,141 +44,201 @@ import {
   ResponsiveContainer,
   CartesianGrid,
 } from "recharts";
+import {
+  canSnooze,
+  classicSequence,
+  initialTimerState,
+  remainingSeconds,
+  timerReducer,
+  upcomingStep,
+} from "../lib/timerMachine";
+import {
+  Button,
+  Card,
+  CardContent,
+  Input,
+  Label,
+  Select,
+  Switch,
+  cx,
+} from "./ui";
+import SequenceEditor from "./SequenceEditor";
+import PresetManager from "./PresetManager";
+import GoalSettings from "./GoalSettings";
+import SoundSettings from "./SoundSettings";
+import NotificationSettings from "./NotificationSettings";
+import SyncSettings from "./SyncSettings";
+import SyncIndicator from "./SyncIndicator";
+import ShortcutSettings from "./ShortcutSettings";
+import ShortcutHelp from "./ShortcutHelp";
+import CommandPalette from "./CommandPalette";
+import TaskList from "./TaskList";
+import BackupDialog from "./BackupDialog";
+import CsvDialog from "./CsvDialog";
+import SessionNoteDialog from "./SessionNoteDialog";
+import BlockLengthDialog from "./BlockLengthDialog";
+import {
+  usePersistentReducer,
+  useStorageIssues,
+  useStoredState,
+} from "../hooks/useStoredState";
+import { dismissStorageIssues } from "../lib/storage";
+import { useHistoryQuery } from "../hooks/useHistoryQuery";
+import { useTabLeader } from "../hooks/useTabLeader";
+import {
+  addSession,
+  pruneSessions,
+  reportHistoryError,
+  updateSession,
+} from "../lib/historyDb";
+import {
+  build7DayChart,
+  computeStreak,
+  todayFocus,
+  weekFocus,
+} from "../lib/historyStats";
+import { dayKeyAt } from "../lib/days";
+import {
+  DEFAULT_GOALS,
+  EMPTY_TOTALS,
+  dailyTarget,
+  formatGoal,
+  goalAmount,
+  goalProgress,
+  isRestDay,
+  normalizeGoals,
+} from "../lib/goals";
+import {
+  DEFAULT_TASK_VIEW,
+  createTask,
+  filterTasks,
+  isOpen,
+  nextOpenTask,
+  sortTasks,
+} from "../lib/tasks";
+import { PAUSE_REASONS } from "../lib/pauses";
+import { applyCredits, creditChanges } from "../lib/sessionEdits";
+import {
+  DEFAULT_SOUNDS,
+  normalizeSounds,
+  setNoiseVolume,
+  startAlarm,
+  startNoise,
+  startTicking,
+  stopAlarm,
+  stopNoise,
+  stopTicking,
+} from "../lib/sound";
+import {
+  DEFAULT_TEMPLATES,
+  WARNING_SECONDS,
+  actionsFor,
+  ensureNotificationPermission,
+  normalizeTemplates,
+  onNotificationAction,
+  renderTemplate,
+  showNotification,
+} from "../lib/notifications";
+import { takeLaunchParam } from "../lib/serviceWorker";
+import { newRoomId } from "../lib/room";
+import {
+  DEFAULT_SHORTCUTS,
+  SHORTCUT_ACTIONS,
+  TYPING_ACTIONS,
+  actionForCombo,
+  comboOf,
+  formatCombo,
+  isTypingTarget,
+  normalizeShortcuts,
+} from "../lib/shortcuts";
+import {
+  DEFAULT_PRESETS,
+  defaultPreset,
+  matchPreset,
+  pickPresetFields,
+  presetSummary,
+} from "../lib/presets";
 
 /**
  * Pomodoro Timer — Clean UI + Progress Tracking
  *
  * Features
  * - Focus / Short break / Long break with custom durations
- * - Auto-cycle with long-break interval
- * - Tasks with per-task Pomodoro counts
- * - Today totals, 7-day chart, and streaks
- * - LocalStorage persistence
- * - Optional sound + desktop notifications
- * - Keyboard shortcuts: [Space]=Start/Pause, N=Next, R=Reset
- * - Export history as CSV
+ * - Auto-cycle with long-break interval, or custom multi-step sequences
+ * - Saveable presets, switchable from the timer card
+ * - Tasks with estimates, projects, tags, due dates, notes and checklists;
+ *   filter, sort, drag to reorder, archive, undo delete
+ * - "Task finished?" prompt after focus blocks; selection moves to the next
+ *   open task
+ * - Optional note, focus rating and interruption count after each focus block
+ * - Pauses recorded with an internal / external reason; optionally void focus
+ *   blocks paused too long
+ * - +1 / +5 minutes, finish now and a new length for the block in progress,
+ *   snooze for a break that just ended; changes are kept on the session
+ * - Today totals, 7-day chart, and streaks by local day (configurable day start)
+ * - Daily / weekly goals with progress, rest days and goal-aware streaks
+ * - Statistics page (/stats): ranges, heatmap, per-task/tag breakdowns,
+ *   focus ratings and a session log to add, edit, reassign and delete entries
+ * - LocalStorage persistence (timer survives reloads, sleep and background tabs)
+ * - Open tabs share one timer, tasks and settings; one of them records
+ *   finished blocks and plays the sounds (lib/tabSync)
+ * - Session history in IndexedDB with configurable retention
+ * - Optional sync of tasks, settings and history between devices through a
+ *   self-hosted server (lib/sync, server/), with offline queueing and a
+ *   status badge in the header
+ * - Synthesized alarm tones (separate for focus and break ends, optionally
+ *   repeating), ticking and white / pink / brown noise during focus, with
+ *   volumes and previews
+ * - Optional desktop notifications with action buttons (start / skip break,
+ *   +5 minutes), custom messages and a "1 minute left" warning
+ * - Focus rooms (/room/:id): a timer shared with a team through the bundled
+ *   server, with who is in the room and what each person works on
+ * - Installable and usable offline (public/sw.js), with an update prompt and
+ *   "Start focus" / "Start break" app shortcuts
+ * - Keyboard shortcuts for the timer, tasks and settings, remappable in the
+ *   settings, with a "?" overlay listing them (lib/shortcuts)
+ * - Ctrl/Cmd+K command palette: fuzzy search over timer, preset, task, export
+ *   and sound / notification commands (lib/commands)
+ * - CSV export (date range, task titles) and import, full JSON backup and restore
  */
 
-// -------------------- Tiny UI Primitives (no shadcn) --------------------
-const cx = (...cls) => cls.filter(Boolean).join(" ");
-
-const Card = ({ className = "", children, ...props }) => (
-  <div
-    className={cx(
-      "bg-white border border-slate-200 shadow-sm rounded-2xl",
-      className
-    )}
-    {...props}
-  >
-    {children}
-  </div>
-);
-const CardContent = ({ className = "", ...props }) => (
-  <div className={cx("p-4 md:p-6", className)} {...props} />
-);
-
-const buttonVariants = {
-  primary:
-    "bg-red-500 text-white hover:bg-red-600 active:bg-red-700 focus:ring-red-500",
-  secondary:
-    "bg-slate-100 text-slate-900 hover:bg-slate-200 active:bg-slate-300 focus:ring-slate-400",
-  outline:
-    "bg-white border border-slate-300 text-slate-900 hover:bg-slate-50 focus:ring-slate-400",
-  ghost: "bg-transparent text-slate-700 hover:bg-slate-100 focus:ring-slate-400",
-};
-const buttonSizes = {
-  sm: "h-8 px-3 text-sm",
-  md: "h-10 px-4 text-sm",
-  lg: "h-11 px-6",
-};
-const Button = ({
-  className = "",
-  variant = "primary",
-  size = "md",
-  ...props
-}) => (
-  <button
-    className={cx(
-      "inline-flex items-center justify-center rounded-2xl font-medium transition-colors focus:outline-none focus:ring-2 disabled:opacity-50 disabled:pointer-events-none",
-      buttonVariants[variant] || buttonVariants.primary,
-      buttonSizes[size] || buttonSizes.md,
-      className
-    )}
-    {...props}
-  />
-);
-
-const Input = ({ className = "", ...props }) => (
-  <input
-    className={cx(
-      "h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm text-slate-900",
-      "focus:outline-none focus:ring-2 focus:ring-red-500",
-      "placeholder:text-slate-400",
-      className
-    )}
-    {...props}
-  />
-);
-
-const Label = ({ className = "", ...props }) => (
-  <label className={cx("text-sm text-slate-700", className)} {...props} />
-);
-
-// Accessible custom switch (button + aria)
-const Switch = ({
-  checked = false,
-  onCheckedChange = () => {},
-  className = "",
-}) => (
-  <button
-    type="button"
-    role="switch"
-    aria-checked={checked}
-    onClick={() => onCheckedChange(!checked)}
-    className={cx(
-      "relative inline-flex h-6 w-11 shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors focus:outline-none focus:ring-2 focus:ring-red-500",
-      checked ? "bg-red-500" : "bg-slate-300",
-      className
-    )}
-  >
-    <span
-      className={cx(
-        "pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition",
-        checked ? "translate-x-5" : "translate-x-0.5"
-      )}
-    />
-  </button>
-);
+// -------------------- Goal progress --------------------
+function GoalBar({ label, progress, goals }) {
+  return (
+    <div className="mt-3">
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>{label}</span>
+        <span className={cx(progress.met && "font-semibold text-green-600")}>
+          {progress.value} / {formatGoal(goals, progress.target)}
+        </span>
+      </div>
+      <div
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={progress.target}
+        aria-valuenow={progress.value}
+        className="mt-1 h-1.5 rounded-full bg-slate-200"
+      >
+        <div
+          className={cx(
+            "h-1.5 rounded-full",
+            progress.met ? "bg-green-500" : "bg-red-500"
+          )}
+          style={{ width: `${progress.ratio * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+}
 
 // -------------------- Utilities --------------------
 const pad = (n) => String(n).padStart(2, "0");
 const secondsToMMSS = (s) => `${pad(Math.floor(s / 60))}:${pad(s % 60)}`;
-const todayKey = () => new Date().toISOString().slice(0, 10); // YYYY-MM-DD
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
-const STORAGE_KEYS = {
-  settings: "pomodoro.settings.v1",
-  history: "pomodoro.history.v1",
-  tasks: "pomodoro.tasks.v1",
-  ui: "pomodoro.ui.v1",
-};
-
-function useLocalStorage(key, initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch (e) {
-      return initial;
-    }
-  });
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(state));
-    } catch {}
-  }, [key, state]);
-  return [state, setState];
-}
+// Minutes a break that just ended runs again when snoozed
+const SNOOZE_MINUTES = 5;
 
 function useInterval(callback, delay, active) {
   const savedRef = useRef(callback);
@@ -176,296 +252,550 @@ function useInterval(callback, delay, active) {
   }, [delay, active]);
 }
 
-// Simple WebAudio beep (no external assets)
-function beep(freq = 880, duration = 160) {
-  try {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    const o = ctx.createOscillator();
-    const g = ctx.createGain();
-    o.type = "sine";
-    o.frequency.value = freq;
-    o.connect(g);
-    g.connect(ctx.destination);
-    g.gain.setValueAtTime(0.001, ctx.currentTime);
-    g.gain.exponentialRampToValueAtTime(0.5, ctx.currentTime + 0.02);
-    o.start();
-    g.gain.exponentialRampToValueAtTime(
-      0.0001,
-      ctx.currentTime + duration / 1000
-    );
-    o.stop(ctx.currentTime + duration / 1000 + 0.01);
-  } catch {}
-}
-
-// Request notification permission once
-async function ensureNotificationPermission() {
-  if (!("Notification" in window)) return false;
-  if (Notification.permission === "granted") return true;
-  if (Notification.permission !== "denied") {
-    const res = await Notification.requestPermission();
-    return res === "granted";
-  }
-  return false;
-}
-
 // -------------------- Main Component --------------------
 export default function Pomodoro() {
+  const navigate = useNavigate();
+  // Presets (the default one seeds the settings of a fresh install)
+  const [presets, setPresets] = useStoredState("presets", DEFAULT_PRESETS);
+
   // Settings
-  const [settings, setSettings] = useLocalStorage(STORAGE_KEYS.settings, {
+  const [settings, setSettings] = useStoredState("settings", {
     focusMin: 25,
     shortMin: 5,
     longMin: 15,
     longInterval: 4,
     autoStartNext: true,
-    sound: true,
+    sound: true, // master switch for every sound below
+    sounds: DEFAULT_SOUNDS,
     notifications: false,
+    warnBeforeEnd: false, // notify a minute before a block ends
+    notifyTemplates: DEFAULT_TEMPLATES,
+    reflectAfterFocus: true, // ask for a note / rating when focus ends
+    sequenceId: null, // null = classic focus/short/long cycle
+    historyRetentionDays: null, // null = keep forever
+    voidAfterPauseMin: null, // void focus blocks paused this long; null = never
+    dayStartHour: 0, // days roll over at this local hour
+    goals: DEFAULT_GOALS,
+    shortcuts: DEFAULT_SHORTCUTS,
+    ...pickPresetFields(defaultPreset(presets) || {}),
   });
+  const currentPreset = matchPreset(presets, settings);
+
+  // Custom session sequences; the active one falls back to the classic cycle
+  const [sequences, setSequences] = useStoredState("sequences", []);
+  const classic = useMemo(() => classicSequence(settings), [settings]);
+  const activeSequence = useMemo(
+    () => sequences.find((s) => s.id === settings.sequenceId) || null,
+    [sequences, settings.sequenceId]
+  );
 
   // UI prefs
-  const [ui, setUi] = useLocalStorage(STORAGE_KEYS.ui, {
+  const [ui, setUi] = useStoredState("ui", {
     showSettings: false,
     showTasks: true,
+    taskView: DEFAULT_TASK_VIEW,
   });
+  const taskView = { ...DEFAULT_TASK_VIEW, ...ui.taskView };
+
+  // Saved data that had to be repaired or reset on load
+  const storageIssues = useStorageIssues();
 
   // Tasks
-  const [tasks, setTasks] = useLocalStorage(STORAGE_KEYS.tasks, []);
-  const [newTask, setNewTask] = useState("");
+  const [tasks, setTasks] = useStoredState("tasks", []);
   const [selectedTaskId, setSelectedTaskId] = useState(
-    () => tasks[0]?.id || null
+    () => tasks.find(isOpen)?.id || null
   );
+  // Only open tasks stay selected: finishing, archiving or deleting the
+  // selected task moves on to the next open one
   useEffect(() => {
-    if (tasks.length && !selectedTaskId) setSelectedTaskId(tasks[0].id);
+    if (isOpen(tasks.find((t) => t.id === selectedTaskId))) return;
+    const next = nextOpenTask(tasks, selectedTaskId)?.id || null;
+    if (next !== selectedTaskId) setSelectedTaskId(next);
   }, [tasks, selectedTaskId]);
+  // Task whose focus block just ended, to ask whether it is finished
+  const [finishPromptId, setFinishPromptId] = useState(null);
+  const finishPromptTask = tasks.find(
+    (t) => t.id === finishPromptId && isOpen(t)
+  );
+  // Focus session that just ended, to log a note and rating for
+  const [reflectSession, setReflectSession] = useState(null);
+
+  // History lives in IndexedDB; prune it whenever the retention changes
+  useEffect(() => {
+    pruneSessions(settings.historyRetentionDays).catch(reportHistoryError);
+  }, [settings.historyRetentionDays]);
 
-  // History (array of sessions)
-  const [history, setHistory] = useLocalStorage(STORAGE_KEYS.history, []);
+  // Timer state machine (persisted; running blocks store their end timestamp)
+  const [timer, dispatch] = usePersistentReducer(
+    "timer",
+    timerReducer,
+    settings,
+    initialTimerState
+  );
+  const { isRunning } = timer;
+  // Every tab runs the same timer; only the leader records and rings
+  const isLeader = useTabLeader();
+  const [now, setNow] = useState(() => Date.now());
+  const secondsLeft = remainingSeconds(timer, now);
 
-  // Timer state
-  const [mode, setMode] = useState(
-    /** @type {"focus"|"short"|"long"} */ ("focus")
+  // Every event carries the current time and the selected task
+  const send = useCallback(
+    (type, extra = {}) =>
+      dispatch({ type, now: Date.now(), taskId: selectedTaskId, ...extra }),
+    [dispatch, selectedTaskId]
   );
-  const [isRunning, setIsRunning] = useState(false);
-  const [secondsLeft, setSecondsLeft] = useState(settings.focusMin * 60);
-  const [completedFocusBlocks, setCompletedFocusBlocks] = useState(0); // since last long break
 
-  // When settings change, adjust remaining seconds only if not running
   useEffect(() => {
-    if (isRunning) return;
-    if (mode === "focus") setSecondsLeft(settings.focusMin * 60);
-    if (mode === "short") setSecondsLeft(settings.shortMin * 60);
-    if (mode === "long") setSecondsLeft(settings.longMin * 60);
-  }, [
-    settings.focusMin,
-    settings.shortMin,
-    settings.longMin,
-    isRunning,
-    mode,
-  ]);
-
-  // Core ticking
-  useInterval(
-    () => {
-      setSecondsLeft((s) => {
-        if (s <= 1) {
-          handleSessionEnd();
-          return 0;
-        }
-        return s - 1;
-      });
-    },
-    1000,
-    isRunning
+    dispatch({ type: "settings-changed", settings, sequence: activeSequence });
+  }, [dispatch, settings, activeSequence]);
+
+  // Core ticking: the interval only refreshes the clock, the end timestamp
+  // decides how much time is left. A block that ended while the tab was
+  // closed completes on the first tick after reopening.
+  useInterval(() => setNow(Date.now()), 250, isRunning);
+  useEffect(() => {
+    const refresh = () => setNow(Date.now());
+    document.addEventListener("visibilitychange", refresh);
+    window.addEventListener("focus", refresh);
+    return () => {
+      document.removeEventListener("visibilitychange", refresh);
+      window.removeEventListener("focus", refresh);
+    };
+  }, []);
+  useEffect(() => {
+    if (isRunning) send("tick", { now });
+  }, [now, isRunning, send]);
+
+  // The open pause of a paused focus block; its clock keeps counting
+  const lastPause = timer.pauses?.[timer.pauses.length - 1];
+  const openPause =
+    !isRunning && timer.mode === "focus" && lastPause?.until == null
+      ? lastPause
+      : null;
+  useInterval(() => setNow(Date.now()), 1000, !!openPause);
+  const pausedSeconds = openPause
+    ? Math.max(0, Math.floor((now - openPause.at) / 1000))
+    : 0;
+  const pauseLimitSeconds = (settings.voidAfterPauseMin || 0) * 60;
+  // Shown after a resumed block was voided and started over
+  const [voidedNotice, setVoidedNotice] = useState(false);
+
+  // Sounds: ticking and ambient noise while focus runs (see lib/sound)
+  const sounds = useMemo(() => normalizeSounds(settings.sounds), [settings.sounds]);
+  const focusRunning = isRunning && timer.mode === "focus";
+  const ticking = isLeader && settings.sound && sounds.ticking && focusRunning;
+  useEffect(() => {
+    if (!ticking) return;
+    startTicking(sounds.tickVolume);
+    return stopTicking;
+  }, [ticking, sounds.tickVolume]);
+  const noiseKind = isLeader && settings.sound && focusRunning ? sounds.noise : "off";
+  const noiseVolumeRef = useRef(sounds.noiseVolume);
+  noiseVolumeRef.current = sounds.noiseVolume;
+  useEffect(() => {
+    if (noiseKind === "off") return;
+    startNoise(noiseKind, noiseVolumeRef.current);
+    return stopNoise;
+  }, [noiseKind]);
+  useEffect(() => setNoiseVolume(sounds.noiseVolume), [sounds.noiseVolume]);
+
+  // A repeating alarm rings until any timer action or "Stop alarm"
+  const [alarmRinging, setAlarmRinging] = useState(false);
+  function acknowledgeAlarm() {
+    stopAlarm();
+    setAlarmRinging(false);
+  }
+  useEffect(() => stopAlarm, []);
+
+  // Notifications: messages filled in from the templates (see lib/notifications)
+  const templates = useMemo(
+    () => normalizeTemplates(settings.notifyTemplates),
+    [settings.notifyTemplates]
   );
+  const taskTitle = (id) => tasks.find((t) => t.id === id)?.title || "no task";
+  // Warn once per block (extending it warns again)
+  const warnedRef = useRef(null);
+  const blockKey = `${timer.completedFocusBlocks}:${timer.stepIndex}:${timer.rep}:${timer.planned}:${timer.snooze}`;
+  const warnNow =
+    isLeader &&
+    isRunning &&
+    settings.notifications &&
+    settings.warnBeforeEnd &&
+    timer.planned > WARNING_SECONDS &&
+    secondsLeft > 0 &&
+    secondsLeft <= WARNING_SECONDS;
+  useEffect(() => {
+    if (!warnNow || warnedRef.current === blockKey) return;
+    warnedRef.current = blockKey;
+    showNotification(
+      renderTemplate(templates.warning, {
+        label: timer.label,
+        task: taskTitle(selectedTaskId),
+        blocks: todayBlocks,
+        next: nextStep.label,
+        minutes: Math.round(timer.planned / 60),
+      }),
+      { actions: actionsFor("warning"), tag: "pomodoro" }
+    );
+  });
+  // Action buttons on a notification act on the timer as it is now
+  const notificationActionRef = useRef();
+  notificationActionRef.current = (action) => {
+    const isBreak = timer.mode !== "focus";
+    if (action === "add-5") {
+      send("extend", { minutes: 5 });
+    } else if (action === "snooze-5") {
+      snoozeBreak();
+    } else if (action === "skip-break") {
+      if (!isBreak) return;
+      acknowledgeAlarm();
+      send("skip");
+      startTimer();
+    } else if (action === "start-break" ? isBreak : !isBreak) {
+      if (!isRunning) startTimer();
+    }
+  };
+  useEffect(() => onNotificationAction((a) => notificationActionRef.current(a)), []);
+  // App shortcuts (manifest.json) open the app with ?start=focus|break
+  const jumpRef = useRef();
+  jumpRef.current = (kind) => {
+    acknowledgeAlarm();
+    setNow(Date.now());
+    send("jump", { kind });
+  };
+  useEffect(() => {
+    const kind = takeLaunchParam("start");
+    if (kind === "focus" || kind === "break") jumpRef.current(kind);
+  }, []);
 
-  // Keyboard shortcuts
+  // React to finished blocks (the one restored from storage was handled
+  // before the reload)
+  const handledEndRef = useRef(timer.ended?.id);
+  useEffect(() => {
+    const ended = timer.ended;
+    if (!ended || handledEndRef.current === ended.id) return;
+    handledEndRef.current = ended.id;
+    handleSessionEnd(ended);
+  });
+
+  // Keyboard shortcuts (see lib/shortcuts)
+  const shortcuts = useMemo(
+    () => normalizeShortcuts(settings.shortcuts),
+    [settings.shortcuts]
+  );
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const newTaskRef = useRef(null);
+  const keyActionsRef = useRef();
+  keyActionsRef.current = {
+    shortcuts,
+    toggleTimer: () => (isRunning ? pauseTimer() : startTimer()),
+    next: skipToNext,
+    reset: resetTimer,
+    extend: () => extendBlock(5),
+    addTask: focusNewTask,
+    nextTask: () => selectTask(1),
+    previousTask: () => selectTask(-1),
+    markDone: markSelectedDone,
+    toggleSettings: () => setUi((u) => ({ ...u, showSettings: !u.showSettings })),
+    help: () => setShowShortcuts((v) => !v),
+    palette: () => setShowPalette((v) => !v),
+  };
   useEffect(() => {
     const onKey = (e) => {
-      if (
-        e.target &&
-        (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA")
-      )
-        return;
-      if (e.code === "Space") {
-        e.preventDefault();
-        setIsRunning((r) => !r);
-      } else if (e.code === "KeyN") {
-        e.preventDefault();
-        skipToNext();
-      } else if (e.code === "KeyR") {
-        e.preventDefault();
-        resetTimer();
-      }
+      if (e.defaultPrevented) return;
+      const { shortcuts, ...actions } = keyActionsRef.current;
+      const action = actionForCombo(shortcuts, comboOf(e));
+      if (!action || (isTypingTarget(e.target) && !TYPING_ACTIONS.includes(action))) return;
+      e.preventDefault();
+      if (!e.repeat) actions[action]();
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [mode, secondsLeft, isRunning]);
+  }, []);
 
   // Tab title
   useEffect(() => {
-    document.title = `${modeTitle(mode)} • ${secondsToMMSS(
+    document.title = `${timer.label} • ${secondsToMMSS(
       secondsLeft
     )} — Pomodoro`;
-  }, [mode, secondsLeft]);
-
-  function modeTitle(m) {
-    return m === "focus" ? "Focus" : m === "short" ? "Short Break" : "Long Break";
-  }
+  }, [timer.label, secondsLeft]);
 
   function startTimer() {
-    setIsRunning(true);
+    acknowledgeAlarm();
+    setNow(Date.now());
+    send("start");
+  }
+  function setPauseReason(reason) {
+    send("pause-reason", { reason: openPause.reason === reason ? null : reason });
   }
   function pauseTimer() {
-    setIsRunning(false);
+    acknowledgeAlarm();
+    send("pause");
   }
-  function resetTimer(nextMode = mode) {
-    setIsRunning(false);
-    if (nextMode === "focus") setSecondsLeft(settings.focusMin * 60);
-    if (nextMode === "short") setSecondsLeft(settings.shortMin * 60);
-    if (nextMode === "long") setSecondsLeft(settings.longMin * 60);
-    setMode(nextMode);
+  function resetTimer() {
+    acknowledgeAlarm();
+    send("reset");
   }
 
   function skipToNext() {
-    setIsRunning(false);
-    handleSessionEnd(true); // mark as ended and jump
+    acknowledgeAlarm();
+    send("skip"); // mark as ended and jump
   }
 
-  async function handleSessionEnd(skip = false) {
+  // Adjusting the block in progress (see the extend / set-length / snooze
+  // events of lib/timerMachine)
+  const [editingLength, setEditingLength] = useState(false);
+  const blockStarted = isRunning || timer.remaining < timer.planned;
+  const snoozable = canSnooze(timer, now);
+  function extendBlock(minutes) {
+    send("extend", { minutes });
+  }
+  function finishNow() {
+    acknowledgeAlarm();
+    send("complete");
+  }
+  function setBlockLength(minutes) {
+    setEditingLength(false);
+    send("set-length", { minutes });
+  }
+  function snoozeBreak() {
+    acknowledgeAlarm();
+    setNow(Date.now());
+    send("snooze", { minutes: SNOOZE_MINUTES });
+  }
+
+  function handleSessionEnd({ mode: endedMode, label, session, voided }) {
+    setVoidedNotice(!!voided);
+    if (!isLeader) return; // the leading tab records it and rings
+    // A voided block is kept in history but credits nothing
+    if (voided) {
+      if (session) addSession(session).catch(reportHistoryError);
+      return;
+    }
     // Record session
-    const planned =
-      mode === "focus"
-        ? settings.focusMin * 60
-        : mode === "short"
-        ? settings.shortMin * 60
-        : settings.longMin * 60;
-    const actual = planned - secondsLeft;
-    if (actual > 0) {
-      const entry = {
-        id: crypto.randomUUID(),
-        date: new Date().toISOString(),
-        mode,
-        seconds: actual,
-        taskId: mode === "focus" ? selectedTaskId : null,
-      };
-      setHistory((h) => pruneOld([...h, entry]));
-      if (mode === "focus" && selectedTaskId) {
+    if (session) {
+      addSession(session)
+        .then(() => pruneSessions(settings.historyRetentionDays))
+        .catch(reportHistoryError);
+      if (session.taskId) {
         setTasks((ts) =>
           ts.map((t) =>
-            t.id === selectedTaskId
+            t.id === session.taskId && isOpen(t)
               ? { ...t, pomodoros: (t.pomodoros || 0) + 1 }
               : t
           )
         );
+        if (endedMode === "focus") setFinishPromptId(session.taskId);
       }
+      if (endedMode === "focus" && session.seconds > 0 && settings.reflectAfterFocus)
+        setReflectSession(session);
     }
 
-    if (settings.sound) beep(750, 180);
-    if (settings.notifications && (await ensureNotificationPermission())) {
-      const body =
-        mode === "focus"
-          ? "Focus block complete. Take a break!"
-          : "Break over. Back to focus.";
-      new Notification("Pomodoro", { body });
+    if (settings.sound) {
+      const tone = endedMode === "focus" ? sounds.focusEndTone : sounds.breakEndTone;
+      startAlarm(tone, sounds.alarmVolume, sounds.repeatAlarm);
+      setAlarmRinging(sounds.repeatAlarm);
     }
-
-    // Choose next mode
-    if (mode === "focus") {
-      const nextIsLong =
-        (completedFocusBlocks + 1) % clamp(settings.longInterval, 2, 12) === 0;
-      setCompletedFocusBlocks((n) => n + 1);
-      const nextMode = nextIsLong ? "long" : "short";
-      setMode(nextMode);
-      setSecondsLeft(
-        nextIsLong ? settings.longMin * 60 : settings.shortMin * 60
-      );
-      setIsRunning(settings.autoStartNext && !skip);
-    } else {
-      // from any break -> focus
-      setMode("focus");
-      setSecondsLeft(settings.focusMin * 60);
-      setIsRunning(settings.autoStartNext && !skip);
+    if (settings.notifications) {
+      // `timer` is already the next block; history may not include this one yet
+      const body = renderTemplate(templates[endedMode] || templates.focus, {
+        label,
+        task: taskTitle(session?.taskId ?? selectedTaskId),
+        blocks: todayBlocks + (endedMode === "focus" && session?.seconds > 0 ? 1 : 0),
+        next: timer.label,
+        minutes: Math.round((session?.planned ?? 0) / 60),
+      });
+      showNotification(body, {
+        actions: actionsFor(endedMode, { nextRunning: timer.isRunning }),
+        tag: "pomodoro",
+      });
     }
   }
 
-  function pruneOld(arr) {
-    // keep last 90 days
-    const cutoff = Date.now() - 90 * 24 * 3600 * 1000;
-    return arr.filter((e) => new Date(e.date).getTime() >= cutoff);
-  }
-
   // Progress ring
-  const totalSeconds =
-    mode === "focus"
-      ? settings.focusMin * 60
-      : mode === "short"
-      ? settings.shortMin * 60
-      : settings.longMin * 60;
+  const totalSeconds = timer.planned;
   const progress = 1 - secondsLeft / Math.max(1, totalSeconds);
+  const nextStep = upcomingStep(timer);
 
   // Aggregations
-  const today = todayKey();
-  const { todayFocusMin, todayBlocks } = useMemo(() => {
-    const tEntries = history.filter(
-      (h) => h.date.slice(0, 10) === today && h.mode === "focus"
+  const { dayStartHour } = settings;
+  const goals = useMemo(() => normalizeGoals(settings.goals), [settings.goals]);
+  const dayKey = dayKeyAt(new Date(now), dayStartHour);
+  // Keyed on the local day so the queries re-run when it rolls over
+  const today = `${dayKey}@${dayStartHour}`;
+  const { todayFocusMin, todayBlocks } = useHistoryQuery(
+    () => todayFocus(new Date(), dayStartHour),
+    today,
+    { todayFocusMin: 0, todayBlocks: 0 }
+  );
+  const weekTotals = useHistoryQuery(
+    () => weekFocus(new Date(), dayStartHour),
+    today,
+    EMPTY_TOTALS
+  );
+
+  const streak = useHistoryQuery(
+    () => computeStreak(new Date(), dayStartHour, goals),
+    `${today}|${JSON.stringify(goals)}`,
+    0
+  );
+
+  const restToday = isRestDay(goals, dayKey);
+  const dayGoal = goalProgress(
+    goalAmount(goals, { minutes: todayFocusMin, blocks: todayBlocks }),
+    restToday ? 0 : dailyTarget(goals, dayKey)
+  );
+  const weekGoal = goalProgress(goalAmount(goals, weekTotals), goals.weekly || 0);
+
+  const chartData = useHistoryQuery(
+    () => build7DayChart(new Date(), dayStartHour),
+    today,
+    []
+  );
+
+  function focusNewTask() {
+    setUi((u) => ({ ...u, showTasks: true }));
+    // The list may only render on the next frame
+    requestAnimationFrame(() => newTaskRef.current?.focus());
+  }
+  // Move the selection through the open tasks as the list shows them
+  function selectTask(step) {
+    const open = sortTasks(filterTasks(tasks, taskView), taskView.sort).filter(isOpen);
+    if (!open.length) return;
+    const i = open.findIndex((t) => t.id === selectedTaskId);
+    const next = i < 0 ? (step > 0 ? 0 : open.length - 1) : (i + step + open.length) % open.length;
+    setSelectedTaskId(open[next].id);
+  }
+  function markSelectedDone() {
+    if (!selectedTaskId) return;
+    setTasks((ts) =>
+      ts.map((t) => (t.id === selectedTaskId ? { ...t, done: true } : t))
     );
-    const secs = tEntries.reduce((a, b) => a + b.seconds, 0);
-    return { todayFocusMin: Math.round(secs / 60), todayBlocks: tEntries.length };
-  }, [history]);
-
-  const streak = useMemo(() => computeStreak(history), [history]);
-
-  const chartData = useMemo(() => build7DayChart(history), [history]);
-
-  // -------------- Tasks --------------
-  function addTask() {
-    const title = newTask.trim();
-    if (!title) return;
-    const task = { id: crypto.randomUUID(), title, pomodoros: 0, done: false };
-    setTasks((t) => [task, ...t]);
-    setNewTask("");
-    if (!selectedTaskId) setSelectedTaskId(task.id);
   }
-  function toggleTaskDone(id) {
+
+  function finishPromptedTask() {
     setTasks((ts) =>
-      ts.map((t) => (t.id === id ? { ...t, done: !t.done } : t))
+      ts.map((t) => (t.id === finishPromptId ? { ...t, done: true } : t))
     );
+    setFinishPromptId(null);
   }
-  function removeTask(id) {
-    setTasks((ts) => ts.filter((t) => t.id !== id));
-    if (selectedTaskId === id) setSelectedTaskId(null);
+
+  function saveReflection(fields) {
+    updateSession(reflectSession.id, fields).catch(reportHistoryError);
+    setReflectSession(null);
   }
+  const reflectTask = reflectSession?.taskId
+    ? tasks.find((t) => t.id === reflectSession.taskId)
+    : null;
 
-  // -------------- Export --------------
-  function exportCSV() {
-    const headers = ["id", "date", "mode", "seconds", "taskId"];
-    const rows = [headers.join(",")].concat(
-      history.map((h) =>
-        [h.id, h.date, h.mode, h.seconds, h.taskId || ""].join(",")
-      )
-    );
-    const blob = new Blob([rows.join("\n")], {
-      type: "text/csv;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `pomodoro_history_${today}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // -------------- CSV --------------
+  const [showCsv, setShowCsv] = useState(false);
+  function importSessions(sessions, newTasks) {
+    setTasks((ts) => applyCredits([...ts, ...newTasks], creditChanges([], sessions)));
+  }
+
+  // -------------- Backup --------------
+  const [showBackup, setShowBackup] = useState(false);
+  function restoreBackup(next) {
+    if (next.settings) setSettings(next.settings);
+    if (next.ui) setUi(next.ui);
+    if (next.tasks) setTasks(next.tasks);
+    if (next.presets) setPresets(next.presets);
+    if (next.sequences) setSequences(next.sequences);
   }
 
   // -------------- Presets --------------
-  function applyPreset(focus, short, long, interval) {
-    setSettings((s) => ({
-      ...s,
-      focusMin: focus,
-      shortMin: short,
-      longMin: long,
-      longInterval: interval,
-    }));
-    resetTimer("focus");
+  function applyPreset(preset) {
+    setSettings((s) => ({ ...s, ...pickPresetFields(preset) }));
+    send("reset", { stepIndex: 0 });
+  }
+
+  function selectSequence(id) {
+    setSettings((s) => ({ ...s, sequenceId: id }));
+  }
+
+  async function setNotifications(on) {
+    const ok = on && (await ensureNotificationPermission());
+    setSettings((s) => ({ ...s, notifications: ok }));
+  }
+
+  // -------------- Command palette --------------
+  const hasStep = (kind) => timer.sequence.steps.some((st) => st.kind === kind);
+  const commands = [
+    { id: "focus", label: "Start focus", run: () => jumpRef.current("focus") },
+    hasStep("short") && {
+      id: "short",
+      label: "Start short break",
+      run: () => jumpRef.current("short"),
+    },
+    hasStep("long") && {
+      id: "long",
+      label: "Start long break",
+      run: () => jumpRef.current("long"),
+    },
+    ...Object.entries(SHORTCUT_ACTIONS)
+      .filter(([action]) => action !== "palette")
+      .map(([action, { label }]) => ({
+        id: action,
+        label,
+        shortcut: shortcuts[action],
+        run: () => keyActionsRef.current[action](),
+      })),
+    ...presets.map((p) => ({
+      id: `preset-${p.id}`,
+      group: "Preset",
+      label: p.name,
+      keywords: `apply preset ${p.name}`,
+      run: () => applyPreset(p),
+    })),
+    ...tasks.filter(isOpen).map((t) => ({
+      id: `task-${t.id}`,
+      group: "Task",
+      label: t.title,
+      keywords: `switch task ${t.title}`,
+      run: () => setSelectedTaskId(t.id),
+    })),
+    {
+      id: "csv",
+      label: "Export history as CSV",
+      keywords: "export data download",
+      run: () => setShowCsv(true),
+    },
+    {
+      id: "backup",
+      label: "Back up all data",
+      keywords: "export data download json",
+      run: () => setShowBackup(true),
+    },
+    {
+      id: "sound",
+      label: settings.sound ? "Turn sound off" : "Turn sound on",
+      keywords: "toggle sound mute",
+      run: () => setSettings((s) => ({ ...s, sound: !s.sound })),
+    },
+    {
+      id: "notifications",
+      label: settings.notifications ? "Turn notifications off" : "Turn notifications on",
+      keywords: "toggle desktop notifications",
+      run: () => setNotifications(!settings.notifications),
+    },
+    { id: "stats", label: "Open statistics", run: () => navigate("/stats") },
+    { id: "room", label: "Start a focus room", run: () => navigate(`/room/${newRoomId()}`) },
+  ].filter(Boolean);
+  function newTaskCommands(title) {
+    if (!title) return [];
+    return [
+      {
+        id: "create-task",
+        label: `Create task “${title}”`,
+        run: () => {
+          const task = createTask(title);
+          setTasks((ts) => [task, ...ts]);
+          setSelectedTaskId(task.id);
+        },
+      },
+    ];
   }
 
   return (
@@ -489,6 +819,7 @@ export default function Pomodoro() {
             </div>
           </div>
           <div className="flex items-center gap-2">
+            <SyncIndicator />
             <Button
               variant="secondary"
               className="rounded-2xl"
@@ -503,12 +834,101 @@ export default function Pomodoro() {
                 <ChevronDown className="h-4 w-4 ml-1" />
               )}
             </Button>
-            <Button variant="secondary" className="rounded-2xl" onClick={exportCSV}>
-              <BarChart3 className="h-4 w-4 mr-2" /> Export CSV
+            <Button
+              variant="secondary"
+              className="rounded-2xl"
+              onClick={() => setShowCsv(true)}
+            >
+              <BarChart3 className="h-4 w-4 mr-2" /> CSV
+            </Button>
+            <Button
+              variant="secondary"
+              className="rounded-2xl"
+              onClick={() => setShowBackup(true)}
+            >
+              <HardDriveDownload className="h-4 w-4 mr-2" /> Backup
+            </Button>
+            <Button
+              variant="secondary"
+              className="rounded-2xl"
+              onClick={() => navigate(`/room/${newRoomId()}`)}
+            >
+              <Users className="h-4 w-4 mr-2" /> Room
             </Button>
           </div>
         </div>
 
+        <CommandPalette
+          open={showPalette}
+          commands={commands}
+          queryCommands={newTaskCommands}
+          onClose={() => setShowPalette(false)}
+        />
+        <ShortcutHelp
+          open={showShortcuts}
+          shortcuts={shortcuts}
+          onClose={() => setShowShortcuts(false)}
+        />
+        <BackupDialog
+          open={showBackup}
+          onClose={() => setShowBackup(false)}
+          state={{ settings, ui, tasks, presets, sequences }}
+          onRestore={restoreBackup}
+        />
+        <CsvDialog
+          open={showCsv}
+          onClose={() => setShowCsv(false)}
+          tasks={tasks}
+          dayStartHour={dayStartHour}
+          onImport={importSessions}
+        />
+        <SessionNoteDialog
+          session={reflectSession}
+          subtitle={
+            reflectSession &&
+            `${Math.round(reflectSession.seconds / 60)} min${
+              reflectTask ? ` on “${reflectTask.title}”` : ""
+            }`
+          }
+          onSave={saveReflection}
+          onClose={() => setReflectSession(null)}
+        />
+
+        {/* Storage problems */}
+        {storageIssues.length > 0 && (
+          <div className="flex items-start justify-between gap-3 rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-amber-900">
+            <div className="flex gap-2">
+              <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+              <div>
+                <div className="font-medium">
+                  Some saved data could not be read as-is
+                </div>
+                <ul className="mt-1 list-disc pl-4">
+                  {storageIssues.map((issue, i) => (
+                    <li key={i}>
+                      {issue.name}: {issue.message}
+                    </li>
+                  ))}
+                </ul>
+                {storageIssues.some((issue) => issue.kept !== false) && (
+                  <div className="mt-1 text-xs text-amber-700">
+                    The original data is kept in localStorage under the same key
+                    with a ".corrupt" suffix.
+                  </div>
+                )}
+              </div>
+            </div>
+            <Button
+              variant="ghost"
+              size="sm"
+              className="rounded-xl"
+              onClick={dismissStorageIssues}
+            >
+              Dismiss
+            </Button>
+          </div>
+        )}
+
         {/* Settings Panel */}
         <AnimatePresence initial={false}>
           {ui.showSettings && (
@@ -579,6 +999,14 @@ export default function Pomodoro() {
                         }))
                       }
                     />
+                    <div className="pt-4">
+                      <GoalSettings
+                        goals={goals}
+                        onChange={(next) =>
+                          setSettings((s) => ({ ...s, goals: next }))
+                        }
+                      />
+                    </div>
                   </div>
                   <div className="space-y-4">
                     <div className="flex items-center justify-between">
@@ -590,12 +1018,7 @@ export default function Pomodoro() {
                       </div>
                       <Switch
                         checked={settings.notifications}
-                        onCheckedChange={async (v) => {
-                          if (v) {
-                            const ok = await ensureNotificationPermission();
-                            setSettings((s) => ({ ...s, notifications: ok }));
-                          } else setSettings((s) => ({ ...s, notifications: false }));
-                        }}
+                        onCheckedChange={setNotifications}
                       />
                     </div>
                     <div className="flex items-center justify-between">
@@ -624,34 +1047,148 @@ export default function Pomodoro() {
                         }
                       />
                     </div>
-                    <div className="pt-2">
-                      <Label className="text-xs uppercase tracking-wide text-slate-500">
-                        Presets
-                      </Label>
-                      <div className="mt-2 grid grid-cols-3 gap-2">
-                        <Button
-                          variant="outline"
-                          className="rounded-xl"
-                          onClick={() => applyPreset(25, 5, 15, 4)}
-                        >
-                          25/5/15
-                        </Button>
-                        <Button
-                          variant="outline"
-                          className="rounded-xl"
-                          onClick={() => applyPreset(50, 10, 20, 3)}
-                        >
-                          50/10/20
-                        </Button>
-                        <Button
-                          variant="outline"
-                          className="rounded-xl"
-                          onClick={() => applyPreset(60, 10, 30, 3)}
-                        >
-                          60/10/30
-                        </Button>
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2">
+                        <NotebookPen className="h-4 w-4" />
+                        <Label className="cursor-pointer">
+                          Note &amp; rating after focus
+                        </Label>
+                      </div>
+                      <Switch
+                        checked={settings.reflectAfterFocus}
+                        onCheckedChange={(v) =>
+                          setSettings((s) => ({ ...s, reflectAfterFocus: v }))
+                        }
+                      />
+                    </div>
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <History className="h-4 w-4" />
+                        <Label>Keep history</Label>
+                      </div>
+                      <Select
+                        aria-label="Keep history"
+                        className="h-8 w-auto"
+                        value={settings.historyRetentionDays ?? ""}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            historyRetentionDays: e.target.value
+                              ? parseInt(e.target.value)
+                              : null,
+                          }))
+                        }
+                      >
+                        <option value="">Forever</option>
+                        <option value="365">1 year</option>
+                        <option value="180">6 months</option>
+                        <option value="90">90 days</option>
+                        <option value="30">30 days</option>
+                      </Select>
+                    </div>
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <PauseCircle className="h-4 w-4" />
+                        <Label>Void focus after a pause of</Label>
                       </div>
+                      <Select
+                        aria-label="Void focus after a pause of"
+                        className="h-8 w-auto"
+                        value={settings.voidAfterPauseMin ?? ""}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            voidAfterPauseMin: e.target.value
+                              ? parseInt(e.target.value)
+                              : null,
+                          }))
+                        }
+                      >
+                        <option value="">Never</option>
+                        <option value="2">2 min</option>
+                        <option value="5">5 min</option>
+                        <option value="10">10 min</option>
+                        <option value="15">15 min</option>
+                        <option value="30">30 min</option>
+                      </Select>
+                    </div>
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <Moon className="h-4 w-4" />
+                        <Label>Day starts at</Label>
+                      </div>
+                      <Select
+                        aria-label="Day starts at"
+                        className="h-8 w-auto"
+                        value={dayStartHour}
+                        onChange={(e) =>
+                          setSettings((s) => ({
+                            ...s,
+                            dayStartHour: parseInt(e.target.value),
+                          }))
+                        }
+                      >
+                        {[0, 1, 2, 3, 4, 5, 6].map((h) => (
+                          <option key={h} value={h}>
+                            {h === 0 ? "Midnight" : `${h}:00 AM`}
+                          </option>
+                        ))}
+                      </Select>
                     </div>
+                    <div className="pt-2">
+                      <PresetManager
+                        presets={presets}
+                        setPresets={setPresets}
+                        settings={settings}
+                        sequences={sequences}
+                        onApply={applyPreset}
+                      />
+                    </div>
+                  </div>
+                  {(settings.sound || settings.notifications) && (
+                    <div className="md:col-span-3 border-t border-slate-200 pt-4 grid md:grid-cols-2 gap-6">
+                      {settings.sound && (
+                        <SoundSettings
+                          sounds={sounds}
+                          noisePlaying={noiseKind !== "off"}
+                          onChange={(next) =>
+                            setSettings((s) => ({ ...s, sounds: next }))
+                          }
+                        />
+                      )}
+                      {settings.notifications && (
+                        <NotificationSettings
+                          templates={templates}
+                          warnBeforeEnd={settings.warnBeforeEnd}
+                          onTemplatesChange={(next) =>
+                            setSettings((s) => ({ ...s, notifyTemplates: next }))
+                          }
+                          onWarnChange={(v) =>
+                            setSettings((s) => ({ ...s, warnBeforeEnd: v }))
+                          }
+                        />
+                      )}
+                    </div>
+                  )}
+                  <div className="md:col-span-3 border-t border-slate-200 pt-4">
+                    <ShortcutSettings
+                      shortcuts={shortcuts}
+                      onChange={(next) =>
+                        setSettings((s) => ({ ...s, shortcuts: next }))
+                      }
+                    />
+                  </div>
+                  <div className="md:col-span-3 border-t border-slate-200 pt-4">
+                    <SyncSettings />
+                  </div>
+                  <div className="md:col-span-3 border-t border-slate-200 pt-4">
+                    <SequenceEditor
+                      sequences={sequences}
+                      setSequences={setSequences}
+                      activeId={activeSequence?.id || null}
+                      onSelect={selectSequence}
+                      classic={classic}
+                    />
                   </div>
                 </CardContent>
               </Card>
@@ -667,8 +1204,38 @@ export default function Pomodoro() {
               <div className="flex flex-col md:flex-row gap-6">
                 {/* Big timer + ring */}
                 <div className="flex-1 flex flex-col items-center justify-center">
+                  <div className="mb-3 flex items-center gap-2">
+                    <Select
+                      aria-label="Preset"
+                      className="h-8 w-auto text-xs"
+                      value={currentPreset?.id || ""}
+                      onChange={(e) => {
+                        const preset = presets.find((p) => p.id === e.target.value);
+                        if (preset) applyPreset(preset);
+                      }}
+                    >
+                      {!currentPreset && <option value="">Custom settings</option>}
+                      {presets.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.isDefault ? "★ " : ""}
+                          {p.name} · {presetSummary(p, sequences)}
+                        </option>
+                      ))}
+                    </Select>
+                    {defaultPreset(presets) &&
+                      currentPreset?.id !== defaultPreset(presets).id && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="rounded-xl h-8 text-xs"
+                          onClick={() => applyPreset(defaultPreset(presets))}
+                        >
+                          Reset to default
+                        </Button>
+                      )}
+                  </div>
                   <div className="text-sm font-medium text-slate-500 mb-2">
-                    {modeTitle(mode)}
+                    {timer.label}
                   </div>
                   <div className="relative h-56 w-56">
                     <svg className="absolute inset-0" viewBox="0 0 120 120">
@@ -685,14 +1252,14 @@ export default function Pomodoro() {
                         cy="60"
                         r="54"
                         fill="none"
-                        stroke="currentColor"
+                        stroke={timer.color}
                         strokeWidth="10"
                         strokeLinecap="round"
                         strokeDasharray={`${Math.max(1, 2 * Math.PI * 54)}`}
                         strokeDashoffset={`${
                           (1 - progress) * (2 * Math.PI * 54)
                         }`}
-                        className="text-red-500 transition-[stroke-dashoffset] duration-1000 ease-linear"
+                        className="transition-[stroke-dashoffset] duration-1000 ease-linear"
                         transform="rotate(-90 60 60)"
                       />
                     </svg>
@@ -705,7 +1272,8 @@ export default function Pomodoro() {
                   <div className="mt-4 flex items-center gap-2">
                     {!isRunning ? (
                       <Button className="rounded-2xl px-6" onClick={startTimer}>
-                        <Play className="h-4 w-4 mr-2" /> Start (Space)
+                        <Play className="h-4 w-4 mr-2" /> Start
+                        {shortcuts.toggleTimer && ` (${formatCombo(shortcuts.toggleTimer)})`}
                       </Button>
                     ) : (
                       <Button
@@ -713,7 +1281,8 @@ export default function Pomodoro() {
                         className="rounded-2xl px-6"
                         onClick={pauseTimer}
                       >
-                        <Pause className="h-4 w-4 mr-2" /> Pause (Space)
+                        <Pause className="h-4 w-4 mr-2" /> Pause
+                        {shortcuts.toggleTimer && ` (${formatCombo(shortcuts.toggleTimer)})`}
                       </Button>
                     )}
                     <Button
@@ -721,24 +1290,198 @@ export default function Pomodoro() {
                       className="rounded-2xl"
                       onClick={() => resetTimer()}
                     >
-                      <RotateCcw className="h-4 w-4 mr-2" /> Reset (R)
+                      <RotateCcw className="h-4 w-4 mr-2" /> Reset
+                      {shortcuts.reset && ` (${formatCombo(shortcuts.reset)})`}
                     </Button>
                     <Button
                       variant="ghost"
                       className="rounded-2xl"
                       onClick={skipToNext}
                     >
-                      <SkipForward className="h-4 w-4 mr-2" /> Next (N)
+                      <SkipForward className="h-4 w-4 mr-2" /> Next
+                      {shortcuts.next && ` (${formatCombo(shortcuts.next)})`}
+                    </Button>
+                  </div>
+                  {(blockStarted || snoozable) && (
+                    <div
+                      role="group"
+                      aria-label="Adjust block"
+                      className="mt-2 flex flex-wrap items-center justify-center gap-1"
+                    >
+                      {snoozable && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="rounded-xl"
+                          onClick={snoozeBreak}
+                        >
+                          <AlarmClock className="h-4 w-4 mr-1" /> Snooze break{" "}
+                          {SNOOZE_MINUTES} min
+                        </Button>
+                      )}
+                      {blockStarted && (
+                        <>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="rounded-xl"
+                            onClick={() => extendBlock(1)}
+                          >
+                            +1 min
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="rounded-xl"
+                            onClick={() => extendBlock(5)}
+                          >
+                            +5 min
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="rounded-xl"
+                            onClick={() => setEditingLength(true)}
+                          >
+                            <Clock className="h-4 w-4 mr-1" /> Length
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            className="rounded-xl"
+                            onClick={finishNow}
+                          >
+                            <Flag className="h-4 w-4 mr-1" /> Finish now
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                  <BlockLengthDialog
+                    open={editingLength}
+                    planned={timer.planned}
+                    spent={timer.planned - secondsLeft}
+                    onSave={setBlockLength}
+                    onClose={() => setEditingLength(false)}
+                  />
+                  {openPause && (
+                    <div
+                      role="group"
+                      aria-label="Pause reason"
+                      className="mt-3 flex flex-col items-center gap-2 text-sm"
+                    >
+                      <div className="flex flex-wrap items-center justify-center gap-2">
+                        <span className="flex items-center gap-1 text-slate-600">
+                          <PauseCircle className="h-4 w-4" /> Paused{" "}
+                          {secondsToMMSS(pausedSeconds)} · interrupted by
+                        </span>
+                        {Object.entries(PAUSE_REASONS).map(([reason, label]) => (
+                          <Button
+                            key={reason}
+                            size="sm"
+                            variant={openPause.reason === reason ? "primary" : "outline"}
+                            aria-pressed={openPause.reason === reason}
+                            title={
+                              reason === "internal"
+                                ? "You broke off yourself"
+                                : "Someone or something interrupted you"
+                            }
+                            className="rounded-xl"
+                            onClick={() => setPauseReason(reason)}
+                          >
+                            {label}
+                          </Button>
+                        ))}
+                      </div>
+                      {pauseLimitSeconds > 0 && (
+                        <div
+                          className={cx(
+                            "text-xs",
+                            pausedSeconds >= pauseLimitSeconds
+                              ? "text-red-600"
+                              : "text-slate-500"
+                          )}
+                        >
+                          {pausedSeconds >= pauseLimitSeconds
+                            ? "Paused too long: resuming starts this block over."
+                            : `This block is void after a ${settings.voidAfterPauseMin}-minute pause.`}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {alarmRinging && (
+                    <Button
+                      size="sm"
+                      className="mt-3 rounded-xl"
+                      onClick={acknowledgeAlarm}
+                    >
+                      <BellOff className="h-4 w-4 mr-2" /> Stop alarm
                     </Button>
+                  )}
+                  {voidedNotice && (
+                    <div
+                      role="status"
+                      className="mt-3 flex items-center gap-2 rounded-xl bg-amber-50 px-3 py-1.5 text-xs text-amber-900"
+                    >
+                      The paused block was voided and started over.
+                      <button
+                        className="font-medium underline"
+                        onClick={() => setVoidedNotice(false)}
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                  )}
+                  <div className="mt-3 flex items-center gap-1">
+                    {timer.sequence.steps.map((st, i) => (
+                      <span
+                        key={st.id}
+                        title={`${st.label} · ${st.minutes} min${
+                          st.repeat > 1 ? ` ×${st.repeat}` : ""
+                        }`}
+                        className={cx(
+                          "h-1.5 rounded-full",
+                          i === timer.stepIndex && !timer.fromFirstStep
+                            ? "w-6"
+                            : "w-3 opacity-30"
+                        )}
+                        style={{ backgroundColor: st.color }}
+                      />
+                    ))}
                   </div>
-                  <div className="mt-3 text-xs text-slate-500">
-                    Long break in{" "}
-                    <span className="font-semibold">
-                      {settings.longInterval -
-                        (completedFocusBlocks % settings.longInterval)}
-                    </span>{" "}
-                    focus block(s)
+                  <div className="mt-2 text-xs text-slate-500">
+                    {timer.sequence.name} • Up next:{" "}
+                    <span className="font-semibold">{nextStep.label}</span> (
+                    {nextStep.minutes} min)
                   </div>
+                  {finishPromptTask && (
+                    <div
+                      role="group"
+                      aria-label="Task finished?"
+                      className="mt-4 w-full max-w-sm rounded-2xl border border-slate-200 bg-slate-50 p-3 text-sm"
+                    >
+                      <div className="text-slate-700">
+                        Focus block done. Is “{finishPromptTask.title}” finished?
+                      </div>
+                      <div className="mt-2 flex justify-end gap-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="rounded-xl"
+                          onClick={() => setFinishPromptId(null)}
+                        >
+                          Not yet
+                        </Button>
+                        <Button
+                          size="sm"
+                          className="rounded-xl"
+                          onClick={finishPromptedTask}
+                        >
+                          Yes, mark done
+                        </Button>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Side stats */}
@@ -752,6 +1495,16 @@ export default function Pomodoro() {
                     <div className="text-xs text-slate-500">
                       {todayBlocks} block{todayBlocks === 1 ? "" : "s"}
                     </div>
+                    {restToday ? (
+                      <div className="mt-3 text-xs text-slate-500">Rest day</div>
+                    ) : (
+                      dayGoal.target > 0 && (
+                        <GoalBar label="Daily goal" progress={dayGoal} goals={goals} />
+                      )
+                    )}
+                    {weekGoal.target > 0 && (
+                      <GoalBar label="This week" progress={weekGoal} goals={goals} />
+                    )}
                   </div>
                   <div className="rounded-2xl p-4 bg-slate-50 border border-slate-200">
                     <div className="flex items-center justify-between text-sm text-slate-600">
@@ -762,7 +1515,9 @@ export default function Pomodoro() {
                       {streak} day{streak === 1 ? "" : "s"}
                     </div>
                     <div className="text-xs text-slate-500">
-                      Consecutive days with focus
+                      {goals.streakMode === "goal"
+                        ? "Consecutive days meeting your goal"
+                        : "Consecutive days with focus"}
                     </div>
                   </div>
                 </div>
@@ -772,6 +1527,12 @@ export default function Pomodoro() {
               <div className="mt-6">
                 <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
                   <BarChart3 className="h-4 w-4" /> Last 7 days (focus minutes)
+                  <Link
+                    to="/stats"
+                    className="ml-auto text-xs text-red-600 hover:underline"
+                  >
+                    All statistics →
+                  </Link>
                 </div>
                 <div className="h-48 w-full">
                   <ResponsiveContainer width="100%" height="100%">
@@ -807,76 +1568,18 @@ export default function Pomodoro() {
                     animate={{ opacity: 1, y: 0 }}
                     exit={{ opacity: 0, y: -4 }}
                   >
-                    <div className="flex gap-2 mb-4">
-                      <Input
-                        placeholder="Add a task…"
-                        value={newTask}
-                        onChange={(e) => setNewTask(e.target.value)}
-                        onKeyDown={(e) => e.key === "Enter" && addTask()}
-                      />
-                      <Button className="rounded-2xl" onClick={addTask}>
-                        <Plus className="h-4 w-4" />
-                      </Button>
-                    </div>
-                    <div className="space-y-2 max-h-72 overflow-auto pr-1">
-                      {tasks.length === 0 && (
-                        <div className="text-sm text-slate-500">
-                          No tasks yet. Add one and select it to tie focus blocks.
-                        </div>
-                      )}
-                      {tasks.map((t) => (
-                        <div
-                          key={t.id}
-                          className={cx(
-                            "flex items-center gap-2 p-3 rounded-xl border",
-                            selectedTaskId === t.id
-                              ? "border-red-300 bg-red-50"
-                              : "border-slate-200"
-                          )}
-                        >
-                          <button
-                            className={cx(
-                              "h-4 w-4 rounded border flex items-center justify-center",
-                              t.done ? "bg-green-500 border-green-500" : "border-slate-300"
-                            )}
-                            onClick={() => toggleTaskDone(t.id)}
-                            aria-label="Toggle done"
-                          >
-                            {t.done && (
-                              <CheckCircle2 className="h-3 w-3 text-white" />
-                            )}
-                          </button>
-                          <button
-                            className="flex-1 text-left"
-                            onClick={() => setSelectedTaskId(t.id)}
-                          >
-                            <div
-                              className={cx(
-                                "text-sm",
-                                t.done
-                                  ? "line-through text-slate-400"
-                                  : "text-slate-800"
-                              )}
-                            >
-                              {t.title}
-                            </div>
-                            <div className="text-xs text-slate-500">
-                              {t.pomodoros || 0} pomodoro
-                              {(t.pomodoros || 0) === 1 ? "" : "s"}
-                            </div>
-                          </button>
-                          <Button
-                            variant="ghost"
-                            size="sm"
-                            className="rounded-xl h-8"
-                            onClick={() => removeTask(t.id)}
-                            aria-label="Delete"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </Button>
-                        </div>
-                      ))}
-                    </div>
+                    <TaskList
+                      tasks={tasks}
+                      setTasks={setTasks}
+                      selectedTaskId={selectedTaskId}
+                      setSelectedTaskId={setSelectedTaskId}
+                      view={taskView}
+                      setView={(patch) =>
+                        setUi((u) => ({ ...u, taskView: { ...taskView, ...patch } }))
+                      }
+                      today={dayKey}
+                      inputRef={newTaskRef}
+                    />
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -895,57 +1598,28 @@ export default function Pomodoro() {
         {/* Footer tips */}
         <div className="text-xs text-slate-500 flex flex-col md:flex-row items-start md:items-center justify-between gap-2">
           <div>
-            Shortcuts: <span className="font-semibold">Space</span> start/pause •{" "}
-            <span className="font-semibold">N</span> next •{" "}
-            <span className="font-semibold">R</span> reset
+            Shortcuts:{" "}
+            <span className="font-semibold">{formatCombo(shortcuts.toggleTimer)}</span>{" "}
+            start/pause • <span className="font-semibold">{formatCombo(shortcuts.next)}</span>{" "}
+            next •{" "}
+            <button className="underline" onClick={() => setShowShortcuts(true)}>
+              all shortcuts
+              {shortcuts.help && ` (${formatCombo(shortcuts.help)})`}
+            </button>{" "}
+            •{" "}
+            <button className="underline" onClick={() => setShowPalette(true)}>
+              commands
+              {shortcuts.palette && ` (${formatCombo(shortcuts.palette)})`}
+            </button>
           </div>
           <div className="opacity-80">
-            Built for you — stay consistent and aim for 3–5 high-quality blocks daily.
+            Built for you — stay consistent
+            {dayGoal.target > 0 &&
+              ` and reach ${formatGoal(goals, dayGoal.target)} today`}
+            .
           </div>
         </div>
       </div>
     </div>
   );
 }
-
-// -------------------- Helpers --------------------
-function build7DayChart(history) {
-  // Build last 7 days from oldest to newest
-  const days = [];
-  const now = new Date();
-  for (let i = 6; i >= 0; i--) {
-    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
-    days.push({
-      key: d.toISOString().slice(0, 10),
-      label: d
-        .toLocaleDateString(undefined, { weekday: "short" })
-        .toUpperCase(),
-    });
-  }
-  const map = Object.fromEntries(days.map((d) => [d.key, 0]));
-  history.forEach((h) => {
-    const key = h.date.slice(0, 10);
-    if (h.mode === "focus" && key in map) map[key] += Math.round(h.seconds / 60);
-  });
-  return days.map((d) => ({ day: d.label, minutes: map[d.key] }));
-}
-
-function computeStreak(history) {
-  if (!history.length) return 0;
-  // get unique dates where focus > 0
-  const byDate = new Map();
-  history.forEach((h) => {
-    const key = h.date.slice(0, 10);
-    if (h.mode === "focus") byDate.set(key, (byDate.get(key) || 0) + h.seconds);
-  });
-  let streak = 0;
-  const now = new Date();
-  for (let i = 0; ; i++) {
-    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
-    const key = d.toISOString().slice(0, 10);
-    const has = (byDate.get(key) || 0) > 0;
-    if (has) streak++;
-    else break;
-  }
-  return streak;
-}
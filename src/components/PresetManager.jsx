@@ -0,0 +1,195 @@
+import React, { useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  Check,
+  Pencil,
+  Plus,
+  RefreshCw,
+  Star,
+  Trash2,
+} from "lucide-react";
+import { Button, Input, Label, cx } from "./ui";
+import {
+  matchPreset,
+  pickPresetFields,
+  presetFromSettings,
+  presetSummary,
+} from "../lib/presets";
+
+/**
+ * Preset manager — save the current settings as a named preset, then apply,
+ * rename, overwrite, reorder, delete or mark presets as the default.
+ */
+export default function PresetManager({
+  presets,
+  setPresets,
+  settings,
+  sequences,
+  onApply,
+}) {
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const current = matchPreset(presets, settings);
+
+  function savePreset() {
+    const name = newName.trim();
+    if (!name) return;
+    setPresets((ps) => [...ps, presetFromSettings(name, settings)]);
+    setNewName("");
+  }
+  function update(id, patch) {
+    setPresets((ps) => ps.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+  function move(index, delta) {
+    setPresets((ps) => {
+      const target = index + delta;
+      if (target < 0 || target >= ps.length) return ps;
+      const next = [...ps];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }
+  function toggleDefault(id) {
+    setPresets((ps) =>
+      ps.map((p) => ({ ...p, isDefault: p.id === id ? !p.isDefault : false }))
+    );
+  }
+  function startEdit(p) {
+    setEditingId(p.id);
+    setEditName(p.name);
+  }
+  function finishEdit() {
+    const name = editName.trim();
+    if (name) update(editingId, { name });
+    setEditingId(null);
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-xs uppercase tracking-wide text-slate-500">
+        Presets
+      </Label>
+      {presets.length === 0 && (
+        <div className="text-sm text-slate-500">
+          No presets yet. Save your current settings below.
+        </div>
+      )}
+      {presets.map((p, i) => (
+        <div
+          key={p.id}
+          className={cx(
+            "flex items-center gap-1 p-2 rounded-xl border",
+            current?.id === p.id ? "border-red-300 bg-red-50" : "border-slate-200"
+          )}
+        >
+          <button
+            className={cx(
+              "p-1 rounded-lg",
+              p.isDefault ? "text-amber-500" : "text-slate-300 hover:text-slate-500"
+            )}
+            onClick={() => toggleDefault(p.id)}
+            aria-label={p.isDefault ? "Unset default" : "Make default"}
+            title={p.isDefault ? "Default preset" : "Make default"}
+          >
+            <Star className="h-4 w-4" fill={p.isDefault ? "currentColor" : "none"} />
+          </button>
+          {editingId === p.id ? (
+            <Input
+              autoFocus
+              className="h-8"
+              value={editName}
+              onChange={(e) => setEditName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && finishEdit()}
+              onBlur={finishEdit}
+            />
+          ) : (
+            <button className="flex-1 text-left" onClick={() => onApply(p)}>
+              <div className="text-sm text-slate-800">{p.name}</div>
+              <div className="text-xs text-slate-500">
+                {presetSummary(p, sequences)}
+              </div>
+            </button>
+          )}
+          {editingId === p.id ? (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="rounded-xl px-2"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={finishEdit}
+              aria-label="Save name"
+            >
+              <Check className="h-4 w-4" />
+            </Button>
+          ) : (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="rounded-xl px-2"
+              onClick={() => startEdit(p)}
+              aria-label="Rename"
+            >
+              <Pencil className="h-4 w-4" />
+            </Button>
+          )}
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl px-2"
+            onClick={() => update(p.id, pickPresetFields(settings))}
+            aria-label="Update from current settings"
+            title="Update from current settings"
+          >
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl px-2"
+            disabled={i === 0}
+            onClick={() => move(i, -1)}
+            aria-label="Move up"
+          >
+            <ArrowUp className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl px-2"
+            disabled={i === presets.length - 1}
+            onClick={() => move(i, 1)}
+            aria-label="Move down"
+          >
+            <ArrowDown className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl px-2"
+            onClick={() => setPresets((ps) => ps.filter((x) => x.id !== p.id))}
+            aria-label="Delete preset"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex gap-2 pt-1">
+        <Input
+          placeholder="Save current settings as…"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && savePreset()}
+        />
+        <Button
+          className="rounded-2xl"
+          onClick={savePreset}
+          aria-label="Save preset"
+        >
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
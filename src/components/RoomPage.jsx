@@ -0,0 +1,364 @@
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  Crown,
+  Link2,
+  Pause,
+  Play,
+  RotateCcw,
+  SkipForward,
+  Users,
+  WifiOff,
+} from "lucide-react";
+import { Button, Card, CardContent, Input, Label, Select, cx } from "./ui";
+import { useRoom } from "../hooks/useRoom";
+import { useStoredState } from "../hooks/useStoredState";
+import { addSession, reportHistoryError } from "../lib/historyDb";
+import { loadRecord } from "../lib/storage";
+import { isOpen } from "../lib/tasks";
+import { normalizeSounds, playTone } from "../lib/sound";
+import { remainingSeconds } from "../lib/timerMachine";
+import { DEFAULT_SYNC_CONFIG } from "../lib/sync";
+import {
+  ROOM_ID_PATTERN,
+  ROOM_SETTINGS_DEFAULTS,
+  hostTimerFrom,
+  newRoomId,
+  publicTimer,
+  roomSession,
+  roomSocketUrl,
+  roomTimerReducer,
+} from "../lib/room";
+
+/**
+ * Focus room (/room/:id) — a timer shared by everyone who opens the same
+ * link (see lib/room). The host starts, pauses and skips for the room; the
+ * others follow and can ask the host to hand the timer over. Each person picks their own task
+ * and gets the finished blocks in their own history. Uses the server set for
+ * sync, which can also be entered here.
+ */
+
+const pad = (n) => String(n).padStart(2, "0");
+const secondsToMMSS = (s) => `${pad(Math.floor(s / 60))}:${pad(s % 60)}`;
+
+export default function RoomPage() {
+  const { id } = useParams();
+  const [settings] = useState(() => loadRecord("settings", ROOM_SETTINGS_DEFAULTS));
+  const [server, setServer] = useStoredState("sync", DEFAULT_SYNC_CONFIG);
+  const [profileDefaults] = useState(() => ({ name: "", taskId: null, deviceId: newRoomId() }));
+  const [profile, setProfile] = useStoredState("room", profileDefaults);
+  const [tasks, setTasks] = useStoredState("tasks", []);
+  const openTasks = tasks.filter(isOpen);
+  const task = openTasks.find((t) => t.id === profile.taskId) || null;
+
+  const validId = ROOM_ID_PATTERN.test(id);
+  const url = useMemo(() => {
+    if (!validId || !/^https?:\/\/\S+$/.test(server.serverUrl)) return null;
+    try {
+      return roomSocketUrl(server.serverUrl, id, server.token);
+    } catch {
+      return null;
+    }
+  }, [validId, id, server.serverUrl, server.token]);
+  const [room, send, dismissRequest] = useRoom(url, {
+    name: profile.name,
+    task: task?.title || "",
+  });
+  const isHost = !!room.you && room.hostId === room.you;
+  // Asked the current host for the timer
+  const [askedHost, setAskedHost] = useState(null);
+
+  // The host runs the timer machine; it picks up the room's timer on taking over
+  const [hostTimer, dispatch] = useReducer(roomTimerReducer, null);
+  const roomTimerRef = useRef(room.timer);
+  roomTimerRef.current = room.timer;
+  useEffect(() => {
+    if (isHost)
+      dispatch({ type: "adopt", state: hostTimerFrom(settings, roomTimerRef.current) });
+  }, [isHost, settings]);
+  useEffect(() => {
+    if (isHost && hostTimer) send({ type: "timer", timer: publicTimer(hostTimer, Date.now()) });
+  }, [isHost, hostTimer, send]);
+
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      if (isHost) dispatch({ type: "tick", now: t });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [isHost]);
+
+  const shown = isHost && hostTimer ? hostTimer : room.timer;
+
+  // Record blocks the room finishes from now on, with our own task
+  const seenEndRef = useRef(undefined);
+  useEffect(() => {
+    if (!shown) return;
+    const ended = shown.ended;
+    if (seenEndRef.current === undefined || !ended || seenEndRef.current === ended.id) {
+      seenEndRef.current = ended?.id ?? null;
+      return;
+    }
+    seenEndRef.current = ended.id;
+    const session = roomSession(ended, {
+      roomId: id,
+      taskId: task?.id,
+      deviceId: profile.deviceId,
+    });
+    if (session) addSession(session).catch(reportHistoryError);
+    // A voided block is kept in history but credits nothing
+    if (session?.taskId && !ended.voided)
+      setTasks((ts) =>
+        ts.map((t) =>
+          t.id === session.taskId && isOpen(t)
+            ? { ...t, pomodoros: (t.pomodoros || 0) + 1 }
+            : t
+        )
+      );
+    if (settings.sound) {
+      const sounds = normalizeSounds(settings.sounds);
+      playTone(ended.mode === "focus" ? sounds.focusEndTone : sounds.breakEndTone, sounds.alarmVolume);
+    }
+  }, [shown, id, task, profile.deviceId, settings, setTasks]);
+
+  const act = (type) => dispatch({ type, now: Date.now() });
+  const secondsLeft = shown ? remainingSeconds(shown, now) : 0;
+  const host = room.members.find((m) => m.id === room.hostId);
+  const nameOf = (memberId) => room.members.find((m) => m.id === memberId)?.name || "Someone";
+  const askForTimer = () => {
+    send({ type: "claim-host" });
+    setAskedHost(room.hostId);
+  };
+  const handOver = (memberId) => {
+    send({ type: "hand-over", to: memberId });
+    dismissRequest(memberId);
+  };
+  const [copied, setCopied] = useState(false);
+  const copyLink = () =>
+    navigator.clipboard?.writeText(window.location.href).then(() => setCopied(true));
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-white to-slate-50 text-slate-900 p-4 md:p-8">
+      <div className="mx-auto max-w-4xl space-y-6">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Link
+              to="/"
+              aria-label="Back to timer"
+              className="p-2 rounded-2xl bg-slate-100 hover:bg-slate-200"
+            >
+              <ArrowLeft className="h-5 w-5" />
+            </Link>
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold">Focus room</h1>
+              <p className="text-sm text-slate-500">Room {id}</p>
+            </div>
+          </div>
+          <Button variant="secondary" className="rounded-2xl" onClick={copyLink}>
+            <Link2 className="h-4 w-4 mr-2" /> {copied ? "Link copied" : "Copy invite link"}
+          </Button>
+        </div>
+
+        {!validId && (
+          <Card>
+            <CardContent className="text-sm text-red-600">
+              Room names use letters, digits, - and _ only.
+            </CardContent>
+          </Card>
+        )}
+
+        {validId && !url && (
+          <ServerForm
+            config={server}
+            onSave={(serverUrl, token) => setServer((c) => ({ ...c, serverUrl, token }))}
+          />
+        )}
+
+        {url && (
+          <div className="grid md:grid-cols-3 gap-6">
+            <Card className="md:col-span-2">
+              <CardContent className="flex flex-col items-center gap-4 py-8">
+                {room.status !== "open" ? (
+                  <div className="flex items-center gap-2 text-slate-500">
+                    <WifiOff className="h-4 w-4" />
+                    {room.status === "connecting" ? "Connecting…" : "Disconnected, retrying…"}
+                  </div>
+                ) : (
+                  <div className="text-sm text-slate-500">
+                    {isHost ? "You run the timer" : `${host?.name || "Someone"} runs the timer`}
+                  </div>
+                )}
+                <div
+                  className="text-sm font-semibold uppercase tracking-wide"
+                  style={{ color: shown?.color }}
+                >
+                  {shown?.label || "Waiting for the host"}
+                </div>
+                <div className="text-6xl md:text-7xl font-bold tabular-nums">
+                  {secondsToMMSS(secondsLeft)}
+                </div>
+                {isHost && hostTimer ? (
+                  <div className="flex gap-2">
+                    {hostTimer.isRunning ? (
+                      <Button className="rounded-2xl" onClick={() => act("pause")}>
+                        <Pause className="h-4 w-4 mr-2" /> Pause
+                      </Button>
+                    ) : (
+                      <Button className="rounded-2xl" onClick={() => act("start")}>
+                        <Play className="h-4 w-4 mr-2" /> Start
+                      </Button>
+                    )}
+                    <Button variant="secondary" className="rounded-2xl" onClick={() => act("skip")}>
+                      <SkipForward className="h-4 w-4 mr-2" /> Skip
+                    </Button>
+                    <Button variant="ghost" className="rounded-2xl" onClick={() => act("reset")}>
+                      <RotateCcw className="h-4 w-4 mr-2" /> Reset
+                    </Button>
+                  </div>
+                ) : (
+                  room.status === "open" && (
+                    <Button
+                      variant="secondary"
+                      className="rounded-2xl"
+                      disabled={askedHost === room.hostId}
+                      onClick={askForTimer}
+                    >
+                      <Crown className="h-4 w-4 mr-2" />
+                      {askedHost === room.hostId
+                        ? `Asked ${host?.name || "the host"} for the timer`
+                        : "Ask to run the timer"}
+                    </Button>
+                  )
+                )}
+                {isHost &&
+                  room.requests.map((memberId) => (
+                    <div
+                      key={memberId}
+                      className="flex flex-wrap items-center gap-2 rounded-xl bg-amber-50 p-2 text-sm text-amber-800"
+                    >
+                      {nameOf(memberId)} asks to run the timer.
+                      <Button size="sm" variant="secondary" onClick={() => handOver(memberId)}>
+                        Hand over
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => dismissRequest(memberId)}>
+                        Keep
+                      </Button>
+                    </div>
+                  ))}
+              </CardContent>
+            </Card>
+
+            <div className="space-y-6">
+              <Card>
+                <CardContent className="space-y-3">
+                  <div className="space-y-1">
+                    <Label htmlFor="room-name">Your name</Label>
+                    <Input
+                      id="room-name"
+                      placeholder="Guest"
+                      maxLength={40}
+                      value={profile.name}
+                      onChange={(e) => setProfile((p) => ({ ...p, name: e.target.value }))}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="room-task">Working on</Label>
+                    <Select
+                      id="room-task"
+                      value={task?.id || ""}
+                      onChange={(e) => setProfile((p) => ({ ...p, taskId: e.target.value || null }))}
+                    >
+                      <option value="">No task</option>
+                      {openTasks.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.title}
+                        </option>
+                      ))}
+                    </Select>
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    Finished blocks go into your own history.
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardContent className="space-y-2">
+                  <div className="flex items-center gap-2 text-sm font-semibold">
+                    <Users className="h-4 w-4" /> In the room ({room.members.length})
+                  </div>
+                  <ul className="space-y-1 text-sm">
+                    {room.members.map((m) => (
+                      <li key={m.id} className="flex items-center justify-between gap-2">
+                        <span className={cx("font-medium", m.id === room.you && "text-red-600")}>
+                          {m.name}
+                          {m.id === room.you && " (you)"}
+                          {m.id === room.hostId && (
+                            <Crown className="inline h-3 w-3 ml-1 text-amber-500" />
+                          )}
+                        </span>
+                        <span className="truncate text-slate-500">{m.task}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </CardContent>
+              </Card>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Address of the bundled server, for when sync has not set one up
+function ServerForm({ config, onSave }) {
+  const [serverUrl, setServerUrl] = useState(config.serverUrl);
+  const [token, setToken] = useState(config.token);
+  const valid = /^https?:\/\/\S+$/.test(serverUrl.trim());
+
+  return (
+    <Card>
+      <CardContent className="space-y-3">
+        <div className="text-sm text-slate-600">
+          Rooms run through the bundled server (npm run sync-server). Enter its
+          address to join.
+        </div>
+        <div className="grid md:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="room-server">Server URL</Label>
+            <Input
+              id="room-server"
+              placeholder="http://localhost:8787"
+              value={serverUrl}
+              onChange={(e) => setServerUrl(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="room-token">Token</Label>
+            <Input
+              id="room-token"
+              type="password"
+              placeholder="optional"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <Button
+            className="rounded-xl"
+            disabled={!valid}
+            onClick={() => onSave(serverUrl.trim(), token.trim())}
+          >
+            Join
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,270 @@
+import React from "react";
+import { ArrowDown, ArrowUp, Copy, ListOrdered, Plus, Trash2 } from "lucide-react";
+import { Button, Input, Label, Select } from "./ui";
+import {
+  CLASSIC_SEQUENCE_ID,
+  KIND_COLORS,
+  KIND_LABELS,
+} from "../lib/timerMachine";
+
+/**
+ * Sequence editor — pick the active session sequence and edit custom ones.
+ *
+ * A sequence is an ordered list of steps ({ id, label, kind, minutes, repeat,
+ * color }) that the timer walks through, looping back to `loopFrom`. The
+ * built-in "Classic" sequence is generated from the focus/break settings and
+ * can only be duplicated, not edited.
+ */
+
+const newId = () => crypto.randomUUID();
+
+const newStep = (kind = "focus") => ({
+  id: newId(),
+  label: KIND_LABELS[kind],
+  kind,
+  minutes: kind === "focus" ? 25 : kind === "short" ? 5 : 15,
+  repeat: 1,
+  color: KIND_COLORS[kind],
+});
+
+export default function SequenceEditor({
+  sequences,
+  setSequences,
+  activeId,
+  onSelect,
+  classic,
+}) {
+  const active = sequences.find((s) => s.id === activeId) || null;
+
+  function updateActive(patch) {
+    setSequences((all) =>
+      all.map((s) => (s.id === activeId ? { ...s, ...patch(s) } : s))
+    );
+  }
+  function updateStep(stepId, patch) {
+    updateActive((s) => ({
+      steps: s.steps.map((st) => (st.id === stepId ? { ...st, ...patch } : st)),
+    }));
+  }
+  function moveStep(index, delta) {
+    updateActive((s) => {
+      const steps = [...s.steps];
+      const target = index + delta;
+      if (target < 0 || target >= steps.length) return {};
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+      return { steps };
+    });
+  }
+  function removeStep(stepId) {
+    updateActive((s) => {
+      const steps = s.steps.filter((st) => st.id !== stepId);
+      return {
+        steps,
+        loopFrom: Math.min(s.loopFrom || 0, Math.max(0, steps.length - 1)),
+      };
+    });
+  }
+
+  function createFrom(source, name) {
+    const seq = {
+      id: newId(),
+      name,
+      steps: source.steps.map((st) => ({ ...st, id: newId() })),
+      loopFrom: source.loopFrom || 0,
+    };
+    setSequences((all) => [...all, seq]);
+    onSelect(seq.id);
+  }
+  function removeActive() {
+    setSequences((all) => all.filter((s) => s.id !== activeId));
+    onSelect(null);
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-slate-700">
+        <ListOrdered className="h-4 w-4" />
+        <Label className="text-xs uppercase tracking-wide text-slate-500">
+          Session sequence
+        </Label>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          className="w-auto min-w-[12rem]"
+          value={activeId || CLASSIC_SEQUENCE_ID}
+          onChange={(e) =>
+            onSelect(
+              e.target.value === CLASSIC_SEQUENCE_ID ? null : e.target.value
+            )
+          }
+        >
+          <option value={CLASSIC_SEQUENCE_ID}>Classic (durations above)</option>
+          {sequences.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name || "Untitled"}
+            </option>
+          ))}
+        </Select>
+        <Button
+          variant="outline"
+          size="sm"
+          className="rounded-xl"
+          onClick={() =>
+            createFrom({ steps: [newStep("focus"), newStep("short")] }, "New sequence")
+          }
+        >
+          <Plus className="h-4 w-4 mr-1" /> New
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="rounded-xl"
+          onClick={() =>
+            createFrom(active || classic, `${(active || classic).name} copy`)
+          }
+        >
+          <Copy className="h-4 w-4 mr-1" /> Duplicate
+        </Button>
+        {active && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl"
+            onClick={removeActive}
+          >
+            <Trash2 className="h-4 w-4 mr-1" /> Delete
+          </Button>
+        )}
+      </div>
+
+      {active && (
+        <div className="space-y-2">
+          <Input
+            value={active.name}
+            placeholder="Sequence name"
+            onChange={(e) => updateActive(() => ({ name: e.target.value }))}
+          />
+          {active.steps.map((st, i) => (
+            <div
+              key={st.id}
+              className="flex flex-wrap md:flex-nowrap items-center gap-2 p-2 rounded-xl border border-slate-200"
+            >
+              <input
+                type="color"
+                aria-label="Step colour"
+                className="h-8 w-8 shrink-0 cursor-pointer rounded-lg border border-slate-300"
+                value={st.color}
+                onChange={(e) => updateStep(st.id, { color: e.target.value })}
+              />
+              <Input
+                aria-label="Step label"
+                value={st.label}
+                onChange={(e) => updateStep(st.id, { label: e.target.value })}
+              />
+              <Select
+                aria-label="Step kind"
+                className="md:w-36"
+                value={st.kind}
+                onChange={(e) => updateStep(st.id, { kind: e.target.value })}
+              >
+                {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>
+                    {label}
+                  </option>
+                ))}
+              </Select>
+              <Input
+                aria-label="Minutes"
+                type="number"
+                min={1}
+                max={180}
+                className="md:w-20"
+                value={st.minutes}
+                onChange={(e) =>
+                  updateStep(st.id, { minutes: parseInt(e.target.value || "0") })
+                }
+              />
+              <span className="text-xs text-slate-500">min ×</span>
+              <Input
+                aria-label="Repeat"
+                type="number"
+                min={1}
+                max={20}
+                className="md:w-16"
+                value={st.repeat}
+                onChange={(e) =>
+                  updateStep(st.id, { repeat: parseInt(e.target.value || "0") })
+                }
+              />
+              <div className="flex items-center">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="rounded-xl px-2"
+                  disabled={i === 0}
+                  onClick={() => moveStep(i, -1)}
+                  aria-label="Move up"
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="rounded-xl px-2"
+                  disabled={i === active.steps.length - 1}
+                  onClick={() => moveStep(i, 1)}
+                  aria-label="Move down"
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="rounded-xl px-2"
+                  disabled={active.steps.length === 1}
+                  onClick={() => removeStep(st.id)}
+                  aria-label="Delete step"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex gap-2">
+              {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                <Button
+                  key={kind}
+                  variant="outline"
+                  size="sm"
+                  className="rounded-xl"
+                  onClick={() =>
+                    updateActive((s) => ({ steps: [...s.steps, newStep(kind)] }))
+                  }
+                >
+                  <Plus className="h-4 w-4 mr-1" /> {label}
+                </Button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <Label>After the last step, continue from</Label>
+              <Select
+                className="w-auto"
+                value={active.loopFrom || 0}
+                onChange={(e) =>
+                  updateActive(() => ({ loopFrom: parseInt(e.target.value) }))
+                }
+              >
+                {active.steps.map((st, i) => (
+                  <option key={st.id} value={i}>
+                    {i + 1}. {st.label}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
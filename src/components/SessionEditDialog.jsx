@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { Button, Dialog, Input, Label, Select } from "./ui";
+import { KIND_LABELS } from "../lib/timerMachine";
+import {
+  MAX_SESSION_MINUTES,
+  sessionForm,
+  sessionFromForm,
+  validateSessionForm,
+} from "../lib/sessionEdits";
+
+/**
+ * Session edit dialog — log a past session by hand or correct one from
+ * history: date, start time, duration, type and task. `session` is the entry
+ * being edited, null for a new one; `onSave(next)` receives the session to
+ * store.
+ */
+export default function SessionEditDialog({ open, session, tasks, onSave, onClose }) {
+  return (
+    <Dialog open={open} onClose={onClose} title={session ? "Edit session" : "Log a session"}>
+      {open && (
+        <SessionForm
+          key={session?.id || "new"}
+          session={session}
+          tasks={tasks}
+          onSave={onSave}
+          onClose={onClose}
+        />
+      )}
+    </Dialog>
+  );
+}
+
+function SessionForm({ session, tasks, onSave, onClose }) {
+  const [form, setForm] = useState(() => sessionForm(session));
+  const [error, setError] = useState(null);
+  const update = (patch) => setForm((f) => ({ ...f, ...patch }));
+
+  // Archived and finished tasks stay assignable; the current one always shows
+  const choices = tasks.filter((t) => !t.archived || t.id === form.taskId);
+
+  function save() {
+    const problem = validateSessionForm(form);
+    if (problem) return setError(problem);
+    onSave(sessionFromForm(form, session));
+  }
+
+  return (
+    <>
+      <div className="grid grid-cols-3 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="session-date">Date</Label>
+          <Input
+            id="session-date"
+            type="date"
+            value={form.date}
+            onChange={(e) => update({ date: e.target.value })}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="session-time">Start</Label>
+          <Input
+            id="session-time"
+            type="time"
+            value={form.time}
+            onChange={(e) => update({ time: e.target.value })}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="session-minutes">Minutes</Label>
+          <Input
+            id="session-minutes"
+            type="number"
+            min={1}
+            max={MAX_SESSION_MINUTES}
+            value={form.minutes}
+            onChange={(e) => update({ minutes: e.target.value })}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="session-mode">Type</Label>
+          <Select
+            id="session-mode"
+            value={form.mode}
+            onChange={(e) => update({ mode: e.target.value })}
+          >
+            {Object.entries(KIND_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="session-task">Task</Label>
+          <Select
+            id="session-task"
+            value={form.taskId || ""}
+            disabled={form.mode !== "focus"}
+            onChange={(e) => update({ taskId: e.target.value || null })}
+          >
+            <option value="">No task</option>
+            {form.taskId && !tasks.some((t) => t.id === form.taskId) && (
+              <option value={form.taskId}>Deleted task</option>
+            )}
+            {choices.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.title}
+              </option>
+            ))}
+          </Select>
+        </div>
+      </div>
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600">
+          <AlertTriangle className="h-4 w-4" /> {error}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" className="rounded-xl" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button className="rounded-xl" onClick={save}>
+          {session ? "Save" : "Add session"}
+        </Button>
+      </div>
+    </>
+  );
+}
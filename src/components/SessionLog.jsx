@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react";
+import { NotebookPen, Pencil, Plus, Star, Trash2 } from "lucide-react";
+import { Button } from "./ui";
+import SessionNoteDialog from "./SessionNoteDialog";
+import SessionEditDialog from "./SessionEditDialog";
+import { formatLocal } from "../lib/historyCsv";
+import {
+  deleteSessions,
+  putSessions,
+  reportHistoryError,
+  updateSession,
+} from "../lib/historyDb";
+import { MAX_RATING } from "../lib/sessionNotes";
+import { pausedSecondsOf } from "../lib/pauses";
+import { creditChanges } from "../lib/sessionEdits";
+import { extendedSecondsOf } from "../lib/timerMachine";
+
+/**
+ * Session log — the sessions of a range, newest first, with their note,
+ * rating, interruptions, pauses and length changes. Past sessions can be logged by hand and
+ * entries edited, reassigned or deleted (with undo); `onCredits(deltas)`
+ * receives the resulting change in each task's Pomodoros (see
+ * lib/sessionEdits).
+ */
+
+const PAGE = 20;
+
+// Time added to or cut from a block while it ran, e.g. "+5 min"
+function lengthChange(session) {
+  const secs = extendedSecondsOf(session);
+  if (!secs) return null;
+  const minutes = Math.max(1, Math.round(Math.abs(secs) / 60));
+  return `${secs > 0 ? "+" : "−"}${minutes} min`;
+}
+const UNDO_MS = 8000;
+
+export default function SessionLog({ sessions, tasks, onCredits }) {
+  const [shown, setShown] = useState(PAGE);
+  const [noting, setNoting] = useState(null);
+  const [editing, setEditing] = useState(null); // { session } (null = new)
+  const [deleted, setDeleted] = useState(null); // session, for undo
+  const titles = new Map(tasks.map((t) => [t.id, t.title]));
+  const newestFirst = [...sessions].reverse();
+
+  useEffect(() => {
+    if (!deleted) return;
+    const timer = setTimeout(() => setDeleted(null), UNDO_MS);
+    return () => clearTimeout(timer);
+  }, [deleted]);
+
+  function saveNote(fields) {
+    updateSession(noting.id, fields).catch(reportHistoryError);
+    setNoting(null);
+  }
+  async function saveSession(next) {
+    const before = editing.session;
+    await putSessions([next]);
+    onCredits(creditChanges(before ? [before] : [], [next]));
+    setEditing(null);
+  }
+  async function remove(session) {
+    await deleteSessions([session.id]);
+    onCredits(creditChanges([session], []));
+    setDeleted(session);
+  }
+  async function undoDelete() {
+    await putSessions([deleted]);
+    onCredits(creditChanges([], [deleted]));
+    setDeleted(null);
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-end">
+        <Button
+          variant="secondary"
+          size="sm"
+          className="rounded-xl"
+          onClick={() => setEditing({ session: null })}
+        >
+          <Plus className="h-4 w-4 mr-1" /> Log a session
+        </Button>
+      </div>
+      {deleted && (
+        <div
+          role="status"
+          className="flex items-center justify-between gap-2 rounded-xl bg-slate-800 px-3 py-2 text-sm text-white"
+        >
+          <span>
+            Deleted the session ending{" "}
+            {formatLocal(Date.parse(deleted.date), deleted.tzOffset ?? undefined)}
+          </span>
+          <button className="font-semibold underline" onClick={undoDelete}>
+            Undo
+          </button>
+        </div>
+      )}
+      {!newestFirst.length ? (
+        <div className="text-sm text-slate-500">No sessions in this range.</div>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {newestFirst.slice(0, shown).map((s) => (
+            <li key={s.id} className="flex items-start justify-between gap-3 py-2 text-sm">
+              <div className="min-w-0 space-y-0.5">
+                <div className="flex flex-wrap items-center gap-x-2">
+                  <span className="font-medium">
+                    {formatLocal(Date.parse(s.date) - s.seconds * 1000, s.tzOffset ?? undefined)}
+                  </span>
+                  <span className="text-slate-500">
+                    {Math.round(s.seconds / 60)} min {s.label || s.mode}
+                  </span>
+                  {s.mode === "focus" && (
+                    <span className="text-slate-700 truncate">
+                      {s.taskId ? titles.get(s.taskId) || "Deleted task" : "No task"}
+                    </span>
+                  )}
+                  {s.manual && <span className="text-xs text-slate-400">logged by hand</span>}
+                </div>
+                <div className="flex flex-wrap items-center gap-x-3 text-xs text-slate-500">
+                  {s.rating != null && (
+                    <span
+                      className="flex items-center"
+                      aria-label={`Rated ${s.rating} of ${MAX_RATING}`}
+                    >
+                      {Array.from({ length: s.rating }, (_, i) => (
+                        <Star key={i} className="h-3 w-3 fill-amber-400 text-amber-400" />
+                      ))}
+                    </span>
+                  )}
+                  {s.voided && <span className="text-red-600">Voided</span>}
+                  {s.snooze && <span>Snoozed</span>}
+                  {lengthChange(s) && <span>{lengthChange(s)}</span>}
+                  {s.pauses?.length > 0 && (
+                    <span>
+                      Paused {s.pauses.length}× ({Math.round(pausedSecondsOf(s) / 60)} min)
+                    </span>
+                  )}
+                  {s.interruptions != null && (
+                    <span>
+                      {s.interruptions} interruption{s.interruptions === 1 ? "" : "s"}
+                    </span>
+                  )}
+                  {s.note && <span className="text-slate-700">{s.note}</span>}
+                </div>
+              </div>
+              <div className="flex shrink-0 items-center">
+                {s.mode === "focus" && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    aria-label="Edit session notes"
+                    onClick={() => setNoting(s)}
+                  >
+                    <NotebookPen className="h-4 w-4" />
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label="Edit session"
+                  onClick={() => setEditing({ session: s })}
+                >
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label="Delete session"
+                  onClick={() => remove(s)}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {newestFirst.length > shown && (
+        <Button variant="secondary" size="sm" onClick={() => setShown((n) => n + PAGE)}>
+          Show more ({newestFirst.length - shown} left)
+        </Button>
+      )}
+      <SessionNoteDialog
+        session={noting}
+        title="Session notes"
+        cancelLabel="Cancel"
+        onSave={saveNote}
+        onClose={() => setNoting(null)}
+      />
+      <SessionEditDialog
+        open={!!editing}
+        session={editing?.session || null}
+        tasks={tasks}
+        onSave={saveSession}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { Minus, Plus, Star } from "lucide-react";
+import { Button, Dialog, Label, cx } from "./ui";
+import {
+  MAX_NOTE_LENGTH,
+  MAX_RATING,
+  RATING_LABELS,
+  normalizeReflection,
+} from "../lib/sessionNotes";
+
+/**
+ * Session note dialog — log (or edit) a note, a 1–5 focus rating and the
+ * number of interruptions for one focus session. `onSave(fields)` receives
+ * the normalized fields; closing without saving leaves the session as is.
+ */
+export default function SessionNoteDialog({
+  session,
+  title = "How did that block go?",
+  subtitle,
+  cancelLabel = "Skip",
+  onSave,
+  onClose,
+}) {
+  return (
+    <Dialog open={!!session} onClose={onClose} title={title}>
+      {subtitle && <div className="text-sm text-slate-500">{subtitle}</div>}
+      {session && (
+        <NoteForm
+          key={session.id}
+          session={session}
+          cancelLabel={cancelLabel}
+          onSave={onSave}
+          onClose={onClose}
+        />
+      )}
+    </Dialog>
+  );
+}
+
+// Starts from what the session already has
+function NoteForm({ session, cancelLabel, onSave, onClose }) {
+  const [note, setNote] = useState(session.note || "");
+  const [rating, setRating] = useState(session.rating ?? null);
+  // Recorded pauses (see lib/pauses) are a starting point for the count
+  const [interruptions, setInterruptions] = useState(
+    session.interruptions ?? (session.pauses || []).length
+  );
+
+  function save() {
+    onSave(normalizeReflection({ note, rating, interruptions }));
+  }
+
+  return (
+    <>
+      <div className="space-y-2">
+        <Label>Focus</Label>
+        <div role="radiogroup" aria-label="Focus rating" className="flex items-center gap-1">
+          {RATING_LABELS.map((label, i) => {
+            const value = i + 1;
+            return (
+              <button
+                key={value}
+                role="radio"
+                aria-checked={rating === value}
+                aria-label={`${value} of ${MAX_RATING}: ${label}`}
+                title={label}
+                className="p-1 rounded-lg hover:bg-slate-100"
+                onClick={() => setRating(rating === value ? null : value)}
+              >
+                <Star
+                  className={cx(
+                    "h-6 w-6",
+                    rating >= value ? "fill-amber-400 text-amber-400" : "text-slate-300"
+                  )}
+                />
+              </button>
+            );
+          })}
+          <span className="ml-2 text-sm text-slate-500">
+            {rating ? RATING_LABELS[rating - 1] : "Not rated"}
+          </span>
+        </div>
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Interruptions</Label>
+        <div className="flex items-center gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            aria-label="Fewer interruptions"
+            disabled={interruptions <= 0}
+            onClick={() => setInterruptions((n) => Math.max(0, n - 1))}
+          >
+            <Minus className="h-4 w-4" />
+          </Button>
+          <span aria-label="Interruption count" className="w-6 text-center font-semibold">
+            {interruptions}
+          </span>
+          <Button
+            size="sm"
+            variant="outline"
+            aria-label="More interruptions"
+            onClick={() => setInterruptions((n) => n + 1)}
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="session-note">Note</Label>
+        <textarea
+          id="session-note"
+          rows={3}
+          maxLength={MAX_NOTE_LENGTH}
+          placeholder="What did you get done? What got in the way?"
+          className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" className="rounded-xl" onClick={onClose}>
+          {cancelLabel}
+        </Button>
+        <Button className="rounded-xl" onClick={save}>
+          Save
+        </Button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+import { Dialog } from "./ui";
+import { SHORTCUT_ACTIONS, formatCombo } from "../lib/shortcuts";
+
+/**
+ * "?" overlay — the keyboard shortcuts as currently bound. They are changed
+ * under Settings.
+ */
+export default function ShortcutHelp({ open, shortcuts, onClose }) {
+  return (
+    <Dialog open={open} onClose={onClose} title="Keyboard shortcuts">
+      <ul className="divide-y divide-slate-100 text-sm">
+        {Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => (
+          <li key={action} className="flex items-center justify-between py-1.5">
+            <span className="text-slate-700">{label}</span>
+            <kbd className="rounded-md border border-slate-300 px-2 py-0.5 text-xs font-mono">
+              {formatCombo(shortcuts[action])}
+            </kbd>
+          </li>
+        ))}
+      </ul>
+      <div className="text-xs text-slate-500">
+        Change them under Settings. While typing in a field only the command palette
+        opens.
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import { AlertTriangle, RotateCcw } from "lucide-react";
+import { Button, cx } from "./ui";
+import {
+  DEFAULT_SHORTCUTS,
+  RESERVED_KEYS,
+  SHORTCUT_ACTIONS,
+  actionForCombo,
+  comboOf,
+  findConflicts,
+  formatCombo,
+} from "../lib/shortcuts";
+
+/**
+ * Shortcut settings — every action with its key; "Change" records the next
+ * key combination pressed (Escape cancels). A combination already used by
+ * another action is not taken over without asking.
+ */
+export default function ShortcutSettings({ shortcuts, onChange }) {
+  const [recording, setRecording] = useState(null); // action waiting for a key
+  const [clash, setClash] = useState(null); // { action, combo, other }
+  const conflicts = findConflicts(shortcuts);
+  const customized = Object.keys(DEFAULT_SHORTCUTS).some(
+    (action) => shortcuts[action] !== DEFAULT_SHORTCUTS[action]
+  );
+
+  useEffect(() => {
+    if (!recording) return;
+    // Capture phase, so the key reaches neither the timer nor open dialogs
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === "Escape") return setRecording(null);
+      const combo = comboOf(e);
+      if (!combo || RESERVED_KEYS.includes(e.code)) return;
+      setRecording(null);
+      const other = actionForCombo(shortcuts, combo);
+      if (other && other !== recording) setClash({ action: recording, combo, other });
+      else onChange({ ...shortcuts, [recording]: combo });
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [recording, shortcuts, onChange]);
+
+  function takeOver() {
+    onChange({ ...shortcuts, [clash.other]: null, [clash.action]: clash.combo });
+    setClash(null);
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs uppercase tracking-wide text-slate-500">Keyboard shortcuts</div>
+        {customized && (
+          <Button variant="ghost" size="sm" onClick={() => onChange(DEFAULT_SHORTCUTS)}>
+            <RotateCcw className="h-3 w-3 mr-1" /> Defaults
+          </Button>
+        )}
+      </div>
+      {clash && (
+        <div className="flex flex-wrap items-center gap-2 rounded-xl bg-amber-50 p-2 text-sm text-amber-800">
+          <AlertTriangle className="h-4 w-4" />
+          {formatCombo(clash.combo)} is already used by “{SHORTCUT_ACTIONS[clash.other].label}”.
+          <Button size="sm" variant="secondary" onClick={takeOver}>
+            Use it for “{SHORTCUT_ACTIONS[clash.action].label}”
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => setClash(null)}>
+            Keep
+          </Button>
+        </div>
+      )}
+      <div className="grid md:grid-cols-2 gap-x-6 gap-y-1">
+        {Object.entries(SHORTCUT_ACTIONS).map(([action, { label }]) => (
+          <div key={action} className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-slate-700">{label}</span>
+            <span className="flex items-center gap-1">
+              <kbd
+                className={cx(
+                  "rounded-md border px-2 py-0.5 text-xs font-mono",
+                  conflicts[action] ? "border-red-300 text-red-600" : "border-slate-300"
+                )}
+                title={
+                  conflicts[action]
+                    ? `Also bound to ${conflicts[action].map((a) => SHORTCUT_ACTIONS[a].label).join(", ")}`
+                    : undefined
+                }
+              >
+                {recording === action ? "Press a key…" : formatCombo(shortcuts[action])}
+              </kbd>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setRecording(recording === action ? null : action)}
+              >
+                {recording === action ? "Cancel" : "Change"}
+              </Button>
+              {shortcuts[action] && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  aria-label={`Unbind ${label}`}
+                  onClick={() => onChange({ ...shortcuts, [action]: null })}
+                >
+                  ×
+                </Button>
+              )}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
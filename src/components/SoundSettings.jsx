@@ -0,0 +1,185 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Play, Square } from "lucide-react";
+import { Button, Label, Select, Switch } from "./ui";
+import {
+  ALARM_TONES,
+  NOISES,
+  playTone,
+  setNoiseVolume,
+  startNoise,
+  stopNoise,
+} from "../lib/sound";
+
+/**
+ * Sound settings — alarm tones for the end of focus and of breaks, volumes,
+ * repeating alarms, ticking and ambient noise, each with a preview. The
+ * noise preview is off while focus noise already plays (`noisePlaying`).
+ */
+
+const NOISE_PREVIEW_MS = 4000;
+
+function Volume({ label, value, onChange, disabled }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <Label>{label}</Label>
+      <input
+        type="range"
+        min={0}
+        max={100}
+        aria-label={label}
+        className="w-32 accent-red-500"
+        value={Math.round(value * 100)}
+        disabled={disabled}
+        onChange={(e) => onChange(Number(e.target.value) / 100)}
+      />
+    </div>
+  );
+}
+
+function ToneSelect({ label, value, volume, onChange }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <Label>{label}</Label>
+      <div className="flex items-center gap-1">
+        <Select
+          aria-label={label}
+          className="h-8 w-auto"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          {Object.entries(ALARM_TONES).map(([tone, name]) => (
+            <option key={tone} value={tone}>
+              {name}
+            </option>
+          ))}
+        </Select>
+        <Button
+          variant="ghost"
+          size="sm"
+          aria-label={`Preview ${label.toLowerCase()}`}
+          onClick={() => playTone(value, volume)}
+        >
+          <Play className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default function SoundSettings({ sounds, onChange, noisePlaying }) {
+  const update = (patch) => onChange({ ...sounds, ...patch });
+  const [previewing, setPreviewing] = useState(false);
+  const previewTimer = useRef(null); // set while a preview plays
+
+  function stopPreview() {
+    if (!previewTimer.current) return;
+    clearTimeout(previewTimer.current);
+    previewTimer.current = null;
+    stopNoise();
+    setPreviewing(false);
+  }
+  function togglePreview() {
+    if (previewing) return stopPreview();
+    startNoise(sounds.noise, sounds.noiseVolume);
+    setPreviewing(true);
+    previewTimer.current = setTimeout(stopPreview, NOISE_PREVIEW_MS);
+  }
+  // Focus noise taking over ends the preview without silencing it
+  useEffect(() => {
+    if (!noisePlaying || !previewTimer.current) return;
+    clearTimeout(previewTimer.current);
+    previewTimer.current = null;
+    setPreviewing(false);
+  }, [noisePlaying]);
+  // Never leave a preview playing behind
+  useEffect(
+    () => () => {
+      if (!previewTimer.current) return;
+      clearTimeout(previewTimer.current);
+      stopNoise();
+    },
+    []
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="text-xs uppercase tracking-wide text-slate-500">Sounds</div>
+      <ToneSelect
+        label="Focus end tone"
+        value={sounds.focusEndTone}
+        volume={sounds.alarmVolume}
+        onChange={(focusEndTone) => update({ focusEndTone })}
+      />
+      <ToneSelect
+        label="Break end tone"
+        value={sounds.breakEndTone}
+        volume={sounds.alarmVolume}
+        onChange={(breakEndTone) => update({ breakEndTone })}
+      />
+      <Volume
+        label="Alarm volume"
+        value={sounds.alarmVolume}
+        onChange={(alarmVolume) => update({ alarmVolume })}
+      />
+      <div className="flex items-center justify-between gap-2">
+        <Label>Repeat alarm until stopped</Label>
+        <Switch
+          checked={sounds.repeatAlarm}
+          onCheckedChange={(repeatAlarm) => update({ repeatAlarm })}
+        />
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label>Tick during focus</Label>
+        <Switch
+          checked={sounds.ticking}
+          onCheckedChange={(ticking) => update({ ticking })}
+        />
+      </div>
+      <Volume
+        label="Tick volume"
+        value={sounds.tickVolume}
+        disabled={!sounds.ticking}
+        onChange={(tickVolume) => update({ tickVolume })}
+      />
+      <div className="flex items-center justify-between gap-2">
+        <Label>Background noise</Label>
+        <div className="flex items-center gap-1">
+          <Select
+            aria-label="Background noise"
+            className="h-8 w-auto"
+            value={sounds.noise}
+            onChange={(e) => {
+              stopPreview();
+              update({ noise: e.target.value });
+            }}
+          >
+            <option value="off">Off</option>
+            {Object.entries(NOISES).map(([kind, name]) => (
+              <option key={kind} value={kind}>
+                {name}
+              </option>
+            ))}
+          </Select>
+          <Button
+            variant="ghost"
+            size="sm"
+            aria-label={previewing ? "Stop noise preview" : "Preview noise"}
+            disabled={sounds.noise === "off" || noisePlaying}
+            onClick={togglePreview}
+          >
+            {previewing ? <Square className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+          </Button>
+        </div>
+      </div>
+      <Volume
+        label="Noise volume"
+        value={sounds.noiseVolume}
+        disabled={sounds.noise === "off"}
+        onChange={(noiseVolume) => {
+          setNoiseVolume(noiseVolume);
+          update({ noiseVolume });
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,553 @@
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  ArrowLeft,
+  BarChart3,
+  CalendarDays,
+  Clock,
+  ListChecks,
+  NotebookPen,
+  PauseCircle,
+  Star,
+  Tag,
+  Target,
+  Timer,
+} from "lucide-react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  CartesianGrid,
+} from "recharts";
+import { Button, Card, CardContent, Input, Label, cx } from "./ui";
+import SessionLog from "./SessionLog";
+import { useHistoryQuery } from "../hooks/useHistoryQuery";
+import { useStoredState } from "../hooks/useStoredState";
+import { sessionsInDays } from "../lib/historyStats";
+import {
+  PAUSE_KINDS,
+  buildStatsReport,
+  estimateReport,
+  statsRange,
+} from "../lib/statsReport";
+import { formatDayKey, weekdayOfKey } from "../lib/days";
+import { loadRecord } from "../lib/storage";
+import { formatGoal, normalizeGoals } from "../lib/goals";
+import { MAX_RATING } from "../lib/sessionNotes";
+import { PAUSE_REASONS } from "../lib/pauses";
+import { applyCredits } from "../lib/sessionEdits";
+
+/**
+ * Statistics page (/stats) — focus time over a week, month, year or custom
+ * range: summary numbers, a calendar heatmap, goal attainment, time of day,
+ * per-task / per-tag breakdowns, focus ratings, interruptions, task estimates
+ * vs. actuals and the session log. Settings are only read here; tasks are
+ * written just to keep their Pomodoros in step with edits from the log.
+ */
+
+const RANGES = [
+  ["week", "Week"],
+  ["month", "Month"],
+  ["year", "Year"],
+  ["custom", "Custom"],
+];
+
+const HEAT_COLORS = [
+  "bg-slate-100",
+  "bg-red-200",
+  "bg-red-300",
+  "bg-red-400",
+  "bg-red-500",
+];
+
+const hourLabel = (h) => `${String(h).padStart(2, "0")}:00`;
+
+function formatMinutes(min) {
+  if (min < 60) return `${min} min`;
+  return `${Math.floor(min / 60)} h ${min % 60} min`;
+}
+
+function StatCard({ icon: Icon, title, value, hint }) {
+  return (
+    <div className="rounded-2xl p-4 bg-slate-50 border border-slate-200">
+      <div className="flex items-center justify-between text-sm text-slate-600">
+        <span>{title}</span>
+        <Icon className="h-4 w-4" />
+      </div>
+      <div className="mt-2 text-2xl font-bold">{value}</div>
+      {hint && <div className="text-xs text-slate-500">{hint}</div>}
+    </div>
+  );
+}
+
+// One column per week, Monday on top
+function Heatmap({ days }) {
+  if (!days.length) return null;
+  const lead = (weekdayOfKey(days[0].key) + 6) % 7;
+  return (
+    <div className="overflow-x-auto">
+      <div className="grid grid-flow-col grid-rows-7 gap-1 w-max">
+        {Array.from({ length: lead }, (_, i) => (
+          <div key={`pad-${i}`} className="h-3 w-3" />
+        ))}
+        {days.map((day) => (
+          <div
+            key={day.key}
+            title={`${formatDayKey(day.key, { dateStyle: "medium" })}: ${day.minutes} min`}
+            className={cx("h-3 w-3 rounded-sm", HEAT_COLORS[day.level])}
+          />
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-1 text-xs text-slate-500">
+        Less
+        {HEAT_COLORS.map((c) => (
+          <span key={c} className={cx("h-3 w-3 rounded-sm", c)} />
+        ))}
+        More
+      </div>
+    </div>
+  );
+}
+
+// One dot per day (filled when the daily goal was met) and one row per week
+function GoalAttainment({ history, goals }) {
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-slate-600">
+        Daily goal met on {history.daysMet} of {history.daysWithGoal} day
+        {history.daysWithGoal === 1 ? "" : "s"}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {history.days.map((d) => (
+          <div
+            key={d.key}
+            title={`${formatDayKey(d.key, { dateStyle: "medium" })}: ${
+              d.rest ? "rest day" : `${d.value} / ${formatGoal(goals, d.target)}`
+            }`}
+            className={cx(
+              "h-3 w-3 rounded-full",
+              d.rest || !d.target
+                ? "bg-slate-100"
+                : d.met
+                ? "bg-green-500"
+                : d.value > 0
+                ? "bg-amber-300"
+                : "bg-slate-300"
+            )}
+          />
+        ))}
+      </div>
+      {history.weeks.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {history.weeks.map((w) => (
+            <li key={w.start} className="flex justify-between">
+              <span className="text-slate-700">
+                Week of {formatDayKey(w.start, { month: "short", day: "numeric" })}
+              </span>
+              <span className={cx(w.met ? "text-green-600" : "text-slate-500")}>
+                {w.value} / {formatGoal(goals, w.target)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Average rating and interruptions, and the average rating per start hour
+function FocusQuality({ report }) {
+  const { avgRating, ratedBlocks, interruptions, blocks } = report.totals;
+  if (!ratedBlocks && !interruptions)
+    return (
+      <div className="text-sm text-slate-500">
+        Rate your focus blocks (after a block or from the session log) to see
+        when you focus best.
+      </div>
+    );
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-slate-600">
+        {avgRating != null &&
+          `Average rating ${avgRating} / ${MAX_RATING} over ${ratedBlocks} rated block${
+            ratedBlocks === 1 ? "" : "s"
+          }. `}
+        {interruptions} interruption{interruptions === 1 ? "" : "s"} in {blocks} block
+        {blocks === 1 ? "" : "s"}.
+      </div>
+      {ratedBlocks > 0 && (
+        <div className="h-48 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={report.byHour}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="hour" tickFormatter={hourLabel} />
+              <YAxis domain={[0, MAX_RATING]} allowDecimals={false} />
+              <Tooltip
+                labelFormatter={hourLabel}
+                formatter={(v) => `${v} / ${MAX_RATING}`}
+              />
+              <Bar dataKey="rating" name="Average rating" fill="#f59e0b" radius={[8, 8, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const PAUSE_STYLES = {
+  internal: { name: PAUSE_REASONS.internal, fill: "#f59e0b" },
+  external: { name: PAUSE_REASONS.external, fill: "#6366f1" },
+  unspecified: { name: "No reason", fill: "#cbd5e1" },
+};
+
+// Pauses of focus blocks per day and per task, stacked by reason
+function Interruptions({ pauses, voided }) {
+  if (!pauses.count)
+    return (
+      <div className="text-sm text-slate-500">No focus block was paused in this range.</div>
+    );
+  const bars = PAUSE_KINDS.map((kind) => (
+    <Bar
+      key={kind}
+      dataKey={kind}
+      stackId="pauses"
+      name={PAUSE_STYLES[kind].name}
+      fill={PAUSE_STYLES[kind].fill}
+    />
+  ));
+  const tasks = pauses.byTask.slice(0, 10);
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-slate-600">
+        {pauses.count} pause{pauses.count === 1 ? "" : "s"} ({pauses.internal} internal,{" "}
+        {pauses.external} external), {formatMinutes(pauses.pausedMin)} paused in total
+        {voided > 0 && `; ${voided} block${voided === 1 ? "" : "s"} voided`}.
+      </div>
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="h-56 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={pauses.byDay}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              {bars}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ height: 60 + tasks.length * 32 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={tasks} layout="vertical" margin={{ left: 24 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" allowDecimals={false} />
+              <YAxis type="category" dataKey="name" width={120} />
+              <Tooltip />
+              {bars}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Breakdown({ title, icon: Icon, rows }) {
+  const top = rows.slice(0, 10);
+  return (
+    <Card className="rounded-3xl">
+      <CardContent>
+        <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
+          <Icon className="h-4 w-4" /> {title}
+        </div>
+        {top.length === 0 ? (
+          <div className="text-sm text-slate-500">No focus time in this range.</div>
+        ) : (
+          <div style={{ height: 40 + top.length * 32 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={top} layout="vertical" margin={{ left: 24 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis type="category" dataKey="name" width={120} />
+                <Tooltip formatter={(v) => `${v} min`} />
+                <Bar dataKey="minutes" radius={[0, 8, 8, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Estimates({ report }) {
+  const top = report.rows.slice(0, 10);
+  if (!top.length)
+    return (
+      <div className="text-sm text-slate-500">
+        Give tasks an estimate to compare it with the Pomodoros they took.
+      </div>
+    );
+  return (
+    <div className="space-y-3">
+      {report.ratio != null && (
+        <div className="text-sm text-slate-600">
+          Finished tasks took {report.ratio}× their estimate on average (
+          {report.over} over, {report.under} under, of {report.finished}).
+        </div>
+      )}
+      <div style={{ height: 60 + top.length * 40 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={top} layout="vertical" margin={{ left: 24 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" allowDecimals={false} />
+            <YAxis type="category" dataKey="name" width={120} />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="estimate" name="Estimate" fill="#cbd5e1" />
+            <Bar dataKey="actual" name="Actual" fill="#ef4444" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default function StatsPage() {
+  const [settings] = useState(() => loadRecord("settings", {}));
+  const [tasks, setTasks] = useStoredState("tasks", []);
+  const dayStartHour = settings.dayStartHour ?? 0;
+  const goals = useMemo(() => normalizeGoals(settings.goals), [settings.goals]);
+
+  const [range, setRange] = useState("week");
+  const [custom, setCustom] = useState({ from: "", to: "" });
+  const { from, to } = statsRange(range, new Date(), dayStartHour, custom);
+
+  const sessions = useHistoryQuery(
+    () => sessionsInDays(from, to, dayStartHour),
+    `${from}|${to}|${dayStartHour}`,
+    []
+  );
+  const report = useMemo(
+    () => buildStatsReport(sessions, { from, to, tasks, dayStartHour, goals }),
+    [sessions, from, to, tasks, dayStartHour, goals]
+  );
+  const { totals } = report;
+  const estimates = useMemo(() => estimateReport(tasks), [tasks]);
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-white to-slate-50 text-slate-900 p-4 md:p-8">
+      <div className="mx-auto max-w-6xl space-y-6">
+        {/* Header */}
+        <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Link
+              to="/"
+              aria-label="Back to timer"
+              className="p-2 rounded-2xl bg-slate-100 hover:bg-slate-200"
+            >
+              <ArrowLeft className="h-5 w-5" />
+            </Link>
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold">Statistics</h1>
+              <p className="text-sm text-slate-500">
+                {formatDayKey(from, { dateStyle: "medium" })} –{" "}
+                {formatDayKey(to, { dateStyle: "medium" })}
+              </p>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {RANGES.map(([value, label]) => (
+              <Button
+                key={value}
+                size="sm"
+                variant={range === value ? "primary" : "secondary"}
+                onClick={() => setRange(value)}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        {range === "custom" && (
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="stats-from">From</Label>
+              <Input
+                id="stats-from"
+                type="date"
+                value={custom.from}
+                onChange={(e) => setCustom((c) => ({ ...c, from: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="stats-to">To</Label>
+              <Input
+                id="stats-to"
+                type="date"
+                value={custom.to}
+                onChange={(e) => setCustom((c) => ({ ...c, to: e.target.value }))}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          <StatCard
+            icon={Timer}
+            title="Focus time"
+            value={formatMinutes(totals.focusMin)}
+            hint={`${totals.activeDays} active day${totals.activeDays === 1 ? "" : "s"}`}
+          />
+          <StatCard
+            icon={BarChart3}
+            title="Focus blocks"
+            value={totals.blocks}
+            hint={`${totals.avgBlockMin} min on average`}
+          />
+          <StatCard
+            icon={CalendarDays}
+            title="Completed"
+            value={totals.completionRate == null ? "–" : `${totals.completionRate}%`}
+            hint={`${totals.completed} done, ${totals.skipped} skipped${
+              totals.voided ? `, ${totals.voided} voided` : ""
+            }`}
+          />
+          <StatCard
+            icon={Clock}
+            title="Best time of day"
+            value={report.bestHour == null ? "–" : hourLabel(report.bestHour)}
+            hint="Most focus started in this hour"
+          />
+          <StatCard
+            icon={CalendarDays}
+            title="Longest streak"
+            value={`${totals.longestStreak} day${totals.longestStreak === 1 ? "" : "s"}`}
+            hint="Consecutive days with focus"
+          />
+          <StatCard
+            icon={ListChecks}
+            title="Tasks"
+            value={report.byTask.length}
+            hint="Worked on in this range"
+          />
+        </div>
+
+        <div className="grid lg:grid-cols-3 gap-6">
+          <Card className="lg:col-span-2 rounded-3xl">
+            <CardContent>
+              <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
+                <BarChart3 className="h-4 w-4" /> Focus minutes
+              </div>
+              <div className="h-56 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={report.buckets}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip formatter={(v) => `${v} min`} />
+                    <Bar dataKey="minutes" radius={[8, 8, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </CardContent>
+          </Card>
+          <Card className="rounded-3xl">
+            <CardContent>
+              <div className="flex items-center gap-2 mb-3 text-slate-600 text-sm">
+                <CalendarDays className="h-4 w-4" /> Daily focus
+              </div>
+              <Heatmap days={report.days} />
+            </CardContent>
+          </Card>
+        </div>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-3 text-slate-600 text-sm">
+              <Target className="h-4 w-4" /> Goals
+            </div>
+            <GoalAttainment history={report.goals} goals={goals} />
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
+              <Clock className="h-4 w-4" /> Time of day (focus minutes by start hour)
+            </div>
+            <div className="h-48 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.byHour}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="hour" tickFormatter={hourLabel} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip
+                    labelFormatter={hourLabel}
+                    formatter={(v) => `${v} min`}
+                  />
+                  <Bar dataKey="minutes" radius={[8, 8, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
+              <Star className="h-4 w-4" /> Focus quality (average rating by start
+              hour)
+            </div>
+            <FocusQuality report={report} />
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-2 text-slate-600 text-sm">
+              <PauseCircle className="h-4 w-4" /> Interruptions (pauses per day and
+              per task)
+            </div>
+            <Interruptions pauses={report.pauses} voided={totals.voided} />
+          </CardContent>
+        </Card>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <Breakdown title="By task" icon={Timer} rows={report.byTask} />
+          <Breakdown title="By tag" icon={Tag} rows={report.byTag} />
+        </div>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-3 text-slate-600 text-sm">
+              <ListChecks className="h-4 w-4" /> Estimates vs. actual pomodoros
+              (all tasks)
+            </div>
+            <Estimates report={estimates} />
+          </CardContent>
+        </Card>
+
+        <Card className="rounded-3xl">
+          <CardContent>
+            <div className="flex items-center gap-2 mb-3 text-slate-600 text-sm">
+              <NotebookPen className="h-4 w-4" /> Session log
+            </div>
+            <SessionLog
+              sessions={sessions}
+              tasks={tasks}
+              onCredits={(deltas) => setTasks((ts) => applyCredits(ts, deltas))}
+            />
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
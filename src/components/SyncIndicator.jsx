@@ -0,0 +1,46 @@
+import React from "react";
+import { AlertTriangle, Cloud, CloudOff, RefreshCw } from "lucide-react";
+import { useSyncStatus } from "../hooks/useSyncStatus";
+import { syncNow } from "../lib/sync";
+import { cx } from "./ui";
+
+/**
+ * Header badge for multi-device sync: syncing / synced / offline / error and
+ * how many changes wait to be sent. Clicking it syncs now. Hidden while sync
+ * is off.
+ */
+
+const LOOKS = {
+  syncing: { icon: RefreshCw, label: "Syncing", tone: "text-slate-600" },
+  synced: { icon: Cloud, label: "Synced", tone: "text-emerald-600" },
+  offline: { icon: CloudOff, label: "Offline", tone: "text-amber-600" },
+  error: { icon: AlertTriangle, label: "Sync failed", tone: "text-red-600" },
+};
+
+export default function SyncIndicator() {
+  const status = useSyncStatus();
+  const look = LOOKS[status.state];
+  if (!look) return null;
+  const Icon = look.icon;
+  const details = [
+    status.error,
+    status.pending ? `${status.pending} change${status.pending === 1 ? "" : "s"} waiting` : null,
+    status.lastSyncAt ? `Last synced ${new Date(status.lastSyncAt).toLocaleTimeString()}` : null,
+  ].filter(Boolean);
+
+  return (
+    <button
+      type="button"
+      onClick={syncNow}
+      title={[look.label, ...details, "Click to sync now"].join("\n")}
+      className={cx(
+        "inline-flex items-center gap-1 rounded-2xl px-3 h-10 text-sm font-medium hover:bg-slate-100",
+        look.tone
+      )}
+    >
+      <Icon className={cx("h-4 w-4", status.state === "syncing" && "animate-spin")} />
+      <span className="hidden sm:inline">{look.label}</span>
+      {status.pending > 0 && <span className="text-xs">({status.pending})</span>}
+    </button>
+  );
+}
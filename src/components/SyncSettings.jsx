@@ -0,0 +1,77 @@
+import React from "react";
+import { RefreshCw } from "lucide-react";
+import { Button, Input, Label, Switch } from "./ui";
+import { useStoredState } from "../hooks/useStoredState";
+import { useSyncStatus } from "../hooks/useSyncStatus";
+import { DEFAULT_SYNC_CONFIG, SPACE_PATTERN, isSyncConfigured, syncNow } from "../lib/sync";
+
+/**
+ * Multi-device sync settings — the self-hosted server (npm run sync-server),
+ * the space shared by your devices and its token. The fields are locked while
+ * sync is on; switching it on joins the space.
+ */
+export default function SyncSettings() {
+  const [config, setConfig] = useStoredState("sync", DEFAULT_SYNC_CONFIG);
+  const status = useSyncStatus();
+  const ready = isSyncConfigured(config);
+  const set = (field) => (e) => setConfig((c) => ({ ...c, [field]: e.target.value.trim() }));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs uppercase tracking-wide text-slate-500">Sync between devices</div>
+        <Switch
+          checked={config.enabled}
+          onCheckedChange={(v) => (ready || !v) && setConfig((c) => ({ ...c, enabled: v }))}
+        />
+      </div>
+      <div className="grid md:grid-cols-3 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="sync-server">Server URL</Label>
+          <Input
+            id="sync-server"
+            placeholder="http://localhost:8787"
+            value={config.serverUrl}
+            disabled={config.enabled}
+            onChange={set("serverUrl")}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="sync-space">Space</Label>
+          <Input
+            id="sync-space"
+            placeholder="my-team"
+            value={config.space}
+            disabled={config.enabled}
+            onChange={set("space")}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="sync-token">Token</Label>
+          <Input
+            id="sync-token"
+            type="password"
+            placeholder="optional"
+            value={config.token}
+            disabled={config.enabled}
+            onChange={set("token")}
+          />
+        </div>
+      </div>
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-500">
+        <span>
+          {config.space && !SPACE_PATTERN.test(config.space)
+            ? "Space names use letters, digits, - and _ only."
+            : config.enabled
+              ? status.error || "Tasks, settings and history sync with every device in this space."
+              : "Devices using the same server and space share tasks, settings and history."}
+        </span>
+        {config.enabled && (
+          <Button variant="ghost" size="sm" onClick={syncNow}>
+            <RefreshCw className="h-3 w-3 mr-1" /> Sync now
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
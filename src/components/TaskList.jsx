@@ -0,0 +1,478 @@
+import React, { useEffect, useState } from "react";
+import {
+  Archive,
+  ArchiveRestore,
+  CalendarDays,
+  ListChecks,
+  CheckCircle2,
+  ChevronDown,
+  ChevronUp,
+  GripVertical,
+  Plus,
+  Trash2,
+  X,
+} from "lucide-react";
+import { Button, Input, Label, Select, cx } from "./ui";
+import {
+  TASK_SORTS,
+  archiveDone,
+  createTask,
+  filterTasks,
+  isOpen,
+  moveTask,
+  parseTags,
+  projectsOf,
+  restoreTask,
+  sortTasks,
+  subtaskProgress,
+  tagsOf,
+} from "../lib/tasks";
+import { formatDayKey } from "../lib/days";
+
+/**
+ * Task list — add tasks, filter by status / project / tag, sort, drag to
+ * reorder (manual sort) and edit estimate, project, tags, due date, notes and
+ * a checklist of subtasks. Only open tasks can be selected; finished tasks
+ * can be archived, and deletions can be undone for a few seconds.
+ *
+ * `view` is the persisted { status, project, tag, sort }; `today` the current
+ * local day key, for overdue dates.
+ */
+
+const UNDO_MS = 8000;
+
+function Checklist({ subtasks, onChange }) {
+  const [title, setTitle] = useState("");
+  function add() {
+    const t = title.trim();
+    if (!t) return;
+    onChange([...subtasks, { id: crypto.randomUUID(), title: t, done: false }]);
+    setTitle("");
+  }
+  const update = (id, patch) =>
+    onChange(subtasks.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  return (
+    <div className="col-span-2 space-y-1">
+      <Label className="text-xs">Checklist</Label>
+      {subtasks.map((s) => (
+        <div key={s.id} className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={s.done}
+            aria-label={`Done: ${s.title}`}
+            onChange={() => update(s.id, { done: !s.done })}
+          />
+          <span className={cx("flex-1", s.done && "line-through text-slate-400")}>
+            {s.title}
+          </span>
+          <button
+            className="text-slate-400 hover:text-slate-700"
+            aria-label={`Remove ${s.title}`}
+            onClick={() => onChange(subtasks.filter((x) => x.id !== s.id))}
+          >
+            <X className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      ))}
+      <Input
+        className="h-8"
+        placeholder="Add a step…"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && add()}
+      />
+    </div>
+  );
+}
+
+function TaskDetails({ task, projects, onChange }) {
+  const [tagText, setTagText] = useState((task.tags || []).join(", "));
+  return (
+    <div className="grid grid-cols-2 gap-2 pt-2">
+      <div className="space-y-1">
+        <Label htmlFor={`estimate-${task.id}`} className="text-xs">
+          Estimate (pomodoros)
+        </Label>
+        <Input
+          id={`estimate-${task.id}`}
+          type="number"
+          min={0}
+          className="h-8"
+          value={task.estimate ?? ""}
+          onChange={(e) =>
+            onChange({
+              estimate: e.target.value
+                ? Math.max(0, parseInt(e.target.value) || 0)
+                : null,
+            })
+          }
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor={`due-${task.id}`} className="text-xs">
+          Due
+        </Label>
+        <Input
+          id={`due-${task.id}`}
+          type="date"
+          className="h-8"
+          value={task.due || ""}
+          onChange={(e) => onChange({ due: e.target.value || null })}
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor={`project-${task.id}`} className="text-xs">
+          Project
+        </Label>
+        <Input
+          id={`project-${task.id}`}
+          className="h-8"
+          list="task-projects"
+          value={task.project || ""}
+          onChange={(e) => onChange({ project: e.target.value || null })}
+          onBlur={(e) => onChange({ project: e.target.value.trim() || null })}
+        />
+        <datalist id="task-projects">
+          {projects.map((p) => (
+            <option key={p} value={p} />
+          ))}
+        </datalist>
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor={`tags-${task.id}`} className="text-xs">
+          Tags (comma separated)
+        </Label>
+        <Input
+          id={`tags-${task.id}`}
+          className="h-8"
+          value={tagText}
+          onChange={(e) => setTagText(e.target.value)}
+          onBlur={() => onChange({ tags: parseTags(tagText) })}
+        />
+      </div>
+      <div className="col-span-2 space-y-1">
+        <Label htmlFor={`notes-${task.id}`} className="text-xs">
+          Notes
+        </Label>
+        <textarea
+          id={`notes-${task.id}`}
+          rows={2}
+          className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+          value={task.notes || ""}
+          onChange={(e) => onChange({ notes: e.target.value })}
+        />
+      </div>
+      <Checklist
+        subtasks={task.subtasks || []}
+        onChange={(subtasks) => onChange({ subtasks })}
+      />
+    </div>
+  );
+}
+
+export default function TaskList({
+  tasks,
+  setTasks,
+  selectedTaskId,
+  setSelectedTaskId,
+  view,
+  setView,
+  today,
+  inputRef,
+}) {
+  const [newTask, setNewTask] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [dragId, setDragId] = useState(null);
+  const [deleted, setDeleted] = useState(null); // { task, index } for undo
+
+  useEffect(() => {
+    if (!deleted) return;
+    const timer = setTimeout(() => setDeleted(null), UNDO_MS);
+    return () => clearTimeout(timer);
+  }, [deleted]);
+
+  const projects = projectsOf(tasks);
+  const tags = tagsOf(tasks);
+  const shown = sortTasks(filterTasks(tasks, view), view.sort);
+  const canDrag = view.sort === "manual";
+  const doneCount = tasks.filter((t) => t.done && !t.archived).length;
+
+  function addTask() {
+    const title = newTask.trim();
+    if (!title) return;
+    const task = createTask(title, {
+      project: view.project || null,
+      tags: view.tag ? [view.tag] : [],
+    });
+    setTasks((t) => [task, ...t]);
+    setNewTask("");
+    if (!selectedTaskId) setSelectedTaskId(task.id);
+  }
+  function updateTask(id, patch) {
+    setTasks((ts) => ts.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+  function removeTask(id) {
+    const index = tasks.findIndex((t) => t.id === id);
+    setDeleted({ task: tasks[index], index });
+    setTasks((ts) => ts.filter((t) => t.id !== id));
+  }
+  function undoDelete() {
+    setTasks((ts) => restoreTask(ts, deleted.task, deleted.index));
+    setDeleted(null);
+  }
+  function drop(targetId) {
+    if (dragId) setTasks((ts) => moveTask(ts, dragId, targetId));
+    setDragId(null);
+  }
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-3">
+        <Input
+          ref={inputRef}
+          placeholder="Add a task…"
+          value={newTask}
+          onChange={(e) => setNewTask(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addTask()}
+        />
+        <Button className="rounded-2xl" onClick={addTask} aria-label="Add task">
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <Select
+          aria-label="Show tasks"
+          className="h-8 text-xs"
+          value={view.status}
+          onChange={(e) => setView({ status: e.target.value })}
+        >
+          <option value="open">Open</option>
+          <option value="done">Done</option>
+          <option value="all">All</option>
+          <option value="archived">Archived</option>
+        </Select>
+        <Select
+          aria-label="Sort tasks"
+          className="h-8 text-xs"
+          value={view.sort}
+          onChange={(e) => setView({ sort: e.target.value })}
+        >
+          {Object.entries(TASK_SORTS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+        {projects.length > 0 && (
+          <Select
+            aria-label="Filter by project"
+            className="h-8 text-xs"
+            value={view.project}
+            onChange={(e) => setView({ project: e.target.value })}
+          >
+            <option value="">All projects</option>
+            {projects.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </Select>
+        )}
+        {tags.length > 0 && (
+          <Select
+            aria-label="Filter by tag"
+            className="h-8 text-xs"
+            value={view.tag}
+            onChange={(e) => setView({ tag: e.target.value })}
+          >
+            <option value="">All tags</option>
+            {tags.map((t) => (
+              <option key={t} value={t}>
+                #{t}
+              </option>
+            ))}
+          </Select>
+        )}
+      </div>
+
+      {deleted && (
+        <div
+          role="status"
+          className="mb-3 flex items-center justify-between gap-2 rounded-xl bg-slate-800 px-3 py-2 text-sm text-white"
+        >
+          <span className="truncate">Deleted “{deleted.task.title}”</span>
+          <button className="font-semibold underline" onClick={undoDelete}>
+            Undo
+          </button>
+        </div>
+      )}
+
+      {view.status !== "archived" && doneCount > 0 && (
+        <div className="mb-2 flex justify-end">
+          <Button
+            variant="ghost"
+            size="sm"
+            className="rounded-xl h-7 text-xs"
+            onClick={() => setTasks(archiveDone)}
+          >
+            <Archive className="h-3.5 w-3.5 mr-1" /> Archive {doneCount} done
+          </Button>
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-96 overflow-auto pr-1">
+        {tasks.length === 0 && (
+          <div className="text-sm text-slate-500">
+            No tasks yet. Add one and select it to tie focus blocks.
+          </div>
+        )}
+        {tasks.length > 0 && shown.length === 0 && (
+          <div className="text-sm text-slate-500">No tasks match the filter.</div>
+        )}
+        {shown.map((t) => {
+          const overdue = t.due && !t.done && t.due < today;
+          const expanded = expandedId === t.id;
+          const checklist = subtaskProgress(t);
+          return (
+            <div
+              key={t.id}
+              draggable={canDrag}
+              onDragStart={() => setDragId(t.id)}
+              onDragEnd={() => setDragId(null)}
+              onDragOver={(e) => canDrag && e.preventDefault()}
+              onDrop={() => drop(t.id)}
+              className={cx(
+                "p-3 rounded-xl border",
+                selectedTaskId === t.id ? "border-red-300 bg-red-50" : "border-slate-200",
+                dragId === t.id && "opacity-50"
+              )}
+            >
+              <div className="flex items-center gap-2">
+                {canDrag && (
+                  <GripVertical
+                    className="h-4 w-4 shrink-0 cursor-grab text-slate-300"
+                    aria-hidden
+                  />
+                )}
+                <button
+                  className={cx(
+                    "h-4 w-4 shrink-0 rounded border flex items-center justify-center",
+                    t.done ? "bg-green-500 border-green-500" : "border-slate-300"
+                  )}
+                  onClick={() => updateTask(t.id, { done: !t.done })}
+                  aria-label="Toggle done"
+                  disabled={t.archived}
+                >
+                  {t.done && <CheckCircle2 className="h-3 w-3 text-white" />}
+                </button>
+                <button
+                  className="flex-1 min-w-0 text-left disabled:cursor-default"
+                  onClick={() => setSelectedTaskId(t.id)}
+                  disabled={!isOpen(t)}
+                  title={isOpen(t) ? "Work on this task" : undefined}
+                >
+                  <div
+                    className={cx(
+                      "text-sm truncate",
+                      t.done ? "line-through text-slate-400" : "text-slate-800"
+                    )}
+                  >
+                    {t.title}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-x-2 gap-y-1 text-xs text-slate-500">
+                    <span
+                      className={cx(
+                        t.estimate != null &&
+                          (t.pomodoros || 0) > t.estimate &&
+                          "text-amber-600"
+                      )}
+                    >
+                      {t.estimate != null
+                        ? `${t.pomodoros || 0} / ${t.estimate}`
+                        : `${t.pomodoros || 0} pomodoro${
+                            (t.pomodoros || 0) === 1 ? "" : "s"
+                          }`}
+                    </span>
+                    {checklist.total > 0 && (
+                      <span className="inline-flex items-center gap-0.5">
+                        <ListChecks className="h-3 w-3" />
+                        {checklist.done}/{checklist.total}
+                      </span>
+                    )}
+                    {t.project && (
+                      <span className="rounded bg-slate-100 px-1.5 text-slate-600">
+                        {t.project}
+                      </span>
+                    )}
+                    {(t.tags || []).map((tag) => (
+                      <span key={tag} className="text-slate-400">
+                        #{tag}
+                      </span>
+                    ))}
+                    {t.due && (
+                      <span
+                        className={cx(
+                          "inline-flex items-center gap-0.5",
+                          overdue && "text-red-600"
+                        )}
+                      >
+                        <CalendarDays className="h-3 w-3" />
+                        {formatDayKey(t.due, { month: "short", day: "numeric" })}
+                      </span>
+                    )}
+                  </div>
+                </button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="rounded-xl h-8 px-2"
+                  onClick={() => setExpandedId(expanded ? null : t.id)}
+                  aria-label={expanded ? "Hide details" : "Edit details"}
+                  aria-expanded={expanded}
+                >
+                  {expanded ? (
+                    <ChevronUp className="h-4 w-4" />
+                  ) : (
+                    <ChevronDown className="h-4 w-4" />
+                  )}
+                </Button>
+                {t.done && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="rounded-xl h-8 px-2"
+                    onClick={() => updateTask(t.id, { archived: !t.archived })}
+                    aria-label={t.archived ? "Restore" : "Archive"}
+                  >
+                    {t.archived ? (
+                      <ArchiveRestore className="h-4 w-4" />
+                    ) : (
+                      <Archive className="h-4 w-4" />
+                    )}
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="rounded-xl h-8 px-2"
+                  onClick={() => removeTask(t.id)}
+                  aria-label="Delete"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              {expanded && (
+                <TaskDetails
+                  task={t}
+                  projects={projects}
+                  onChange={(patch) => updateTask(t.id, patch)}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
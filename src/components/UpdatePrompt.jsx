@@ -0,0 +1,30 @@
+import React, { useEffect, useState } from "react";
+import { RefreshCw } from "lucide-react";
+import { onUpdateAvailable } from "../lib/serviceWorker";
+
+/**
+ * "New version available" toast. The service worker has already swapped in
+ * the new build by the time it shows, so reloading is all it takes; the timer
+ * survives the reload.
+ */
+export default function UpdatePrompt() {
+  const [available, setAvailable] = useState(false);
+  useEffect(() => onUpdateAvailable(() => setAvailable(true)), []);
+  if (!available) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-1/2 z-50 flex -translate-x-1/2 items-center gap-3 rounded-xl bg-slate-800 px-4 py-2 text-sm text-white shadow-lg"
+    >
+      <RefreshCw className="h-4 w-4" />
+      <span>A new version is available.</span>
+      <button className="font-semibold underline" onClick={() => window.location.reload()}>
+        Reload
+      </button>
+      <button className="text-slate-300" onClick={() => setAvailable(false)}>
+        Later
+      </button>
+    </div>
+  );
+}
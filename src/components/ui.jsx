@@ -0,0 +1,132 @@
+import React, { useEffect } from "react";
+
+// -------------------- Tiny UI Primitives (no shadcn) --------------------
+export const cx = (...cls) => cls.filter(Boolean).join(" ");
+
+export const Card = ({ className = "", children, ...props }) => (
+  <div
+    className={cx(
+      "bg-white border border-slate-200 shadow-sm rounded-2xl",
+      className
+    )}
+    {...props}
+  >
+    {children}
+  </div>
+);
+export const CardContent = ({ className = "", ...props }) => (
+  <div className={cx("p-4 md:p-6", className)} {...props} />
+);
+
+const buttonVariants = {
+  primary:
+    "bg-red-500 text-white hover:bg-red-600 active:bg-red-700 focus:ring-red-500",
+  secondary:
+    "bg-slate-100 text-slate-900 hover:bg-slate-200 active:bg-slate-300 focus:ring-slate-400",
+  outline:
+    "bg-white border border-slate-300 text-slate-900 hover:bg-slate-50 focus:ring-slate-400",
+  ghost: "bg-transparent text-slate-700 hover:bg-slate-100 focus:ring-slate-400",
+};
+const buttonSizes = {
+  sm: "h-8 px-3 text-sm",
+  md: "h-10 px-4 text-sm",
+  lg: "h-11 px-6",
+};
+export const Button = ({
+  className = "",
+  variant = "primary",
+  size = "md",
+  ...props
+}) => (
+  <button
+    className={cx(
+      "inline-flex items-center justify-center rounded-2xl font-medium transition-colors focus:outline-none focus:ring-2 disabled:opacity-50 disabled:pointer-events-none",
+      buttonVariants[variant] || buttonVariants.primary,
+      buttonSizes[size] || buttonSizes.md,
+      className
+    )}
+    {...props}
+  />
+);
+
+export const Input = ({ className = "", ...props }) => (
+  <input
+    className={cx(
+      "h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm text-slate-900",
+      "focus:outline-none focus:ring-2 focus:ring-red-500",
+      "placeholder:text-slate-400",
+      className
+    )}
+    {...props}
+  />
+);
+
+export const Label = ({ className = "", ...props }) => (
+  <label className={cx("text-sm text-slate-700", className)} {...props} />
+);
+
+// Accessible custom switch (button + aria)
+export const Switch = ({
+  checked = false,
+  onCheckedChange = () => {},
+  className = "",
+}) => (
+  <button
+    type="button"
+    role="switch"
+    aria-checked={checked}
+    onClick={() => onCheckedChange(!checked)}
+    className={cx(
+      "relative inline-flex h-6 w-11 shrink-0 cursor-pointer rounded-full border-2 border-transparent transition-colors focus:outline-none focus:ring-2 focus:ring-red-500",
+      checked ? "bg-red-500" : "bg-slate-300",
+      className
+    )}
+  >
+    <span
+      className={cx(
+        "pointer-events-none inline-block h-5 w-5 transform rounded-full bg-white shadow ring-0 transition",
+        checked ? "translate-x-5" : "translate-x-0.5"
+      )}
+    />
+  </button>
+);
+
+export const Select = ({ className = "", ...props }) => (
+  <select
+    className={cx(
+      "h-10 w-full rounded-xl border border-slate-300 bg-white px-3 text-sm text-slate-900",
+      "focus:outline-none focus:ring-2 focus:ring-red-500",
+      className
+    )}
+    {...props}
+  />
+);
+
+// Modal dialog: overlay + card, closes on Escape or a click outside
+export const Dialog = ({ open, onClose, title, className = "", children }) => {
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+  if (!open) return null;
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <Card
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className={cx("w-full max-w-lg max-h-[90vh] overflow-auto", className)}
+      >
+        <CardContent className="space-y-4">
+          {title && <h2 className="text-lg font-semibold">{title}</h2>}
+          {children}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
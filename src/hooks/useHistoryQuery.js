@@ -0,0 +1,23 @@
+import { useEffect, useRef, useState } from "react";
+import { reportHistoryError, subscribeHistory } from "../lib/historyDb";
+
+// Result of an async history query, re-run whenever `key` changes or the
+// history is written
+export function useHistoryQuery(query, key, initial) {
+  const queryRef = useRef(query);
+  queryRef.current = query;
+  const [value, setValue] = useState(initial);
+  const [revision, setRevision] = useState(0);
+  useEffect(() => subscribeHistory(() => setRevision((r) => r + 1)), []);
+  useEffect(() => {
+    let live = true;
+    queryRef
+      .current()
+      .then((v) => live && setValue(v))
+      .catch(reportHistoryError);
+    return () => {
+      live = false;
+    };
+  }, [key, revision]);
+  return value;
+}
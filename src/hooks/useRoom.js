@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { localTimer } from "../lib/room";
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+const EMPTY_ROOM = {
+  status: "connecting",
+  you: null,
+  hostId: null,
+  members: [],
+  timer: null,
+  requests: [],
+};
+
+/**
+ * Membership of the focus room at WebSocket `url` (see lib/room): connection
+ * status ("connecting" | "open" | "closed"), our member id, the host, the
+ * members, the room's timer on this machine's clock and, while we host, the
+ * ids of members asking for the timer (`requests`). Reconnects with backoff
+ * and sends `profile` ({ name, task }) whenever it changes. Returns
+ * [room, send, dismissRequest].
+ */
+export function useRoom(url, profile) {
+  const [room, setRoom] = useState(EMPTY_ROOM);
+  const socketRef = useRef(null);
+  const profileRef = useRef(profile);
+  profileRef.current = profile;
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  useEffect(() => {
+    if (!url) return;
+    let stopped = false;
+    let retryMs = RETRY_MIN_MS;
+    let retryTimer = null;
+
+    const connect = () => {
+      setRoom(EMPTY_ROOM);
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch {
+        setRoom({ ...EMPTY_ROOM, status: "closed" });
+        return;
+      }
+      socketRef.current = socket;
+      socket.onopen = () => {
+        retryMs = RETRY_MIN_MS;
+        setRoom((r) => ({ ...r, status: "open" }));
+        send({ type: "profile", ...profileRef.current });
+      };
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (message.type === "welcome") setRoom((r) => ({ ...r, you: message.id }));
+        else if (message.type === "members")
+          setRoom((r) => ({
+            ...r,
+            hostId: message.hostId,
+            members: message.members,
+            // Asking is moot once we no longer host or the member left
+            requests:
+              message.hostId === r.you
+                ? r.requests.filter((id) => message.members.some((m) => m.id === id))
+                : [],
+          }));
+        else if (message.type === "host-request")
+          setRoom((r) =>
+            r.requests.includes(message.from)
+              ? r
+              : { ...r, requests: [...r.requests, message.from] }
+          );
+        else if (message.type === "timer")
+          setRoom((r) => ({ ...r, timer: localTimer(message.timer, message.age || 0, Date.now()) }));
+      };
+      socket.onclose = () => {
+        if (socketRef.current === socket) socketRef.current = null;
+        if (stopped) return;
+        setRoom((r) => ({ ...r, status: "closed" }));
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [url, send]);
+
+  const { name, task } = profile;
+  useEffect(() => send({ type: "profile", name, task }), [name, task, send]);
+
+  const dismissRequest = useCallback(
+    (id) => setRoom((r) => ({ ...r, requests: r.requests.filter((other) => other !== id) })),
+    []
+  );
+
+  return [room, send, dismissRequest];
+}
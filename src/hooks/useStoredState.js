@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useReducer, useRef, useState } from "react";
+import {
+  getStorageIssues,
+  loadRecord,
+  mergeRecord,
+  saveRecord,
+  subscribeStorageIssues,
+} from "../lib/storage";
+import { onTabMessage, postTabMessage } from "../lib/tabSync";
+
+/**
+ * Keep `state` saved under `name` and in step with other open tabs (see
+ * lib/tabSync): a change made here is merged into whatever another tab saved
+ * meanwhile (see mergeRecord) and announced; a change announced by another
+ * tab is loaded (over `getDefaults()`) and handed to `replace`.
+ */
+function useSharedRecord(name, state, replace, getDefaults) {
+  const sharedRef = useRef(null); // the value last saved or loaded; null before the first save
+  const defaultsRef = useRef(getDefaults);
+  defaultsRef.current = getDefaults;
+  const replaceRef = useRef(replace);
+  replaceRef.current = replace;
+
+  useEffect(() => {
+    if (state === sharedRef.current) return;
+    const first = sharedRef.current === null;
+    const next = first
+      ? state
+      : mergeRecord(name, sharedRef.current, state, loadRecord(name, defaultsRef.current()));
+    sharedRef.current = next;
+    saveRecord(name, next);
+    if (!first) postTabMessage({ type: "record", name });
+    if (next !== state) replaceRef.current(next);
+  }, [name, state]);
+
+  useEffect(
+    () =>
+      onTabMessage((message) => {
+        if (message.type !== "record" || message.name !== name) return;
+        const data = loadRecord(name, defaultsRef.current());
+        sharedRef.current = data;
+        replaceRef.current(data);
+      }),
+    [name]
+  );
+}
+
+// useState backed by a versioned storage record (see lib/storage), shared
+// with other open tabs
+export function useStoredState(name, initial) {
+  const [state, setState] = useState(() => loadRecord(name, initial));
+  useSharedRecord(name, state, setState, () => initial);
+  return [state, setState];
+}
+
+const REPLACE = "@@stored/replace";
+
+// useReducer backed by a versioned storage record and shared with other open
+// tabs; `init(initArg)` provides the defaults that stored state is merged over.
+export function usePersistentReducer(name, reducer, initArg, init) {
+  const shared = useCallback(
+    (state, action) => (action.type === REPLACE ? action.state : reducer(state, action)),
+    [reducer]
+  );
+  const [state, dispatch] = useReducer(shared, initArg, (arg) =>
+    loadRecord(name, init(arg))
+  );
+  const replace = useCallback((next) => dispatch({ type: REPLACE, state: next }), []);
+  useSharedRecord(name, state, replace, () => init(initArg));
+  return [state, dispatch];
+}
+
+// Problems found while loading stored records, for display
+export function useStorageIssues() {
+  const [issues, setIssues] = useState(getStorageIssues);
+  useEffect(() => {
+    setIssues(getStorageIssues());
+    return subscribeStorageIssues(setIssues);
+  }, []);
+  return issues;
+}
@@ -0,0 +1,12 @@
+import { useEffect, useState } from "react";
+import { getSyncStatus, subscribeSyncStatus } from "../lib/sync";
+
+// Multi-device sync status (see lib/sync), kept up to date in every tab
+export function useSyncStatus() {
+  const [status, setStatus] = useState(getSyncStatus);
+  useEffect(() => {
+    setStatus(getSyncStatus());
+    return subscribeSyncStatus(setStatus);
+  }, []);
+  return status;
+}
@@ -0,0 +1,10 @@
+import { useEffect, useState } from "react";
+import { isTabLeader, watchLeadership } from "../lib/tabSync";
+
+// Whether this tab records finished blocks and makes the sounds (see
+// lib/tabSync); other tabs only mirror the timer
+export function useTabLeader() {
+  const [leader, setLeader] = useState(isTabLeader);
+  useEffect(() => watchLeadership(setLeader), []);
+  return leader;
+}
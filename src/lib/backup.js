@@ -0,0 +1,118 @@
+/**
+ * Full JSON backup and restore
+ *
+ * A backup holds every stored record plus the whole session history:
+ *   { format: "pomodoro-backup", version, exportedAt,
+ *     data: { settings, ui, tasks, presets, sequences, history } }
+ *
+ * Importing parses and repairs each section with the same schemas as local
+ * storage (lib/storage), then plans the change so it can be previewed:
+ * - replace: every section in the file replaces the current one,
+ * - merge: settings and UI prefs stay, list entries are added by `id`
+ *   (entries already present are kept as they are, history included).
+ */
+import { RECORDS, upgradeRecord } from "./storage";
+import { querySessions } from "./historyDb";
+
+export const BACKUP_FORMAT = "pomodoro-backup";
+export const BACKUP_VERSION = 1;
+
+export const BACKUP_SECTIONS = [
+  "settings",
+  "ui",
+  "tasks",
+  "presets",
+  "sequences",
+  "history",
+];
+
+const LIST_SECTIONS = ["tasks", "presets", "sequences", "history"];
+
+export async function createBackup(state, now = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    data: {
+      settings: state.settings,
+      ui: state.ui,
+      tasks: state.tasks,
+      presets: state.presets,
+      sequences: state.sequences,
+      history: await querySessions(),
+    },
+  };
+}
+
+/**
+ * Validate a backup file. Throws an Error with a readable message when the
+ * file cannot be used; otherwise returns { data, problems, exportedAt } where
+ * `data` only holds the sections present in the file and `problems` lists
+ * what had to be repaired. `current` supplies defaults for missing fields.
+ */
+export function parseBackup(text, current) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!parsed || parsed.format !== BACKUP_FORMAT || !parsed.data)
+    throw new Error("The file is not a Pomodoro backup.");
+  if (typeof parsed.version !== "number" || parsed.version > BACKUP_VERSION)
+    throw new Error("The backup was made by a newer version of the app.");
+
+  const data = {};
+  const problems = [];
+  BACKUP_SECTIONS.forEach((name) => {
+    if (parsed.data[name] === undefined) return;
+    const result = upgradeRecord(
+      name,
+      RECORDS[name].version,
+      parsed.data[name],
+      current[name]
+    );
+    data[name] = result.data;
+    result.problems.forEach((p) => problems.push(`${name}: ${p}`));
+  });
+  return { data, problems, exportedAt: parsed.exportedAt || null };
+}
+
+function mergeById(existing, incoming) {
+  const ids = new Set(existing.map((x) => x.id));
+  const added = incoming.filter((x) => !ids.has(x.id));
+  return { list: [...existing, ...added], added: added.length };
+}
+
+/**
+ * Work out the state after importing `data` in `mode` ("replace" | "merge").
+ * Returns { next, changes } where `next` has the new value of every section
+ * that changes and `changes` is one line per section for the preview.
+ */
+export function planImport(data, current, mode) {
+  const next = {};
+  const changes = [];
+  BACKUP_SECTIONS.forEach((name) => {
+    if (data[name] === undefined) return;
+    const isList = LIST_SECTIONS.includes(name);
+    if (mode === "replace") {
+      next[name] = data[name];
+      changes.push({
+        section: name,
+        summary: isList
+          ? `${current[name].length} → ${data[name].length} entries`
+          : "replaced",
+      });
+    } else if (isList) {
+      const { list, added } = mergeById(current[name], data[name]);
+      if (added) next[name] = list;
+      changes.push({
+        section: name,
+        summary: `${added} new, ${data[name].length - added} already present`,
+      });
+    } else {
+      changes.push({ section: name, summary: "kept as is" });
+    }
+  });
+  return { next, changes };
+}
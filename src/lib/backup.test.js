@@ -0,0 +1,89 @@
+import { addSession, memoryBackend, setHistoryBackend } from './historyDb';
+import { BACKUP_FORMAT, createBackup, parseBackup, planImport } from './backup';
+import { TASK_DEFAULTS } from './tasks';
+
+const settings = {
+  focusMin: 25,
+  shortMin: 5,
+  longMin: 15,
+  longInterval: 4,
+  autoStartNext: true,
+  sound: true,
+  notifications: false,
+  sequenceId: null,
+  historyRetentionDays: null,
+};
+const session = (id) => ({
+  id,
+  date: '2025-01-10T09:00:00.000Z',
+  mode: 'focus',
+  seconds: 1500,
+  planned: 1500,
+  skipped: false,
+  taskId: null,
+  tzOffset: 0,
+});
+const current = {
+  settings,
+  ui: { showSettings: false, showTasks: true },
+  tasks: [{ ...TASK_DEFAULTS, id: 't1', title: 'Mine', pomodoros: 1 }],
+  presets: [],
+  sequences: [],
+  history: [session('h1')],
+};
+
+beforeEach(() => setHistoryBackend(memoryBackend()));
+
+test('a backup round-trips through parseBackup', async () => {
+  await addSession(session('h1'));
+  const backup = await createBackup(current, new Date('2025-01-10T12:00:00Z'));
+  const { data, problems, exportedAt } = parseBackup(JSON.stringify(backup), current);
+  expect(problems).toEqual([]);
+  expect(exportedAt).toBe('2025-01-10T12:00:00.000Z');
+  expect(data).toEqual(current);
+});
+
+test('rejects files that are not usable backups', () => {
+  expect(() => parseBackup('nope', current)).toThrow(/not valid JSON/);
+  expect(() => parseBackup('{"tasks":[]}', current)).toThrow(/not a Pomodoro backup/);
+  expect(() =>
+    parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99, data: {} }), current)
+  ).toThrow(/newer version/);
+});
+
+test('repairs sections and reports what it fixed', () => {
+  const text = JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    data: { tasks: [{ id: 't2', title: 'Theirs' }, { title: 'broken' }] },
+  });
+  const { data, problems } = parseBackup(text, current);
+  expect(data).toEqual({
+    tasks: [{ ...TASK_DEFAULTS, id: 't2', title: 'Theirs' }],
+  });
+  expect(problems).toEqual(['tasks: 1 unreadable entry removed']);
+});
+
+test('merge adds missing entries by id and keeps settings', () => {
+  const incoming = {
+    settings: { ...settings, focusMin: 50 },
+    tasks: [{ id: 't1', title: 'Renamed', pomodoros: 9, done: true }, { id: 't2', title: 'New', pomodoros: 0, done: false }],
+    history: [session('h1'), session('h2')],
+  };
+  const { next, changes } = planImport(incoming, current, 'merge');
+  expect(next.settings).toBeUndefined();
+  expect(next.tasks.map((t) => t.title)).toEqual(['Mine', 'New']);
+  expect(next.history.map((h) => h.id)).toEqual(['h1', 'h2']);
+  expect(changes).toEqual([
+    { section: 'settings', summary: 'kept as is' },
+    { section: 'tasks', summary: '1 new, 1 already present' },
+    { section: 'history', summary: '1 new, 1 already present' },
+  ]);
+});
+
+test('replace takes every section from the backup', () => {
+  const incoming = { settings: { ...settings, focusMin: 50 }, history: [] };
+  const { next, changes } = planImport(incoming, current, 'replace');
+  expect(next).toEqual(incoming);
+  expect(changes[1]).toEqual({ section: 'history', summary: '1 → 0 entries' });
+});
@@ -0,0 +1,48 @@
+/**
+ * Command palette search
+ *
+ * A command is { id, label, group?, keywords?, shortcut?, run }. A query
+ * matches when its letters appear in the label (or keywords) in order, not
+ * necessarily side by side: "slb" finds "Start long break". Letters that
+ * start a word or follow the previous match score higher, so the closest
+ * matches come first.
+ */
+
+const isWordStart = (text, i) => i === 0 || !/[a-z0-9]/.test(text[i - 1]);
+
+/** How well `query` matches `text` (higher is better), or null for no match */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let from = 0;
+  let last = -2;
+  for (const ch of q) {
+    const i = t.indexOf(ch, from);
+    if (i < 0) return null;
+    score += 1;
+    if (i === last + 1) score += 2;
+    if (isWordStart(t, i)) score += 3;
+    last = i;
+    from = i + 1;
+  }
+  // Among equal matches, prefer shorter labels
+  return score - t.length / 100;
+}
+
+/** Commands matching `query`, best first; all of them for an empty query */
+export function searchCommands(commands, query) {
+  if (!query.trim()) return commands;
+  return commands
+    .map((command, index) => {
+      const label = fuzzyScore(query, command.label);
+      // A match in the keywords only counts a little less than one in the label
+      const keywords = command.keywords ? fuzzyScore(query, command.keywords) : null;
+      const score = keywords === null ? label : Math.max(label ?? -Infinity, keywords - 1);
+      return { command, index, score };
+    })
+    .filter((m) => m.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map((m) => m.command);
+}
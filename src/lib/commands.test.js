@@ -0,0 +1,31 @@
+import { fuzzyScore, searchCommands } from './commands';
+
+const command = (label, keywords) => ({ id: label, label, keywords, run: () => {} });
+
+test('matches letters in order, not necessarily adjacent', () => {
+  expect(fuzzyScore('slb', 'Start long break')).not.toBeNull();
+  expect(fuzzyScore('lbs', 'Start long break')).toBeNull();
+  expect(fuzzyScore('START', 'Start focus')).not.toBeNull();
+  expect(fuzzyScore('', 'anything')).toBe(0);
+});
+
+test('word starts and runs beat scattered letters', () => {
+  expect(fuzzyScore('sb', 'Start short break')).toBeGreaterThan(fuzzyScore('sb', 'Disable sound'));
+  expect(fuzzyScore('fo', 'Start focus')).toBeGreaterThan(fuzzyScore('fo', 'Turn off sound'));
+});
+
+test('sorts the matching commands best first and keeps the order for ties', () => {
+  const commands = [
+    command('Turn off sound'),
+    command('Start short break'),
+    command('Start long break'),
+    command('Export history', 'csv download'),
+  ];
+  expect(searchCommands(commands, 'slb').map((c) => c.id)).toEqual(['Start long break']);
+  expect(searchCommands(commands, 'start').map((c) => c.id)).toEqual([
+    'Start long break',
+    'Start short break',
+  ]);
+  expect(searchCommands(commands, 'csv').map((c) => c.id)).toEqual(['Export history']);
+  expect(searchCommands(commands, '  ')).toBe(commands);
+});
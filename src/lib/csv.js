@@ -0,0 +1,55 @@
+/**
+ * RFC 4180 CSV: fields containing commas, quotes or line breaks are quoted,
+ * quotes inside them are doubled, and records end with CRLF.
+ */
+
+const needsQuotes = /[",\r\n]|^\s|\s$/;
+
+export function csvField(value) {
+  const s = value == null ? "" : String(value);
+  return needsQuotes.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Parse CSV text into an array of records (arrays of strings). Accepts LF or
+// CRLF line endings and a leading byte order mark; blank lines are skipped.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === ",") endField();
+    else if (c === "\n") endRow();
+    else if (c === "\r") {
+      if (text[i + 1] === "\n") i++;
+      endRow();
+    } else field += c;
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
@@ -0,0 +1,99 @@
+/**
+ * Local calendar days
+ *
+ * Sessions are bucketed by the day on the wall clock where they ended, not
+ * the UTC date. Each entry records `tzOffset` (minutes, as returned by
+ * Date#getTimezoneOffset) when it is saved, so past days stay put after
+ * travelling; older entries fall back to the device's offset at that instant.
+ *
+ * `dayStartHour` moves the boundary for night owls: with 4, a session ending
+ * at 01:30 still counts towards the previous day.
+ */
+
+export const DAY_MS = 24 * 3600 * 1000;
+
+// Widest offsets in use (UTC-12 … UTC+14); queries over a day widen their ISO
+// bounds by this much and filter on the computed day key afterwards
+export const MAX_TZ_MS = 14 * 3600 * 1000;
+
+// `time` moved so its UTC fields read like the clock at `tzOffset`
+const wallClock = (time, tzOffset) => new Date(time - tzOffset * 60000);
+
+// YYYY-MM-DD of `time` seen on a clock at `tzOffset`, shifted by the day start
+function keyFor(time, tzOffset, dayStartHour) {
+  const shifted = wallClock(time, tzOffset).getTime() - dayStartHour * 3600000;
+  return new Date(shifted).toISOString().slice(0, 10);
+}
+
+const offsetOf = (session, time) =>
+  session.tzOffset ?? new Date(time).getTimezoneOffset();
+
+// Day key of the current moment (or any Date) in the device's timezone
+export function dayKeyAt(date = new Date(), dayStartHour = 0) {
+  return keyFor(date.getTime(), date.getTimezoneOffset(), dayStartHour);
+}
+
+// Day key a session belongs to, using the offset it was recorded with
+export function sessionDayKey(session, dayStartHour = 0) {
+  const time = Date.parse(session.date);
+  return keyFor(time, offsetOf(session, time), dayStartHour);
+}
+
+// Local hour (0–23) a session started at, on the clock it was recorded with
+export function sessionStartHour(session) {
+  const time = Date.parse(session.date) - session.seconds * 1000;
+  return wallClock(time, offsetOf(session, time)).getUTCHours();
+}
+
+// Keys of every day from `fromKey` to `toKey`, inclusive
+export function dayKeysBetween(fromKey, toKey) {
+  const keys = [];
+  for (let k = fromKey; k <= toKey; k = shiftDayKey(k, 1)) keys.push(k);
+  return keys;
+}
+
+// Key `delta` calendar days after `key`
+export function shiftDayKey(key, delta) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + delta)).toISOString().slice(0, 10);
+}
+
+// Weekday of a day key, 0 = Sunday
+export function weekdayOfKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Key of the Monday starting the week that holds `key`
+export const weekStartKey = (key) =>
+  shiftDayKey(key, -((weekdayOfKey(key) + 6) % 7));
+
+// The moment day `key` begins in the device's timezone
+export function dayStart(key, dayStartHour = 0) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d, dayStartHour);
+}
+
+// ISO bounds wide enough to hold every session of days `fromKey`…`toKey`,
+// whatever offset each was recorded with; a missing key leaves that side open
+export function dayRangeBounds(fromKey, toKey, dayStartHour = 0) {
+  const at = (key, pad) =>
+    new Date(dayStart(key, dayStartHour).getTime() + pad).toISOString();
+  return {
+    from: fromKey ? at(fromKey, -MAX_TZ_MS) : undefined,
+    to: toKey ? at(shiftDayKey(toKey, 1), MAX_TZ_MS) : undefined,
+  };
+}
+
+// Format a day key with toLocaleDateString options, e.g. { weekday: "short" }
+export function formatDayKey(key, options) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString(undefined, {
+    ...options,
+    timeZone: "UTC",
+  });
+}
+
+// Short weekday name for a day key ("MON")
+export const weekdayLabel = (key) =>
+  formatDayKey(key, { weekday: "short" }).toUpperCase();
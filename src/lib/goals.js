@@ -0,0 +1,105 @@
+/**
+ * Focus goals
+ *
+ * `settings.goals`:
+ *   unit        "blocks" | "minutes"
+ *   daily       target per day (0 = no daily goal)
+ *   perWeekday  null, or 7 targets overriding `daily` (index 0 = Sunday)
+ *   weekly      target per Monday–Sunday week, or null
+ *   restDays    weekdays (0 = Sunday) that never break a streak
+ *   streakMode  "focus": any day with focus counts towards the streak,
+ *               "goal": only days meeting their daily goal count
+ *
+ * Day totals are { minutes, blocks } for a local day key (see lib/days).
+ */
+import { dayKeysBetween, weekStartKey, weekdayOfKey } from "./days";
+
+export const DEFAULT_GOALS = {
+  unit: "blocks",
+  daily: 4,
+  perWeekday: null,
+  weekly: null,
+  restDays: [],
+  streakMode: "focus",
+};
+
+export const EMPTY_TOTALS = { minutes: 0, blocks: 0 };
+
+// Stored goals with defaults for anything missing or malformed
+export function normalizeGoals(goals) {
+  const g = { ...DEFAULT_GOALS, ...(goals || {}) };
+  return {
+    ...g,
+    perWeekday:
+      Array.isArray(g.perWeekday) && g.perWeekday.length === 7 ? g.perWeekday : null,
+    restDays: Array.isArray(g.restDays) ? g.restDays : [],
+  };
+}
+
+export const goalAmount = (goals, totals) =>
+  goals.unit === "minutes" ? Math.round(totals.minutes) : totals.blocks;
+
+export const formatGoal = (goals, value) =>
+  goals.unit === "minutes"
+    ? `${value} min`
+    : `${value} block${value === 1 ? "" : "s"}`;
+
+export function dailyTarget(goals, key) {
+  const override = goals.perWeekday && goals.perWeekday[weekdayOfKey(key)];
+  return override ?? goals.daily;
+}
+
+export const isRestDay = (goals, key) =>
+  goals.restDays.includes(weekdayOfKey(key));
+
+// { value, target, ratio, met } for a progress indicator
+export function goalProgress(value, target) {
+  return {
+    value,
+    target,
+    ratio: target > 0 ? Math.min(1, value / target) : 0,
+    met: target > 0 && value >= target,
+  };
+}
+
+// Whether a day adds to the streak; days without a target need any focus
+export function dayCountsForStreak(goals, key, totals) {
+  const value = goalAmount(goals, totals);
+  if (goals.streakMode !== "goal") return totals.blocks > 0;
+  const target = dailyTarget(goals, key);
+  return target > 0 ? value >= target : value > 0;
+}
+
+/**
+ * Goal attainment over days `fromKey`…`toKey` given a map of day key →
+ * totals: one entry per day and, when a weekly goal is set, per week (weeks
+ * are summed over every day in them that falls in the map).
+ */
+export function goalHistory(goals, fromKey, toKey, totalsByDay) {
+  const days = dayKeysBetween(fromKey, toKey).map((key) => {
+    const totals = totalsByDay[key] || EMPTY_TOTALS;
+    const rest = isRestDay(goals, key);
+    return {
+      key,
+      rest,
+      ...goalProgress(goalAmount(goals, totals), rest ? 0 : dailyTarget(goals, key)),
+    };
+  });
+  const weeks = [];
+  if (goals.weekly > 0) {
+    days.forEach((d) => {
+      const start = weekStartKey(d.key);
+      const last = weeks[weeks.length - 1];
+      if (last && last.start === start) last.value += d.value;
+      else weeks.push({ start, value: d.value });
+    });
+    weeks.forEach((w) => Object.assign(w, goalProgress(w.value, goals.weekly)));
+  }
+  const withGoal = days.filter((d) => d.target > 0);
+  return {
+    days,
+    weeks,
+    daysWithGoal: withGoal.length,
+    daysMet: withGoal.filter((d) => d.met).length,
+  };
+}
@@ -0,0 +1,60 @@
+import {
+  DEFAULT_GOALS,
+  dailyTarget,
+  dayCountsForStreak,
+  goalHistory,
+  normalizeGoals,
+} from './goals';
+
+// 2025-01-06 is a Monday
+const goals = normalizeGoals({
+  unit: 'minutes',
+  daily: 100,
+  perWeekday: [0, 120, 120, 120, 120, 60, 0],
+  weekly: 400,
+  restDays: [0, 6],
+  streakMode: 'goal',
+});
+
+test('fills defaults and drops malformed fields', () => {
+  expect(normalizeGoals(undefined)).toEqual(DEFAULT_GOALS);
+  expect(normalizeGoals({ perWeekday: [1, 2], restDays: 'x' })).toEqual(DEFAULT_GOALS);
+});
+
+test('per-weekday targets override the daily goal', () => {
+  expect(dailyTarget(goals, '2025-01-06')).toBe(120);
+  expect(dailyTarget(goals, '2025-01-10')).toBe(60);
+  expect(dailyTarget({ ...goals, perWeekday: null }, '2025-01-10')).toBe(100);
+});
+
+test('goal streaks need the target, focus streaks any block', () => {
+  const some = { minutes: 70, blocks: 3 };
+  expect(dayCountsForStreak(goals, '2025-01-06', some)).toBe(false);
+  expect(dayCountsForStreak(goals, '2025-01-10', some)).toBe(true);
+  expect(dayCountsForStreak({ ...goals, streakMode: 'focus' }, '2025-01-06', some)).toBe(true);
+});
+
+test('reports daily and weekly attainment', () => {
+  const history = goalHistory(goals, '2025-01-06', '2025-01-13', {
+    '2025-01-06': { minutes: 125, blocks: 5 },
+    '2025-01-07': { minutes: 50, blocks: 2 },
+    '2025-01-10': { minutes: 60, blocks: 2 },
+    '2025-01-11': { minutes: 200, blocks: 8 },
+    '2025-01-13': { minutes: 25, blocks: 1 },
+  });
+  expect(history.days.map((d) => [d.met, d.rest])).toEqual([
+    [true, false],
+    [false, false],
+    [false, false],
+    [false, false],
+    [true, false],
+    [false, true],
+    [false, true],
+    [false, false],
+  ]);
+  expect(history).toMatchObject({ daysWithGoal: 6, daysMet: 2 });
+  expect(history.weeks).toEqual([
+    expect.objectContaining({ start: '2025-01-06', value: 435, met: true }),
+    expect.objectContaining({ start: '2025-01-13', value: 25, met: false }),
+  ]);
+});
@@ -0,0 +1,244 @@
+/**
+ * Session history ⇄ CSV
+ *
+ * Export writes one row per session with task titles, local start/end times,
+ * duration, planned vs. actual seconds, time added or taken off while it ran,
+ * the skipped flag and any note, focus rating and interruption count (see
+ * lib/sessionNotes), pauses and whether the block was voided (see
+ * lib/pauses). Import reads
+ * that format back and also the usual columns of other Pomodoro tools
+ * (date/time or start/end, duration in minutes or h:mm:ss, type, task).
+ */
+import { parseCSV, toCSV } from "./csv";
+import { createTask } from "./tasks";
+import { hasReflection, normalizeReflection } from "./sessionNotes";
+import { pausedSecondsOf } from "./pauses";
+import { extendedSecondsOf } from "./timerMachine";
+
+export const CSV_HEADERS = [
+  "id",
+  "start_local",
+  "end_local",
+  "end_utc",
+  "mode",
+  "label",
+  "task",
+  "task_id",
+  "duration_min",
+  "planned_seconds",
+  "actual_seconds",
+  "extended_seconds",
+  "skipped",
+  "voided",
+  "pauses",
+  "paused_seconds",
+  "rating",
+  "interruptions",
+  "note",
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "YYYY-MM-DD HH:MM" on the clock where the session was recorded (see lib/days)
+export function formatLocal(time, tzOffset = new Date(time).getTimezoneOffset()) {
+  const d = new Date(time - tzOffset * 60000);
+  return (
+    `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`
+  );
+}
+
+export function sessionsToCSV(sessions, tasks) {
+  const titles = new Map(tasks.map((t) => [t.id, t.title]));
+  const rows = sessions.map((s) => {
+    const end = Date.parse(s.date);
+    const offset = s.tzOffset ?? undefined;
+    return [
+      s.id,
+      formatLocal(end - s.seconds * 1000, offset),
+      formatLocal(end, offset),
+      s.date,
+      s.mode,
+      s.label || "",
+      s.taskId ? titles.get(s.taskId) || "" : "",
+      s.taskId || "",
+      Math.round((s.seconds / 60) * 10) / 10,
+      s.planned ?? s.seconds,
+      s.seconds,
+      extendedSecondsOf(s),
+      s.skipped ? "yes" : "no",
+      s.voided ? "yes" : "no",
+      (s.pauses || []).length,
+      pausedSecondsOf(s),
+      s.rating ?? "",
+      s.interruptions ?? "",
+      s.note || "",
+    ];
+  });
+  return toCSV([CSV_HEADERS, ...rows]);
+}
+
+// -------------------- Import --------------------
+// Column aliases, matched against headers lower-cased with non-alphanumerics
+// turned into "_"
+const COLUMNS = {
+  id: ["id"],
+  end: ["end_utc", "end_local", "end", "ended_at", "end_time", "finished_at"],
+  start: ["start_local", "start", "started_at", "start_time", "begin"],
+  date: ["date", "day"],
+  time: ["time"],
+  seconds: ["actual_seconds", "seconds", "duration_seconds", "duration_s"],
+  duration: ["duration_min", "minutes", "duration_minutes", "duration", "length"],
+  planned: ["planned_seconds"],
+  extended: ["extended_seconds"],
+  mode: ["mode", "type", "kind", "session_type", "category"],
+  label: ["label"],
+  task: ["task", "task_name", "title", "description", "name"],
+  taskId: ["task_id"],
+  skipped: ["skipped"],
+  voided: ["voided", "void"],
+  rating: ["rating", "focus_rating", "quality"],
+  interruptions: ["interruptions", "interruption_count"],
+  note: ["note", "notes", "comment"],
+};
+
+const normalizeHeader = (h) =>
+  h.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+function columnIndexes(header) {
+  const names = header.map(normalizeHeader);
+  return Object.fromEntries(
+    Object.entries(COLUMNS).map(([key, aliases]) => {
+      const alias = aliases.find((a) => names.includes(a));
+      return [key, alias ? names.indexOf(alias) : -1];
+    })
+  );
+}
+
+// ISO strings with an offset are absolute; "YYYY-MM-DD[ HH:MM[:SS]]" is local
+export function parseDateTime(value) {
+  const s = value.trim();
+  if (!s) return null;
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (m) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0] = m;
+    return new Date(+y, +mo - 1, +d, +h, +mi, +sec);
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+// Minutes ("25", "25.5") or clock durations ("25:00", "1:30:00") to seconds
+function parseDuration(value) {
+  const s = value.trim();
+  if (!s) return NaN;
+  if (s.includes(":")) {
+    const parts = s.split(":").map(Number);
+    if (parts.some(Number.isNaN)) return NaN;
+    return parts.length === 3
+      ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+      : parts[0] * 60 + parts[1];
+  }
+  return Math.round(parseFloat(s) * 60);
+}
+
+function parseMode(value) {
+  const s = (value || "").trim().toLowerCase();
+  if (/long/.test(s)) return "long";
+  if (/short|break|rest/.test(s)) return "short";
+  return "focus";
+}
+
+/**
+ * Imported sessions to add: those whose id is not in `knownIds`, each id
+ * once. Rows without an id get one from their end time and mode, so two
+ * identical rows in a file share it.
+ */
+export function newSessions(sessions, knownIds) {
+  const seen = new Set(knownIds);
+  return sessions.filter((s) => !seen.has(s.id) && seen.add(s.id));
+}
+
+const truthy = (value) => /^(1|true|yes|y)$/i.test((value || "").trim());
+
+/**
+ * Turn CSV text into sessions. Task titles are matched case-insensitively to
+ * existing tasks; unknown titles become new tasks. Returns
+ * { sessions, newTasks, errors } with one error per unusable row.
+ */
+export function sessionsFromCSV(text, tasks) {
+  const [header, ...records] = parseCSV(text);
+  if (!header) return { sessions: [], newTasks: [], errors: [] };
+  const col = columnIndexes(header);
+  if (col.end < 0 && col.start < 0 && col.date < 0)
+    throw new Error("No date column found (expected end, start or date).");
+
+  const byTitle = new Map(tasks.map((t) => [t.title.trim().toLowerCase(), t]));
+  const knownIds = new Set(tasks.map((t) => t.id));
+  const newTasks = [];
+  const sessions = [];
+  const errors = [];
+
+  const cell = (row, key) => (col[key] >= 0 ? row[col[key]] || "" : "");
+
+  function taskFor(row) {
+    const id = cell(row, "taskId").trim();
+    if (id && knownIds.has(id)) return id;
+    const title = cell(row, "task").trim();
+    if (!title) return null;
+    const key = title.toLowerCase();
+    if (!byTitle.has(key)) {
+      const task = createTask(title);
+      byTitle.set(key, task);
+      newTasks.push(task);
+    }
+    return byTitle.get(key).id;
+  }
+
+  records.forEach((row, i) => {
+    const line = i + 2;
+    let start = parseDateTime(cell(row, "start"));
+    let end = parseDateTime(cell(row, "end"));
+    if (!start && !end && cell(row, "date")) {
+      start = parseDateTime(`${cell(row, "date")} ${cell(row, "time")}`.trim());
+    }
+    let seconds = parseInt(cell(row, "seconds"), 10);
+    if (Number.isNaN(seconds)) seconds = parseDuration(cell(row, "duration"));
+    if (Number.isNaN(seconds) && start && end)
+      seconds = Math.round((end - start) / 1000);
+    if (!start && !end) {
+      errors.push({ line, message: "missing or unreadable date" });
+      return;
+    }
+    if (!(seconds > 0)) {
+      errors.push({ line, message: "missing or unreadable duration" });
+      return;
+    }
+    if (!end) end = new Date(start.getTime() + seconds * 1000);
+
+    const mode = parseMode(cell(row, "mode"));
+    const date = end.toISOString();
+    const planned = parseInt(cell(row, "planned"), 10);
+    const extended = parseInt(cell(row, "extended"), 10);
+    const reflection = normalizeReflection({
+      note: cell(row, "note"),
+      rating: cell(row, "rating"),
+      interruptions: cell(row, "interruptions").trim(),
+    });
+    sessions.push({
+      id: cell(row, "id").trim() || `csv-${date}-${mode}`,
+      date,
+      mode,
+      label: cell(row, "label").trim() || undefined,
+      seconds,
+      planned: planned > 0 ? planned : seconds,
+      skipped: truthy(cell(row, "skipped")),
+      taskId: mode === "focus" ? taskFor(row) : null,
+      // Only the total survives a CSV round trip
+      ...(extended && { extensions: [{ at: date, seconds: extended }] }),
+      ...(truthy(cell(row, "voided")) && { voided: true }),
+      ...(hasReflection(reflection) ? reflection : {}),
+    });
+  });
+  return { sessions, newTasks, errors };
+}
@@ -0,0 +1,157 @@
+import { parseCSV, toCSV } from './csv';
+import { newSessions, parseDateTime, sessionsFromCSV, sessionsToCSV } from './historyCsv';
+
+const tasks = [{ id: 't1', title: 'Write report', pomodoros: 2, done: false }];
+
+test('quotes fields with commas, quotes and line breaks and parses them back', () => {
+  const rows = [
+    ['a', 'b,c', 'say "hi"'],
+    ['line\nbreak', '', ' padded '],
+  ];
+  const text = toCSV(rows);
+  expect(text).toBe('a,"b,c","say ""hi"""\r\n"line\nbreak",," padded "\r\n');
+  expect(parseCSV(text)).toEqual(rows);
+  expect(() => parseCSV('a,"open')).toThrow(/Unterminated/);
+});
+
+test('exports task titles, local times and planned vs actual seconds', () => {
+  const end = new Date(2025, 0, 10, 9, 30);
+  const text = sessionsToCSV(
+    [
+      {
+        id: 's1',
+        date: end.toISOString(),
+        mode: 'focus',
+        label: 'Focus',
+        seconds: 600,
+        planned: 1500,
+        skipped: true,
+        taskId: 't1',
+      },
+    ],
+    tasks
+  );
+  const [header, row] = parseCSV(text);
+  const record = Object.fromEntries(header.map((h, i) => [h, row[i]]));
+  expect(record).toMatchObject({
+    start_local: '2025-01-10 09:20',
+    end_local: '2025-01-10 09:30',
+    task: 'Write report',
+    duration_min: '10',
+    planned_seconds: '1500',
+    actual_seconds: '600',
+    skipped: 'yes',
+  });
+});
+
+test('round-trips its own export', () => {
+  const session = {
+    id: 's1',
+    date: '2025-01-10T09:00:00.000Z',
+    mode: 'short',
+    label: 'Short Break',
+    seconds: 300,
+    planned: 300,
+    skipped: false,
+    taskId: null,
+  };
+  const { sessions, errors } = sessionsFromCSV(sessionsToCSV([session], tasks), tasks);
+  expect(errors).toEqual([]);
+  expect(sessions).toEqual([session]);
+});
+
+test('exports and reads back the time added to a block', () => {
+  const session = {
+    id: 's3',
+    date: '2025-01-10T11:00:00.000Z',
+    mode: 'focus',
+    seconds: 1800,
+    planned: 1800,
+    skipped: false,
+    taskId: null,
+    extensions: [
+      { at: '2025-01-10T10:40:00.000Z', seconds: 600 },
+      { at: '2025-01-10T10:50:00.000Z', seconds: -300 },
+    ],
+  };
+  const text = sessionsToCSV([session], tasks);
+  const [header, row] = parseCSV(text);
+  expect(row[header.indexOf('extended_seconds')]).toBe('300');
+  expect(sessionsFromCSV(text, tasks).sessions[0].extensions).toEqual([
+    { at: session.date, seconds: 300 },
+  ]);
+});
+
+test('exports and reads back notes, ratings and interruptions', () => {
+  const session = {
+    id: 's2',
+    date: '2025-01-10T10:00:00.000Z',
+    mode: 'focus',
+    seconds: 1500,
+    planned: 1500,
+    skipped: false,
+    taskId: 't1',
+    note: 'Drafted intro, "slow" start',
+    rating: 3,
+    interruptions: 2,
+  };
+  const text = sessionsToCSV([session], tasks);
+  expect(parseCSV(text)[0].slice(-3)).toEqual(['rating', 'interruptions', 'note']);
+  expect(sessionsFromCSV(text, tasks).sessions).toEqual([
+    { ...session, label: undefined },
+  ]);
+
+  const other = 'Date,Duration,Rating,Notes\n2025-01-10 09:00,25,9,\n2025-01-10 10:00,25,,ok';
+  const [unrated, noted] = sessionsFromCSV(other, tasks).sessions;
+  expect(unrated).not.toHaveProperty('rating');
+  expect(noted).toMatchObject({ note: 'ok', rating: null, interruptions: null });
+});
+
+test('reads other tools\' columns and matches tasks by title', () => {
+  const text = [
+    'Date,Time,Type,Duration,Task',
+    '2025-01-10,09:00,Pomodoro,25,write REPORT',
+    '2025-01-10,09:25,Break,5:00,',
+    '2025-01-10,10:00,Work,25,New thing',
+    'not a date,,Work,25,',
+    '2025-01-10,11:00,Work,,',
+  ].join('\n');
+  const { sessions, newTasks, errors } = sessionsFromCSV(text, tasks);
+  expect(sessions.map((s) => [s.mode, s.seconds])).toEqual([
+    ['focus', 1500],
+    ['short', 300],
+    ['focus', 1500],
+  ]);
+  expect(sessions[0].taskId).toBe('t1');
+  expect(sessions[0].date).toBe(new Date(2025, 0, 10, 9, 25).toISOString());
+  expect(newTasks.map((t) => t.title)).toEqual(['New thing']);
+  expect(sessions[2].taskId).toBe(newTasks[0].id);
+  expect(errors.map((e) => e.line)).toEqual([5, 6]);
+  // Ids derive from the end time, so importing the same file twice dedupes
+  expect(sessionsFromCSV(text, tasks).sessions[0].id).toBe(sessions[0].id);
+});
+
+test('adds a row repeated in the file only once', () => {
+  const text = [
+    'Date,Time,Type,Duration,Task',
+    '2025-01-10,09:00,Work,25,write report',
+    '2025-01-10,09:00,Work,25,write report',
+    '2025-01-10,10:00,Work,25,write report',
+  ].join('\n');
+  const { sessions } = sessionsFromCSV(text, tasks);
+  expect(sessions).toHaveLength(3);
+  const fresh = newSessions(sessions, new Set());
+  expect(fresh.map((s) => s.date)).toEqual([
+    new Date(2025, 0, 10, 9, 25).toISOString(),
+    new Date(2025, 0, 10, 10, 25).toISOString(),
+  ]);
+  expect(newSessions(sessions, new Set([fresh[1].id]))).toEqual([fresh[0]]);
+});
+
+test('rejects files without a date column and parses local dates', () => {
+  expect(() => sessionsFromCSV('task,minutes\nx,25', tasks)).toThrow(/date column/);
+  expect(parseDateTime('2025-03-01 08:05')).toEqual(new Date(2025, 2, 1, 8, 5));
+  expect(parseDateTime('2025-03-01T08:05:00Z').toISOString()).toBe(
+    '2025-03-01T08:05:00.000Z'
+  );
+});
@@ -0,0 +1,317 @@
+/**
+ * Session history in IndexedDB
+ *
+ * Sessions live in the "sessions" object store (keyPath "id") with indexes on
+ * date, mode, taskId and [mode, date], so totals, charts and streaks read only
+ * the range they need instead of the whole history. The first access moves
+ * any history still stored in localStorage (`pomodoro.history.v1`) into the
+ * database and then removes the old key.
+ *
+ * Writes are announced to other open tabs (see lib/tabSync) so their
+ * queries re-run too.
+ *
+ * When IndexedDB is unavailable (old browsers, some private modes, jsdom) an
+ * in-memory store with the same behaviour is used for the page's lifetime.
+ */
+import { STORAGE_KEYS, loadRecord, reportStorageIssue } from "./storage";
+import { onTabMessage, postTabMessage } from "./tabSync";
+
+const DB_NAME = "pomodoro";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+// Upper bound for string keys, e.g. every date that starts with "2025-01-06"
+export const MAX_KEY_SUFFIX = "\uffff";
+
+// Index name → key of a session in that index
+const INDEX_KEYS = {
+  date: (s) => s.date,
+  mode: (s) => s.mode,
+  taskId: (s) => s.taskId,
+  mode_date: (s) => [s.mode, s.date],
+};
+
+// -------------------- Backends --------------------
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+      store.createIndex("date", "date");
+      store.createIndex("mode", "mode");
+      store.createIndex("taskId", "taskId");
+      store.createIndex("mode_date", ["mode", "date"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function keyRange(lower, upper) {
+  if (lower !== undefined && upper !== undefined)
+    return IDBKeyRange.bound(lower, upper);
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper);
+  return undefined;
+}
+
+function indexedDbBackend() {
+  let dbPromise = null;
+  const db = () => dbPromise || (dbPromise = openDb());
+
+  // Runs `fn` in a transaction and resolves with its result once committed
+  const tx = (mode, fn) =>
+    db().then(
+      (d) =>
+        new Promise((resolve, reject) => {
+          const t = d.transaction(STORE, mode);
+          const result = fn(t.objectStore(STORE));
+          t.oncomplete = () => resolve(result);
+          t.onerror = () => reject(t.error);
+          t.onabort = () => reject(t.error);
+        })
+    );
+
+  return {
+    open: () => db(),
+    put: (sessions) =>
+      tx("readwrite", (store) => sessions.forEach((s) => store.put(s))),
+    remove: (ids) =>
+      tx("readwrite", (store) => ids.forEach((id) => store.delete(id))),
+    clear: () => tx("readwrite", (store) => store.clear()),
+    get: (id) =>
+      tx("readonly", (store) => {
+        const out = {};
+        store.get(id).onsuccess = (e) => (out.value = e.target.result);
+        return out;
+      }).then((out) => out.value),
+    iterate: ({ index, lower, upper, reverse }, visit) =>
+      tx("readonly", (store) => {
+        const source = index ? store.index(index) : store;
+        const req = source.openCursor(
+          keyRange(lower, upper),
+          reverse ? "prev" : "next"
+        );
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (cursor && visit(cursor.value) !== false) cursor.continue();
+        };
+      }),
+  };
+}
+
+// Same ordering as indexedDB.cmp for the string and array keys used here
+function compareKeys(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareKeys(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function memoryBackend() {
+  const rows = new Map();
+  return {
+    put: async (sessions) => sessions.forEach((s) => rows.set(s.id, s)),
+    remove: async (ids) => ids.forEach((id) => rows.delete(id)),
+    clear: async () => rows.clear(),
+    get: async (id) => rows.get(id),
+    iterate: async ({ index, lower, upper, reverse }, visit) => {
+      const keyOf = index ? INDEX_KEYS[index] : (s) => s.id;
+      const matches = [...rows.values()]
+        .filter((s) => keyOf(s) != null)
+        .filter(
+          (s) =>
+            (lower === undefined || compareKeys(keyOf(s), lower) >= 0) &&
+            (upper === undefined || compareKeys(keyOf(s), upper) <= 0)
+        )
+        .sort(
+          (a, b) => compareKeys(keyOf(a), keyOf(b)) || compareKeys(a.id, b.id)
+        );
+      if (reverse) matches.reverse();
+      for (const s of matches) if (visit(s) === false) break;
+    },
+  };
+}
+
+let backend =
+  typeof indexedDB !== "undefined" ? indexedDbBackend() : memoryBackend();
+
+// Swap the storage backend (tests)
+export function setHistoryBackend(next) {
+  backend = next;
+  readyPromise = null;
+}
+
+// -------------------- Legacy migration --------------------
+let readyPromise = null;
+
+async function migrateLegacyHistory() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEYS.history);
+  } catch {}
+  if (raw == null) return 0;
+  const sessions = loadRecord("history", []);
+  await backend.put(sessions);
+  localStorage.removeItem(STORAGE_KEYS.history);
+  return sessions.length;
+}
+
+// Resolves once the database is open and legacy data has been moved; a
+// failed IndexedDB open falls back to memory so the app keeps working, and
+// is shown with the other storage issues.
+function ready() {
+  if (!readyPromise)
+    readyPromise = Promise.resolve()
+      .then(() => backend.open?.())
+      .then(migrateLegacyHistory)
+      .catch((e) => {
+        backend = memoryBackend();
+        reportStorageIssue(
+          "history",
+          `the database could not be opened (${e.message}); sessions are kept only until the page closes`
+        );
+      });
+  return readyPromise;
+}
+
+// For history calls nobody waits on, so a failure is shown rather than left
+// unhandled
+export const reportHistoryError = (e) =>
+  reportStorageIssue("history", `could not be read or saved (${e.message})`);
+
+// -------------------- Change notification --------------------
+// Subscribers hear about writes from this tab and from other open tabs as
+// fn(change): { origin, put?, deleted?, cleared? } where `origin` is what the
+// writer said ("local" by default, "prune" for retention, "sync" for data
+// from the sync server) or "tab" for a write in another tab.
+const listeners = new Set();
+let listening = false;
+
+const notifyHere = (change) => listeners.forEach((fn) => fn(change));
+
+export function subscribeHistory(fn) {
+  listeners.add(fn);
+  if (!listening) {
+    listening = true;
+    onTabMessage(
+      (message) => message.type === "history" && notifyHere({ origin: "tab" })
+    );
+  }
+  return () => listeners.delete(fn);
+}
+
+function notify(change) {
+  notifyHere(change);
+  postTabMessage({ type: "history" });
+}
+
+// -------------------- Public API --------------------
+export async function putSessions(sessions, { origin = "local" } = {}) {
+  await ready();
+  await backend.put(sessions);
+  notify({ origin, put: sessions });
+}
+
+// New sessions record the local offset they ended in (see lib/days)
+export const addSession = (session) =>
+  putSessions([
+    { tzOffset: new Date(session.date).getTimezoneOffset(), ...session },
+  ]);
+
+export async function deleteSessions(ids, { origin = "local" } = {}) {
+  await ready();
+  await backend.remove(ids);
+  notify({ origin, deleted: ids });
+}
+
+export async function clearSessions() {
+  await ready();
+  await backend.clear();
+  notify({ origin: "local", cleared: true });
+}
+
+export async function getSession(id) {
+  await ready();
+  return backend.get(id);
+}
+
+// Merge `patch` into a stored session; resolves with it, or null if gone
+export async function updateSession(id, patch) {
+  await ready();
+  const current = await backend.get(id);
+  if (!current) return null;
+  const next = { ...current, ...patch };
+  await backend.put([next]);
+  notify({ origin: "local", put: [next] });
+  return next;
+}
+
+/**
+ * Sessions matching all given filters, oldest first (newest first with
+ * `reverse`). `from`/`to` compare against the ISO `date` string, so a day
+ * prefix such as "2025-01-06" works as a lower bound.
+ */
+export async function querySessions({
+  from,
+  to,
+  mode,
+  taskId,
+  reverse = false,
+  limit = Infinity,
+} = {}) {
+  await ready();
+  const lowerDate = from ?? "";
+  const upperDate = to ?? MAX_KEY_SUFFIX;
+  let plan;
+  if (mode)
+    plan = {
+      index: "mode_date",
+      lower: [mode, lowerDate],
+      upper: [mode, upperDate],
+    };
+  else if (taskId) plan = { index: "taskId", lower: taskId, upper: taskId };
+  else plan = { index: "date", lower: lowerDate, upper: upperDate };
+
+  // The taskId index is not ordered by date, so it is sorted and cut after
+  const byTask = plan.index === "taskId";
+  const out = [];
+  await backend.iterate({ ...plan, reverse }, (s) => {
+    if (taskId !== undefined && s.taskId !== taskId) return true;
+    if (s.date < lowerDate || s.date > upperDate) return true;
+    out.push(s);
+    return byTask || out.length < limit;
+  });
+  if (!byTask) return out;
+  out.sort((a, b) => (reverse ? -1 : 1) * compareKeys(a.date, b.date));
+  return out.slice(0, limit);
+}
+
+/**
+ * Walk sessions of `mode` from newest to oldest until `visit` returns false,
+ * without loading the rest.
+ */
+export async function walkSessionsBackwards(mode, visit, to = MAX_KEY_SUFFIX) {
+  await ready();
+  await backend.iterate(
+    { index: "mode_date", lower: [mode, ""], upper: [mode, to], reverse: true },
+    visit
+  );
+}
+
+// Delete sessions older than `days` days; null keeps everything
+export async function pruneSessions(days, now = Date.now()) {
+  if (!days) return 0;
+  await ready();
+  const cutoff = new Date(now - days * 24 * 3600 * 1000).toISOString();
+  const ids = [];
+  await backend.iterate({ index: "date", upper: cutoff }, (s) => {
+    if (s.date < cutoff) ids.push(s.id);
+  });
+  if (ids.length) await deleteSessions(ids, { origin: "prune" });
+  return ids.length;
+}
@@ -0,0 +1,158 @@
+import { STORAGE_KEYS, dismissStorageIssues, getStorageIssues } from './storage';
+import {
+  addSession,
+  memoryBackend,
+  pruneSessions,
+  querySessions,
+  setHistoryBackend,
+  updateSession,
+} from './historyDb';
+import { build7DayChart, computeStreak, todayFocus, weekFocus } from './historyStats';
+import { DEFAULT_GOALS } from './goals';
+
+// The device timezone decides "today"; pin it so the expectations hold anywhere
+process.env.TZ = 'UTC';
+
+const NOW = new Date('2025-01-10T15:00:00.000Z');
+let n = 0;
+const session = (date, extra = {}) => ({
+  id: `s${++n}`,
+  date,
+  mode: 'focus',
+  seconds: 1500,
+  planned: 1500,
+  skipped: false,
+  taskId: null,
+  ...extra,
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  dismissStorageIssues();
+  setHistoryBackend(memoryBackend());
+});
+
+test('moves legacy localStorage history into the database once', async () => {
+  localStorage.setItem(
+    STORAGE_KEYS.history,
+    JSON.stringify([
+      { id: 'old', date: '2025-01-09T10:00:00.000Z', mode: 'focus', seconds: 600, taskId: null },
+    ])
+  );
+  expect(await querySessions()).toEqual([
+    expect.objectContaining({ id: 'old', planned: 600, skipped: false }),
+  ]);
+  expect(localStorage.getItem(STORAGE_KEYS.history)).toBeNull();
+});
+
+test('falls back to memory when the database cannot be opened', async () => {
+  setHistoryBackend({
+    ...memoryBackend(),
+    open: () => Promise.reject(new Error('blocked')),
+    put: () => Promise.reject(new Error('not open')),
+  });
+  await addSession(session('2025-01-10T09:00:00.000Z'));
+  expect(await querySessions()).toHaveLength(1);
+  expect(getStorageIssues()).toEqual([
+    expect.objectContaining({ name: 'history', message: expect.stringContaining('blocked'), kept: false }),
+  ]);
+});
+
+test('queries by mode, task and date range in date order', async () => {
+  await addSession(session('2025-01-10T09:00:00.000Z', { taskId: 't1' }));
+  await addSession(session('2025-01-08T09:00:00.000Z', { taskId: 't1' }));
+  await addSession(session('2025-01-09T09:00:00.000Z', { mode: 'short', seconds: 300 }));
+  await addSession(session('2025-01-09T10:00:00.000Z', { taskId: 't2' }));
+
+  const dates = (list) => list.map((s) => s.date.slice(0, 10));
+  expect(dates(await querySessions())).toEqual([
+    '2025-01-08', '2025-01-09', '2025-01-09', '2025-01-10',
+  ]);
+  expect(dates(await querySessions({ mode: 'focus', from: '2025-01-09' }))).toEqual([
+    '2025-01-09', '2025-01-10',
+  ]);
+  expect(dates(await querySessions({ taskId: 't1', reverse: true }))).toEqual([
+    '2025-01-10', '2025-01-08',
+  ]);
+});
+
+test('re-adding a session with the same id does not duplicate it', async () => {
+  const s = session('2025-01-10T09:00:00.000Z');
+  await addSession(s);
+  await addSession(s);
+  expect(await querySessions()).toHaveLength(1);
+});
+
+test('updates stored sessions in place', async () => {
+  const s = session('2025-01-10T09:00:00.000Z');
+  await addSession(s);
+  const updated = await updateSession(s.id, { note: 'Deep work', rating: 4 });
+  expect(updated).toMatchObject({ id: s.id, seconds: 1500, note: 'Deep work', rating: 4 });
+  expect(await querySessions()).toEqual([updated]);
+  expect(await updateSession('missing', { rating: 1 })).toBeNull();
+});
+
+test('prunes by retention and keeps everything without one', async () => {
+  await addSession(session('2024-01-01T09:00:00.000Z'));
+  await addSession(session('2025-01-09T09:00:00.000Z'));
+  expect(await pruneSessions(null, NOW.getTime())).toBe(0);
+  expect(await pruneSessions(30, NOW.getTime())).toBe(1);
+  expect(await querySessions()).toHaveLength(1);
+});
+
+test('aggregates today, the last 7 days and the streak', async () => {
+  await addSession(session('2025-01-10T09:00:00.000Z'));
+  await addSession(session('2025-01-10T11:00:00.000Z'));
+  await addSession(session('2025-01-09T09:00:00.000Z'));
+  await addSession(session('2025-01-08T09:00:00.000Z'));
+  await addSession(session('2025-01-06T09:00:00.000Z'));
+  await addSession(session('2025-01-10T12:00:00.000Z', { mode: 'short', seconds: 300 }));
+
+  expect(await todayFocus(NOW)).toEqual({ todayFocusMin: 50, todayBlocks: 2 });
+  expect((await build7DayChart(NOW)).map((d) => d.minutes)).toEqual([
+    0, 0, 25, 0, 25, 25, 50,
+  ]);
+  expect(await computeStreak(NOW)).toBe(3);
+});
+
+test('buckets by the local day each session was recorded in', async () => {
+  // 23:30 UTC in UTC+2 is already the next day there
+  await addSession(session('2025-01-09T23:30:00.000Z', { tzOffset: -120 }));
+  // 02:00 UTC in UTC-5 is still the evening before
+  await addSession(session('2025-01-11T02:00:00.000Z', { tzOffset: 300 }));
+  await addSession(session('2025-01-09T12:00:00.000Z', { tzOffset: 0 }));
+
+  const now = new Date('2025-01-10T12:00:00.000Z');
+  expect(await todayFocus(now)).toEqual({ todayFocusMin: 50, todayBlocks: 2 });
+  expect((await build7DayChart(now)).map((d) => d.minutes).slice(-2)).toEqual([25, 50]);
+  expect(await computeStreak(now)).toBe(2);
+});
+
+test('counts sessions before the day start hour towards the previous day', async () => {
+  await addSession(session('2025-01-10T01:30:00.000Z', { tzOffset: 0 }));
+  await addSession(session('2025-01-09T10:00:00.000Z', { tzOffset: 0 }));
+
+  const lateNight = new Date('2025-01-10T02:00:00.000Z');
+  expect(await todayFocus(lateNight, 4)).toEqual({ todayFocusMin: 50, todayBlocks: 2 });
+  expect(await todayFocus(lateNight, 0)).toEqual({ todayFocusMin: 25, todayBlocks: 1 });
+  expect(await computeStreak(lateNight, 4)).toBe(1);
+  expect(await computeStreak(lateNight, 0)).toBe(2);
+});
+
+test('goal streaks skip rest days and wait for today', async () => {
+  const goals = { ...DEFAULT_GOALS, daily: 2, restDays: [0, 6], streakMode: 'goal' };
+  // Thu and Fri meet the goal, the weekend is rest, Monday (today) is not done yet
+  await addSession(session('2025-01-09T09:00:00.000Z', { tzOffset: 0 }));
+  await addSession(session('2025-01-09T10:00:00.000Z', { tzOffset: 0 }));
+  await addSession(session('2025-01-10T09:00:00.000Z', { tzOffset: 0 }));
+  await addSession(session('2025-01-10T10:00:00.000Z', { tzOffset: 0 }));
+  await addSession(session('2025-01-13T09:00:00.000Z', { tzOffset: 0 }));
+  // Wednesday missed the goal
+  await addSession(session('2025-01-08T09:00:00.000Z', { tzOffset: 0 }));
+
+  const monday = new Date('2025-01-13T12:00:00.000Z');
+  expect(await computeStreak(monday, 0, goals)).toBe(2);
+  expect(await computeStreak(monday, 0, { ...goals, streakMode: 'focus' })).toBe(4);
+  expect(await computeStreak(monday, 0, { ...goals, restDays: [] })).toBe(0);
+  expect(await weekFocus(monday)).toEqual({ minutes: 25, blocks: 1 });
+});
@@ -0,0 +1,115 @@
+/**
+ * History aggregations, each computed from an indexed query over just the
+ * days it needs. Days are local calendar days starting at `dayStartHour`
+ * (see lib/days). Voided blocks (see lib/pauses) never count as focus time.
+ */
+import { querySessions } from "./historyDb";
+import {
+  dayKeyAt,
+  dayRangeBounds,
+  sessionDayKey,
+  shiftDayKey,
+  weekStartKey,
+  weekdayLabel,
+} from "./days";
+import {
+  DEFAULT_GOALS,
+  EMPTY_TOTALS,
+  dayCountsForStreak,
+  isRestDay,
+} from "./goals";
+
+// Sessions (of `mode`, or every mode) of days `fromKey`…`toKey`
+export async function sessionsInDays(fromKey, toKey, dayStartHour = 0, mode) {
+  const sessions = await querySessions({
+    mode,
+    ...dayRangeBounds(fromKey, toKey, dayStartHour),
+  });
+  return sessions.filter((s) => {
+    const key = sessionDayKey(s, dayStartHour);
+    return key >= fromKey && key <= toKey;
+  });
+}
+
+const focusSessions = (fromKey, toKey, dayStartHour) =>
+  sessionsInDays(fromKey, toKey, dayStartHour, "focus");
+
+export const countsAsFocus = (s) =>
+  s.mode === "focus" && s.seconds > 0 && !s.voided;
+
+// Focus minutes and block count for the day of `now`
+export async function todayFocus(now = new Date(), dayStartHour = 0) {
+  const key = dayKeyAt(now, dayStartHour);
+  const sessions = (await focusSessions(key, key, dayStartHour)).filter(
+    countsAsFocus
+  );
+  const secs = sessions.reduce((a, b) => a + b.seconds, 0);
+  return { todayFocusMin: Math.round(secs / 60), todayBlocks: sessions.length };
+}
+
+// Focus minutes per day for the last 7 days, oldest first
+export async function build7DayChart(now = new Date(), dayStartHour = 0) {
+  const today = dayKeyAt(now, dayStartHour);
+  const keys = [];
+  for (let i = 6; i >= 0; i--) keys.push(shiftDayKey(today, -i));
+  const sessions = await focusSessions(keys[0], today, dayStartHour);
+  const map = Object.fromEntries(keys.map((k) => [k, 0]));
+  sessions.filter(countsAsFocus).forEach((h) => {
+    map[sessionDayKey(h, dayStartHour)] += Math.round(h.seconds / 60);
+  });
+  return keys.map((k) => ({ day: weekdayLabel(k), minutes: map[k] }));
+}
+
+// Focus { minutes, blocks } per day key; blocks count sessions with time
+export function dailyTotals(sessions, dayStartHour = 0) {
+  const totals = {};
+  sessions.forEach((s) => {
+    if (!countsAsFocus(s)) return;
+    const key = sessionDayKey(s, dayStartHour);
+    const t = totals[key] || EMPTY_TOTALS;
+    totals[key] = { minutes: t.minutes + s.seconds / 60, blocks: t.blocks + 1 };
+  });
+  return totals;
+}
+
+// Focus { minutes, blocks } from Monday of this week up to today
+export async function weekFocus(now = new Date(), dayStartHour = 0) {
+  const today = dayKeyAt(now, dayStartHour);
+  const totals = dailyTotals(
+    await focusSessions(weekStartKey(today), today, dayStartHour),
+    dayStartHour
+  );
+  return Object.values(totals).reduce(
+    (a, t) => ({ minutes: a.minutes + t.minutes, blocks: a.blocks + t.blocks }),
+    EMPTY_TOTALS
+  );
+}
+
+const STREAK_WINDOW_DAYS = 28;
+
+/**
+ * Consecutive days counting towards the streak (see lib/goals), ending today.
+ * Today only adds once it counts and rest days never break the streak. Reads
+ * back a few weeks at a time until the first day that breaks it.
+ */
+export async function computeStreak(
+  now = new Date(),
+  dayStartHour = 0,
+  goals = DEFAULT_GOALS
+) {
+  const today = dayKeyAt(now, dayStartHour);
+  let streak = 0;
+  let end = today;
+  for (;;) {
+    const start = shiftDayKey(end, 1 - STREAK_WINDOW_DAYS);
+    const sessions = await focusSessions(start, end, dayStartHour);
+    const totals = dailyTotals(sessions, dayStartHour);
+    for (let key = end; key >= start; key = shiftDayKey(key, -1)) {
+      if (dayCountsForStreak(goals, key, totals[key] || EMPTY_TOTALS)) streak++;
+      else if (key !== today && !isRestDay(goals, key)) return streak;
+    }
+    // A whole window of rest days and nothing else: stop looking further back
+    if (!sessions.length) return streak;
+    end = shiftDayKey(start, -1);
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Notifications
+ *
+ * Sent through the service worker (see lib/serviceWorker) where there is one,
+ * so they can carry action buttons; a clicked action comes back as a
+ * "notification-action" message (or ?action= when no tab was open) and is
+ * handled by the timer. Without a service worker a plain Notification without
+ * actions is shown instead.
+ *
+ * `settings.notifyTemplates` holds one message per event; placeholders:
+ *   {label}   the block that ended (or is ending)
+ *   {task}    the selected task's title, or "no task"
+ *   {blocks}  focus blocks done today
+ *   {next}    the block that comes next
+ *   {minutes} length of the block in minutes
+ */
+
+import {
+  onServiceWorkerMessage,
+  serviceWorkerRegistration,
+  takeLaunchParam,
+} from "./serviceWorker";
+
+export const NOTIFICATION_EVENTS = {
+  focus: "Focus ends",
+  short: "Short break ends",
+  long: "Long break ends",
+  warning: "1 minute left",
+};
+
+export const DEFAULT_TEMPLATES = {
+  focus: "{label} done ({task}). {blocks} today. Up next: {next}.",
+  short: "Break over. Up next: {next}.",
+  long: "Long break over. Up next: {next}.",
+  warning: "1 minute left in {label} ({task}).",
+};
+
+export const TEMPLATE_FIELDS = ["label", "task", "blocks", "next", "minutes"];
+
+// Seconds before the end at which the warning goes out
+export const WARNING_SECONDS = 60;
+
+// Action ids understood by the timer, with their button titles
+export const NOTIFICATION_ACTIONS = {
+  "start-break": "Start break",
+  "skip-break": "Skip break",
+  "start-focus": "Start focus",
+  "add-5": "+5 minutes",
+  "snooze-5": "Snooze 5 min",
+};
+
+export function normalizeTemplates(templates) {
+  const t = { ...DEFAULT_TEMPLATES, ...(templates || {}) };
+  return Object.fromEntries(
+    Object.keys(DEFAULT_TEMPLATES).map((key) => [
+      key,
+      typeof t[key] === "string" && t[key].trim() ? t[key] : DEFAULT_TEMPLATES[key],
+    ])
+  );
+}
+
+// Fill {placeholders}; unknown ones are left as typed
+export const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+
+/**
+ * Action ids offered with a notification: after focus the break can be
+ * started (or, if it already runs, extended) or skipped; after a break focus
+ * can be started or the break snoozed; the warning offers five more minutes.
+ */
+export function actionsFor(event, { nextRunning = false } = {}) {
+  if (event === "warning") return ["add-5"];
+  if (event === "focus")
+    return nextRunning ? ["skip-break", "add-5"] : ["start-break", "skip-break"];
+  return nextRunning ? ["snooze-5"] : ["start-focus", "snooze-5"];
+}
+
+// -------------------- Browser --------------------
+export const notificationsSupported = () =>
+  typeof window !== "undefined" && "Notification" in window;
+
+// Ask for permission once; true when notifications may be shown
+export async function ensureNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission !== "denied") {
+    const res = await Notification.requestPermission();
+    return res === "granted";
+  }
+  return false;
+}
+
+export async function showNotification(body, { actions = [], tag } = {}) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const options = {
+    body,
+    tag,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    renotify: !!tag,
+    actions: actions.map((action) => ({ action, title: NOTIFICATION_ACTIONS[action] })),
+  };
+  const registration = serviceWorkerRegistration();
+  if (registration) {
+    try {
+      return await registration.showNotification("Pomodoro", options);
+    } catch {}
+  }
+  // Page notifications cannot have actions
+  new Notification("Pomodoro", { body, tag });
+}
+
+/**
+ * Call `handler(action)` for notification actions: messages from the service
+ * worker, and once for an ?action= the app was opened with. Returns an
+ * unsubscribe function.
+ */
+export function onNotificationAction(handler) {
+  const initial = takeLaunchParam("action");
+  if (initial in NOTIFICATION_ACTIONS) handler(initial);
+  return onServiceWorkerMessage("notification-action", ({ action }) => {
+    if (action in NOTIFICATION_ACTIONS) handler(action);
+  });
+}
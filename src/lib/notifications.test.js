@@ -0,0 +1,62 @@
+import {
+  DEFAULT_TEMPLATES,
+  actionsFor,
+  normalizeTemplates,
+  onNotificationAction,
+  renderTemplate,
+} from './notifications';
+
+test('fills in placeholders and leaves unknown ones as typed', () => {
+  expect(
+    renderTemplate('{label} done ({task}), {blocks} today, {oops}', {
+      label: 'Focus',
+      task: 'Write report',
+      blocks: 0,
+    })
+  ).toBe('Focus done (Write report), 0 today, {oops}');
+});
+
+test('falls back to the default for missing or blank templates', () => {
+  const t = normalizeTemplates({ focus: 'Done: {task}', short: '  ', bogus: 'x' });
+  expect(t).toEqual({ ...DEFAULT_TEMPLATES, focus: 'Done: {task}' });
+  expect(normalizeTemplates(null)).toEqual(DEFAULT_TEMPLATES);
+});
+
+describe('actionsFor', () => {
+  test('offers to start or skip the break after focus', () => {
+    expect(actionsFor('focus')).toEqual(['start-break', 'skip-break']);
+    expect(actionsFor('focus', { nextRunning: true })).toEqual(['skip-break', 'add-5']);
+  });
+
+  test('offers to snooze a break, or to start focus when it did not auto-start', () => {
+    expect(actionsFor('short')).toEqual(['start-focus', 'snooze-5']);
+    expect(actionsFor('long', { nextRunning: true })).toEqual(['snooze-5']);
+  });
+
+  test('offers five more minutes with the warning', () => {
+    expect(actionsFor('warning')).toEqual(['add-5']);
+  });
+});
+
+describe('onNotificationAction', () => {
+  afterEach(() => window.history.replaceState(null, '', '/'));
+
+  test('handles the action the app was opened with once', () => {
+    window.history.replaceState(null, '', '/?action=add-5&x=1#top');
+    const handler = jest.fn();
+    onNotificationAction(handler)();
+    expect(handler).toHaveBeenCalledWith('add-5');
+    expect(window.location.search).toBe('?x=1');
+    expect(window.location.hash).toBe('#top');
+
+    onNotificationAction(handler)();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores unknown actions', () => {
+    window.history.replaceState(null, '', '/?action=format-disk');
+    const handler = jest.fn();
+    onNotificationAction(handler)();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
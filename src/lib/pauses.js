@@ -0,0 +1,46 @@
+/**
+ * Pause accounting
+ *
+ * While a block runs, the timer keeps its pauses as { at, until, reason }
+ * (epoch ms; `until` is null while still paused). Finished sessions store
+ * them as { at (ISO), seconds, reason }. `reason` is "internal" (you
+ * interrupted yourself), "external" (someone or something else did) or null
+ * when none was given.
+ *
+ * With `settings.voidAfterPauseMin` set, a focus block paused for that long in
+ * one go is void: resuming it starts the block over and the session is
+ * recorded with `voided: true`, which keeps it out of focus totals.
+ */
+
+export const PAUSE_REASONS = { internal: "Internal", external: "External" };
+export const UNSPECIFIED = "unspecified";
+
+const lengthOf = (pause, now) => Math.max(0, (pause.until ?? now) - pause.at);
+
+// Longest single pause in ms, counting an open one up to `now`
+export const longestPause = (pauses = [], now) =>
+  Math.max(0, ...pauses.map((p) => lengthOf(p, now)));
+
+// Whether a focus block with these pauses is void under `voidAfterMin`
+export const exceedsPauseLimit = (pauses, voidAfterMin, now) =>
+  voidAfterMin > 0 && longestPause(pauses, now) >= voidAfterMin * 60000;
+
+// Timer pauses → the form stored on a session (closing an open one at `now`)
+export const sessionPauses = (pauses, now) =>
+  pauses.map((p) => ({
+    at: new Date(p.at).toISOString(),
+    seconds: Math.round(lengthOf(p, now) / 1000),
+    reason: p.reason ?? null,
+  }));
+
+// { internal, external, unspecified } pause counts of a session
+export function pauseCounts(session) {
+  const counts = { internal: 0, external: 0, [UNSPECIFIED]: 0 };
+  (session.pauses || []).forEach((p) => {
+    counts[p.reason in PAUSE_REASONS ? p.reason : UNSPECIFIED]++;
+  });
+  return counts;
+}
+
+export const pausedSecondsOf = (session) =>
+  (session.pauses || []).reduce((sum, p) => sum + (p.seconds || 0), 0);
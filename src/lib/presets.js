@@ -0,0 +1,71 @@
+/**
+ * Timer presets — named snapshots of the timer-related settings.
+ *
+ * A preset stores the fields in PRESET_FIELDS plus { id, name, isDefault }.
+ * At most one preset is the default; it seeds the settings of a fresh install
+ * and is what "Reset to default" applies.
+ */
+
+export const PRESET_FIELDS = [
+  "focusMin",
+  "shortMin",
+  "longMin",
+  "longInterval",
+  "autoStartNext",
+  "sequenceId",
+];
+
+const preset = (id, name, focusMin, shortMin, longMin, longInterval) => ({
+  id,
+  name,
+  focusMin,
+  shortMin,
+  longMin,
+  longInterval,
+  autoStartNext: true,
+  sequenceId: null,
+  isDefault: false,
+});
+
+// The three presets the app always shipped with
+export const DEFAULT_PRESETS = [
+  { ...preset("classic-25", "Classic", 25, 5, 15, 4), isDefault: true },
+  preset("long-50", "Long focus", 50, 10, 20, 3),
+  preset("deep-60", "Deep work", 60, 10, 30, 3),
+];
+
+export function pickPresetFields(source) {
+  return Object.fromEntries(
+    PRESET_FIELDS.filter((k) => source[k] !== undefined).map((k) => [k, source[k]])
+  );
+}
+
+export function presetFromSettings(name, settings) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    ...pickPresetFields(settings),
+    isDefault: false,
+  };
+}
+
+export const defaultPreset = (presets) =>
+  presets.find((p) => p.isDefault) || null;
+
+// Preset whose fields all equal the current settings, if any
+export function matchPreset(presets, settings) {
+  return (
+    presets.find((p) =>
+      PRESET_FIELDS.every((k) => (p[k] ?? null) === (settings[k] ?? null))
+    ) || null
+  );
+}
+
+// Short description such as "25/5/15 ×4" or the custom sequence name
+export function presetSummary(p, sequences = []) {
+  if (p.sequenceId) {
+    const seq = sequences.find((s) => s.id === p.sequenceId);
+    return seq ? seq.name : "Missing sequence";
+  }
+  return `${p.focusMin}/${p.shortMin}/${p.longMin} ×${p.longInterval}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Focus rooms
+ *
+ * People in a room (/room/:id) run one timer together through the bundled
+ * server (server/rooms). The host's app runs the timer machine
+ * (lib/timerMachine) with the host's own durations and sends its public
+ * state; everyone else shows that state. Whoever becomes host next picks the
+ * timer up where it was.
+ *
+ * Clocks differ between machines, so a running timer travels as the
+ * milliseconds it had left (`remainingMs`) plus how long ago the host sent it
+ * (`age`, measured by the server), and each app works out its own `endsAt`.
+ *
+ * Every member records finished blocks in their own history, with their own
+ * task, under an id made of the room, the block and the member's device, so
+ * histories synced between people or devices keep each copy apart.
+ */
+import { classicSequence, initialTimerState, timerReducer } from "./timerMachine";
+
+export const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Durations for the host's timer when the settings were never saved
+export const ROOM_SETTINGS_DEFAULTS = {
+  focusMin: 25,
+  shortMin: 5,
+  longMin: 15,
+  longInterval: 4,
+  autoStartNext: true,
+  sound: true,
+};
+
+// A short id that is easy to read out
+export function newRoomId(random = Math.random) {
+  const chars = "abcdefghjkmnpqrstuvwxyz23456789";
+  return Array.from({ length: 8 }, () => chars[Math.floor(random() * chars.length)]).join("");
+}
+
+/** WebSocket address of `roomId` on the server at `serverUrl` (http or https) */
+export function roomSocketUrl(serverUrl, roomId, token = "") {
+  const url = new URL(`rooms/${roomId}`, serverUrl.replace(/\/*$/, "/"));
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  if (token) url.searchParams.set("token", token);
+  return url.toString();
+}
+
+// -------------------- Timer --------------------
+/** The part of the host's timer state the room sees, at time `now` */
+export function publicTimer(state, now) {
+  const { ended } = state;
+  return {
+    mode: state.mode,
+    label: state.label,
+    color: state.color,
+    isRunning: state.isRunning,
+    remaining: state.remaining,
+    remainingMs: state.isRunning ? Math.max(0, state.endsAt - now) : state.remaining * 1000,
+    planned: state.planned,
+    stepIndex: state.stepIndex,
+    rep: state.rep,
+    completedFocusBlocks: state.completedFocusBlocks,
+    ended: ended && {
+      id: ended.id,
+      mode: ended.mode,
+      label: ended.label,
+      skipped: ended.skipped,
+      voided: ended.voided,
+      session: ended.session,
+    },
+  };
+}
+
+/** A received timer with `endsAt` on this machine's clock */
+export function localTimer(timer, age, now) {
+  if (!timer) return null;
+  return {
+    ...timer,
+    endsAt: timer.isRunning ? now - age + timer.remainingMs : null,
+  };
+}
+
+/**
+ * The host's timer machine state: fresh from `settings`, or continuing the
+ * room's `timer` (see localTimer) when there is one.
+ */
+export function hostTimerFrom(settings, timer) {
+  const base = initialTimerState(settings, classicSequence(settings));
+  if (!timer) return base;
+  const step = base.sequence.steps[timer.stepIndex];
+  if (!step) return base;
+  return {
+    ...base,
+    stepIndex: timer.stepIndex,
+    rep: 0,
+    mode: timer.mode,
+    label: timer.label,
+    color: timer.color,
+    isRunning: timer.isRunning,
+    endsAt: timer.endsAt,
+    remaining: timer.remaining,
+    planned: timer.planned,
+    completedFocusBlocks: timer.completedFocusBlocks,
+    ended: timer.ended,
+  };
+}
+
+// timerReducer plus "adopt" { state } to take over a timer
+export function roomTimerReducer(state, action) {
+  if (action.type === "adopt") return action.state;
+  return state && timerReducer(state, action);
+}
+
+/**
+ * The session this device records for a block the room finished, with our
+ * task. The host's session id is the same for every member, so it gets the
+ * room and `deviceId` added.
+ */
+export function roomSession(ended, { roomId, taskId, deviceId }) {
+  if (!ended?.session) return null;
+  return {
+    ...ended.session,
+    id: `${roomId}-${ended.session.id}-${deviceId}`,
+    taskId: ended.mode === "focus" ? taskId ?? null : null,
+    room: roomId,
+  };
+}
@@ -0,0 +1,70 @@
+import {
+  ROOM_SETTINGS_DEFAULTS as settings,
+  hostTimerFrom,
+  localTimer,
+  newRoomId,
+  publicTimer,
+  roomSession,
+  roomSocketUrl,
+  roomTimerReducer,
+} from './room';
+
+test('builds the room socket address from the server address', () => {
+  expect(roomSocketUrl('http://localhost:8787', 'team')).toBe('ws://localhost:8787/rooms/team');
+  expect(roomSocketUrl('https://example.com/pomodoro/', 'team', 'a b')).toBe(
+    'wss://example.com/pomodoro/rooms/team?token=a+b'
+  );
+});
+
+test('makes readable room ids', () => {
+  expect(newRoomId(() => 0)).toBe('aaaaaaaa');
+  expect(newRoomId()).toMatch(/^[a-z2-9]{8}$/);
+});
+
+describe('timer hand-over', () => {
+  const start = 1_000_000;
+  const running = roomTimerReducer(hostTimerFrom(settings, null), { type: 'start', now: start });
+
+  test('sends time left instead of the end on the host clock', () => {
+    const shared = publicTimer(running, start + 60_000);
+    expect(shared).toMatchObject({ mode: 'focus', isRunning: true, remainingMs: 24 * 60_000 });
+    expect(shared).not.toHaveProperty('endsAt');
+    // Received 2 s after the host sent it, on a clock 1 h ahead
+    const local = localTimer(shared, 2000, start + 3_600_000);
+    expect(local.endsAt).toBe(start + 3_600_000 - 2000 + 24 * 60_000);
+  });
+
+  test('a new host continues the room timer', () => {
+    const shared = localTimer(publicTimer(running, start + 60_000), 0, start + 60_000);
+    const next = hostTimerFrom(settings, shared);
+    expect(next).toMatchObject({ mode: 'focus', isRunning: true, endsAt: running.endsAt });
+    const done = roomTimerReducer(next, { type: 'tick', now: running.endsAt });
+    expect(done.ended).toMatchObject({ mode: 'focus', skipped: false });
+    expect(done.mode).toBe('short');
+  });
+});
+
+test('records the room block with our own task', () => {
+  const ended = {
+    id: '1-focus',
+    mode: 'focus',
+    session: { id: '1-focus', mode: 'focus', seconds: 1500, taskId: null },
+  };
+  expect(roomSession(ended, { roomId: 'team', taskId: 't1', deviceId: 'd1' })).toEqual({
+    id: 'team-1-focus-d1',
+    mode: 'focus',
+    seconds: 1500,
+    taskId: 't1',
+    room: 'team',
+  });
+  expect(roomSession({ ...ended, mode: 'short' }, { roomId: 'team', taskId: 't1' }).taskId).toBeNull();
+  expect(roomSession({ id: 'x', mode: 'focus', session: null }, { roomId: 'team' })).toBeNull();
+});
+
+test('every member keeps their own copy of a room block', () => {
+  const ended = { id: '1-focus', mode: 'focus', session: { id: '1-focus', mode: 'focus', seconds: 1500 } };
+  const mine = roomSession(ended, { roomId: 'team', taskId: 't1', deviceId: 'd1' });
+  const theirs = roomSession(ended, { roomId: 'team', taskId: 't9', deviceId: 'd2' });
+  expect(mine.id).not.toBe(theirs.id);
+  expect(roomSession(ended, { roomId: 'other', deviceId: 'd1' }).id).not.toBe(mine.id);
+});
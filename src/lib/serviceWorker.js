@@ -0,0 +1,85 @@
+/**
+ * Service worker client
+ *
+ * public/sw.js keeps the app shell cached for offline use, shows
+ * notifications with actions and checks for new builds. This module registers
+ * it and wraps the messages both ways:
+ *   app → worker  { type: "check-update" }
+ *   worker → app  { type: "update-available" }
+ *                 { type: "notification-action", action }
+ * The app can also be opened with a query parameter (notification actions
+ * when no tab was open, app shortcuts from the manifest); takeLaunchParam
+ * reads such a parameter once and removes it from the address bar.
+ */
+
+// How often a long-open tab looks for a new build
+export const UPDATE_CHECK_MS = 30 * 60 * 1000;
+
+let registration = null;
+
+const supported = () =>
+  typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+export async function registerServiceWorker() {
+  if (!supported()) return null;
+  try {
+    registration = await navigator.serviceWorker.register(
+      `${process.env.PUBLIC_URL}/sw.js`
+    );
+  } catch (e) {
+    console.error("Service worker registration failed", e);
+    registration = null;
+  }
+  return registration;
+}
+
+export const serviceWorkerRegistration = () => registration;
+
+/** Call `handler(data)` for worker messages of `type`; returns an unsubscribe function */
+export function onServiceWorkerMessage(type, handler) {
+  if (!supported()) return () => {};
+  const onMessage = (e) => {
+    if (e.data?.type === type) handler(e.data);
+  };
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+}
+
+/**
+ * Ask the worker whether a new build was deployed, now, whenever the tab comes
+ * back into view and every UPDATE_CHECK_MS; `handler()` runs when one is
+ * ready. Returns an unsubscribe function.
+ */
+export function onUpdateAvailable(handler) {
+  if (!supported()) return () => {};
+  const unsubscribe = onServiceWorkerMessage("update-available", () => handler());
+  const check = () => {
+    if (document.visibilityState === "hidden") return;
+    navigator.serviceWorker.ready
+      .then((reg) => reg.active?.postMessage({ type: "check-update" }))
+      .catch(() => {});
+  };
+  check();
+  const id = setInterval(check, UPDATE_CHECK_MS);
+  document.addEventListener("visibilitychange", check);
+  return () => {
+    unsubscribe();
+    clearInterval(id);
+    document.removeEventListener("visibilitychange", check);
+  };
+}
+
+/** The value of ?name= the app was opened with, removed from the URL; else null */
+export function takeLaunchParam(name) {
+  const params = new URLSearchParams(window.location.search);
+  const value = params.get(name);
+  if (value === null) return null;
+  params.delete(name);
+  const query = params.toString();
+  window.history.replaceState(
+    window.history.state,
+    "",
+    window.location.pathname + (query ? `?${query}` : "") + window.location.hash
+  );
+  return value;
+}
@@ -0,0 +1,39 @@
+import { onUpdateAvailable, takeLaunchParam } from './serviceWorker';
+
+afterEach(() => window.history.replaceState(null, '', '/'));
+
+test('reads a launch parameter once and keeps the rest of the URL', () => {
+  window.history.replaceState({ idx: 3 }, '', '/stats?start=focus&range=7#log');
+  expect(takeLaunchParam('start')).toBe('focus');
+  expect(window.location.pathname + window.location.search + window.location.hash).toBe(
+    '/stats?range=7#log'
+  );
+  expect(window.history.state).toEqual({ idx: 3 });
+  expect(takeLaunchParam('start')).toBeNull();
+});
+
+test('asks the worker for updates and reports the ones it finds', async () => {
+  const listeners = new Set();
+  const postMessage = jest.fn();
+  Object.defineProperty(navigator, 'serviceWorker', {
+    configurable: true,
+    value: {
+      ready: Promise.resolve({ active: { postMessage } }),
+      addEventListener: (type, fn) => listeners.add(fn),
+      removeEventListener: (type, fn) => listeners.delete(fn),
+    },
+  });
+  const handler = jest.fn();
+  const unsubscribe = onUpdateAvailable(handler);
+  await navigator.serviceWorker.ready;
+  expect(postMessage).toHaveBeenCalledWith({ type: 'check-update' });
+
+  listeners.forEach((fn) => fn({ data: { type: 'notification-action', action: 'add-5' } }));
+  expect(handler).not.toHaveBeenCalled();
+  listeners.forEach((fn) => fn({ data: { type: 'update-available' } }));
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+  expect(listeners.size).toBe(0);
+  delete navigator.serviceWorker;
+});
@@ -0,0 +1,102 @@
+/**
+ * Manual history edits
+ *
+ * Past sessions can be logged by hand (forgotten timer, offline work) and
+ * existing ones corrected, reassigned or deleted from the session log. The
+ * form is { date "YYYY-MM-DD", time "HH:MM" (start), minutes, mode, taskId }
+ * on the clock the session was recorded in (its `tzOffset`, see lib/days).
+ *
+ * Every focus session that counts (see historyStats.countsAsFocus) credits
+ * one Pomodoro to its task; creditChanges works out how task counts move
+ * when sessions are added or removed so they stay in step with history.
+ */
+import { KIND_LABELS } from "./timerMachine";
+import { countsAsFocus } from "./historyStats";
+import { formatLocal } from "./historyCsv";
+
+export const MAX_SESSION_MINUTES = 600;
+
+// Form fields for an existing session, or for one that ended `now`
+export function sessionForm(session, now = Date.now()) {
+  if (!session) {
+    const [date, time] = formatLocal(now - 25 * 60000).split(" ");
+    return { date, time, minutes: 25, mode: "focus", taskId: null };
+  }
+  const end = Date.parse(session.date);
+  const [date, time] = formatLocal(
+    end - session.seconds * 1000,
+    session.tzOffset ?? undefined
+  ).split(" ");
+  return {
+    date,
+    time,
+    minutes: Math.round((session.seconds / 60) * 10) / 10,
+    mode: session.mode,
+    taskId: session.taskId || null,
+  };
+}
+
+// What is wrong with a form, or null
+export function validateSessionForm(form, now = Date.now()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(form.date || "")) return "Pick a date.";
+  if (!/^\d{1,2}:\d{2}$/.test(form.time || "")) return "Pick a start time.";
+  const minutes = Number(form.minutes);
+  if (!(minutes > 0) || minutes > MAX_SESSION_MINUTES)
+    return `Duration must be between 1 and ${MAX_SESSION_MINUTES} minutes.`;
+  if (!(form.mode in KIND_LABELS)) return "Pick a session type.";
+  if (startOf(form, null) > now) return "Sessions cannot start in the future.";
+  return null;
+}
+
+// Start time in epoch ms; a null `tzOffset` means the device's local time
+function startOf(form, tzOffset) {
+  const [y, mo, d] = form.date.split("-").map(Number);
+  const [h, mi] = form.time.split(":").map(Number);
+  if (tzOffset == null) return new Date(y, mo - 1, d, h, mi).getTime();
+  return Date.UTC(y, mo - 1, d, h, mi) + tzOffset * 60000;
+}
+
+/**
+ * Apply a (valid) form to `session`, keeping its id, notes and pauses, or
+ * create a new manual session when `session` is null.
+ */
+export function sessionFromForm(form, session = null) {
+  const start = startOf(form, session ? session.tzOffset ?? null : null);
+  const seconds = Math.round(Number(form.minutes) * 60);
+  const end = new Date(start + seconds * 1000);
+  const sameMode = session && session.mode === form.mode;
+  return {
+    ...(session || {
+      id: `manual-${crypto.randomUUID()}`,
+      skipped: false,
+      manual: true,
+    }),
+    date: end.toISOString(),
+    mode: form.mode,
+    label: sameMode ? session.label : KIND_LABELS[form.mode],
+    seconds,
+    planned: session ? Math.max(session.planned || 0, seconds) : seconds,
+    taskId: form.mode === "focus" ? form.taskId || null : null,
+    tzOffset: session?.tzOffset ?? end.getTimezoneOffset(),
+  };
+}
+
+// Task id → change in Pomodoros when `removed` sessions go and `added` arrive
+export function creditChanges(removed = [], added = []) {
+  const deltas = {};
+  const count = (sessions, sign) =>
+    sessions.forEach((s) => {
+      if (s && s.taskId && countsAsFocus(s))
+        deltas[s.taskId] = (deltas[s.taskId] || 0) + sign;
+    });
+  count(removed, -1);
+  count(added, 1);
+  return deltas;
+}
+
+export const applyCredits = (tasks, deltas) =>
+  tasks.map((t) =>
+    deltas[t.id]
+      ? { ...t, pomodoros: Math.max(0, (t.pomodoros || 0) + deltas[t.id]) }
+      : t
+  );
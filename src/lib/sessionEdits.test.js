@@ -0,0 +1,87 @@
+import {
+  applyCredits,
+  creditChanges,
+  sessionForm,
+  sessionFromForm,
+  validateSessionForm,
+} from './sessionEdits';
+
+process.env.TZ = 'UTC';
+
+const NOW = Date.parse('2025-01-10T15:00:00.000Z');
+const focus = {
+  id: 's1',
+  date: '2025-01-10T09:25:00.000Z',
+  mode: 'focus',
+  label: 'Focus',
+  seconds: 1500,
+  planned: 1500,
+  skipped: false,
+  taskId: 't1',
+  tzOffset: -60,
+  note: 'kept',
+};
+
+test('creates manual sessions from the form', () => {
+  const form = { date: '2025-01-09', time: '14:00', minutes: '50', mode: 'focus', taskId: 't2' };
+  expect(validateSessionForm(form, NOW)).toBeNull();
+  const s = sessionFromForm(form);
+  expect(s).toMatchObject({
+    date: '2025-01-09T14:50:00.000Z',
+    mode: 'focus',
+    label: 'Focus',
+    seconds: 3000,
+    planned: 3000,
+    skipped: false,
+    taskId: 't2',
+    tzOffset: 0,
+    manual: true,
+  });
+  expect(s.id).toMatch(/^manual-/);
+  expect(sessionFromForm({ ...form, mode: 'short' }).taskId).toBeNull();
+});
+
+test('rejects incomplete, overlong and future sessions', () => {
+  const form = { date: '2025-01-10', time: '09:00', minutes: 25, mode: 'focus' };
+  expect(validateSessionForm({ ...form, date: '' }, NOW)).toMatch(/date/);
+  expect(validateSessionForm({ ...form, minutes: 0 }, NOW)).toMatch(/Duration/);
+  expect(validateSessionForm({ ...form, minutes: 601 }, NOW)).toMatch(/Duration/);
+  expect(validateSessionForm({ ...form, time: '16:00' }, NOW)).toMatch(/future/);
+});
+
+test('edits keep the id, notes and the clock the session was recorded on', () => {
+  const form = sessionForm(focus);
+  expect(form).toEqual({ date: '2025-01-10', time: '10:00', minutes: 25, mode: 'focus', taskId: 't1' });
+  expect(sessionFromForm(form, focus)).toEqual(focus);
+
+  const longer = sessionFromForm({ ...form, minutes: 40, taskId: 't2' }, focus);
+  expect(longer).toMatchObject({
+    id: 's1',
+    date: '2025-01-10T09:40:00.000Z',
+    seconds: 2400,
+    planned: 2400,
+    taskId: 't2',
+    note: 'kept',
+  });
+  expect(sessionFromForm({ ...form, mode: 'long' }, focus)).toMatchObject({
+    label: 'Long Break',
+    taskId: null,
+  });
+});
+
+test('keeps task Pomodoros in step with added, moved and removed sessions', () => {
+  const moved = { ...focus, taskId: 't2' };
+  expect(creditChanges([focus], [moved])).toEqual({ t1: -1, t2: 1 });
+  expect(creditChanges([], [focus, { ...focus, id: 's2' }])).toEqual({ t1: 2 });
+  expect(creditChanges([focus], [])).toEqual({ t1: -1 });
+  expect(creditChanges([], [{ ...focus, voided: true }, { ...focus, mode: 'short' }])).toEqual({});
+
+  const tasks = [
+    { id: 't1', pomodoros: 0 },
+    { id: 't2', pomodoros: 3 },
+  ];
+  expect(applyCredits(tasks, { t1: -1, t2: 1 })).toEqual([
+    { id: 't1', pomodoros: 0 },
+    { id: 't2', pomodoros: 4 },
+  ]);
+});
@@ -0,0 +1,28 @@
+/**
+ * Session notes
+ *
+ * Focus sessions can carry a reflection logged when the block ends or later
+ * from the session log: `note` (short text), `rating` (1–5 focus quality, or
+ * null) and `interruptions` (a count, or null). Missing fields mean nothing
+ * was logged.
+ */
+
+export const MAX_RATING = 5;
+export const MAX_NOTE_LENGTH = 500;
+
+export const RATING_LABELS = ["Distracted", "Scattered", "Okay", "Focused", "Deep focus"];
+
+/** The reflection fields of `input`, trimmed and clamped, ready to store */
+export function normalizeReflection({ note, rating, interruptions } = {}) {
+  const r = Math.round(Number(rating));
+  const n = Math.round(Number(interruptions));
+  return {
+    note: typeof note === "string" ? note.trim().slice(0, MAX_NOTE_LENGTH) : "",
+    rating: r >= 1 && r <= MAX_RATING ? r : null,
+    interruptions:
+      interruptions === "" || interruptions == null || !(n >= 0) ? null : n,
+  };
+}
+
+export const hasReflection = (session) =>
+  !!session.note || session.rating != null || session.interruptions != null;
@@ -0,0 +1,25 @@
+import { hasReflection, normalizeReflection } from './sessionNotes';
+
+test('trims notes and keeps ratings and interruption counts in range', () => {
+  expect(normalizeReflection({ note: '  good ', rating: '4', interruptions: '2' })).toEqual({
+    note: 'good',
+    rating: 4,
+    interruptions: 2,
+  });
+  expect(normalizeReflection({ note: 3, rating: 9, interruptions: -1 })).toEqual({
+    note: '',
+    rating: null,
+    interruptions: null,
+  });
+  expect(normalizeReflection({ rating: 0, interruptions: 0 })).toMatchObject({
+    rating: null,
+    interruptions: 0,
+  });
+});
+
+test('tells whether anything was logged', () => {
+  expect(hasReflection({ id: 's1' })).toBe(false);
+  expect(hasReflection(normalizeReflection({}))).toBe(false);
+  expect(hasReflection({ interruptions: 0 })).toBe(true);
+  expect(hasReflection({ note: 'x', rating: null })).toBe(true);
+});
@@ -0,0 +1,125 @@
+/**
+ * Keyboard shortcuts
+ *
+ * Every action has a default binding the user can change in the settings. A
+ * binding is a key combination written as its modifiers and then the key's
+ * `code` (the physical key, so it works on any keyboard layout): "Space",
+ * "KeyN", "Shift+Slash", "Ctrl+KeyK"; null leaves the action unbound. A key
+ * pressed with modifiers only matches a binding with the same modifiers, so
+ * browser shortcuts such as Ctrl+R keep working.
+ */
+
+// The command palette sits on Cmd+K on Apple keyboards and Ctrl+K elsewhere
+const PRIMARY =
+  typeof navigator !== "undefined" && /Mac|iPhone|iPad|iPod/.test(navigator.platform)
+    ? "Meta"
+    : "Ctrl";
+
+export const SHORTCUT_ACTIONS = {
+  toggleTimer: { label: "Start / pause", key: "Space" },
+  next: { label: "Next block", key: "KeyN" },
+  reset: { label: "Reset block", key: "KeyR" },
+  extend: { label: "+5 minutes", key: "KeyE" },
+  addTask: { label: "Add a task", key: "KeyA" },
+  nextTask: { label: "Select next task", key: "KeyJ" },
+  previousTask: { label: "Select previous task", key: "KeyK" },
+  markDone: { label: "Mark task done", key: "KeyD" },
+  toggleSettings: { label: "Show / hide settings", key: "KeyS" },
+  help: { label: "Show shortcuts", key: "Shift+Slash" },
+  palette: { label: "Command palette", key: `${PRIMARY}+KeyK` },
+};
+
+export const DEFAULT_SHORTCUTS = Object.fromEntries(
+  Object.entries(SHORTCUT_ACTIONS).map(([action, { key }]) => [action, key])
+);
+
+const MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+const COMBO_PATTERN = /^((Ctrl|Alt|Shift|Meta)\+)*[A-Za-z0-9]+$/;
+
+// Actions that also work while typing in a field
+export const TYPING_ACTIONS = ["palette"];
+
+// Keys that keep their usual meaning: leaving fields, closing dialogs
+export const RESERVED_KEYS = ["Escape", "Tab", "Enter"];
+
+/** Stored bindings with defaults for missing or unreadable ones */
+export function normalizeShortcuts(stored) {
+  const out = { ...DEFAULT_SHORTCUTS };
+  if (!stored || typeof stored !== "object") return out;
+  Object.keys(out).forEach((action) => {
+    const combo = stored[action];
+    if (combo === null || (typeof combo === "string" && COMBO_PATTERN.test(combo)))
+      out[action] = combo;
+  });
+  return out;
+}
+
+/** The combination of a keydown event, or null for a lone modifier key */
+export function comboOf(event) {
+  if (!event.code || /^(Control|Alt|Shift|Meta|OS)/.test(event.code)) return null;
+  const held = {
+    Ctrl: event.ctrlKey,
+    Alt: event.altKey,
+    Shift: event.shiftKey,
+    Meta: event.metaKey,
+  };
+  return [...MODIFIERS.filter((m) => held[m]), event.code].join("+");
+}
+
+const KEY_NAMES = {
+  Space: "Space",
+  Slash: "/",
+  Backslash: "\\",
+  Period: ".",
+  Comma: ",",
+  Semicolon: ";",
+  Quote: "'",
+  Minus: "-",
+  Equal: "=",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backquote: "`",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+const keyName = (code) =>
+  KEY_NAMES[code] || code.replace(/^(Key|Digit|Numpad)/, (p) => (p === "Numpad" ? "Num " : ""));
+
+/** A combination as people write it: "Space", "Shift+/", "Ctrl+K" */
+export function formatCombo(combo) {
+  if (!combo) return "—";
+  const parts = combo.split("+");
+  const key = keyName(parts.pop());
+  return [...parts.map((m) => (m === "Meta" ? "Cmd" : m)), key].join("+");
+}
+
+/** The action bound to `combo`, if any */
+export function actionForCombo(shortcuts, combo) {
+  if (!combo) return null;
+  return Object.keys(shortcuts).find((action) => shortcuts[action] === combo) || null;
+}
+
+/** Actions sharing a combination with another action: { action: [others] } */
+export function findConflicts(shortcuts) {
+  const byCombo = {};
+  Object.entries(shortcuts).forEach(([action, combo]) => {
+    if (combo) (byCombo[combo] ||= []).push(action);
+  });
+  const out = {};
+  Object.values(byCombo).forEach((actions) => {
+    if (actions.length > 1)
+      actions.forEach((a) => (out[a] = actions.filter((other) => other !== a)));
+  });
+  return out;
+}
+
+/** Whether a keydown in `target` is typing rather than a shortcut */
+export function isTypingTarget(target) {
+  if (!target) return false;
+  return (
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || !!target.isContentEditable
+  );
+}
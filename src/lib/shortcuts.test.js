@@ -0,0 +1,44 @@
+import {
+  DEFAULT_SHORTCUTS,
+  actionForCombo,
+  comboOf,
+  findConflicts,
+  formatCombo,
+  normalizeShortcuts,
+} from './shortcuts';
+
+const key = (code, mods = {}) => ({ code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...mods });
+
+test('reads key combinations from events, modifiers first', () => {
+  expect(comboOf(key('KeyR'))).toBe('KeyR');
+  expect(comboOf(key('KeyR', { ctrlKey: true, shiftKey: true }))).toBe('Ctrl+Shift+KeyR');
+  expect(comboOf(key('ShiftLeft', { shiftKey: true }))).toBeNull();
+});
+
+test('a modified key does not trigger the plain binding', () => {
+  expect(actionForCombo(DEFAULT_SHORTCUTS, comboOf(key('KeyR')))).toBe('reset');
+  expect(actionForCombo(DEFAULT_SHORTCUTS, comboOf(key('KeyR', { ctrlKey: true })))).toBeNull();
+  expect(actionForCombo(DEFAULT_SHORTCUTS, comboOf(key('Slash', { shiftKey: true })))).toBe('help');
+});
+
+test('formats combinations for people', () => {
+  expect(formatCombo('Space')).toBe('Space');
+  expect(formatCombo('Shift+Slash')).toBe('Shift+/');
+  expect(formatCombo('Meta+KeyK')).toBe('Cmd+K');
+  expect(formatCombo('Digit1')).toBe('1');
+  expect(formatCombo(null)).toBe('—');
+});
+
+test('keeps valid stored bindings and unbound actions, defaults the rest', () => {
+  const shortcuts = normalizeShortcuts({ next: 'Ctrl+KeyN', reset: null, help: 'oops!', bogus: 'KeyX' });
+  expect(shortcuts).toEqual({ ...DEFAULT_SHORTCUTS, next: 'Ctrl+KeyN', reset: null });
+  expect(normalizeShortcuts(undefined)).toEqual(DEFAULT_SHORTCUTS);
+});
+
+test('finds actions sharing a key', () => {
+  expect(findConflicts(DEFAULT_SHORTCUTS)).toEqual({});
+  expect(findConflicts({ ...DEFAULT_SHORTCUTS, reset: 'KeyN', markDone: null })).toEqual({
+    next: ['reset'],
+    reset: ['next'],
+  });
+});
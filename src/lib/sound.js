@@ -0,0 +1,221 @@
+/**
+ * Sound engine
+ *
+ * Everything is synthesized with WebAudio on one shared AudioContext (created
+ * on first use, resumed on every call since browsers suspend it until a user
+ * gesture); no audio files. Without WebAudio (tests, old browsers) every call
+ * is a silent no-op.
+ *
+ * `settings.sounds`:
+ *   focusEndTone  alarm after a focus block (a key of ALARM_TONES)
+ *   breakEndTone  alarm after a break
+ *   alarmVolume   0–1
+ *   repeatAlarm   ring again every few seconds until acknowledged
+ *   ticking       tick every second during focus
+ *   tickVolume    0–1
+ *   noise         ambient noise during focus: "off" or a key of NOISES
+ *   noiseVolume   0–1
+ */
+
+export const ALARM_TONES = {
+  classic: "Classic beep",
+  chime: "Chime",
+  bell: "Bell",
+  digital: "Digital",
+  rise: "Rising",
+};
+
+export const NOISES = { white: "White noise", pink: "Pink noise", brown: "Brown noise" };
+
+export const DEFAULT_SOUNDS = {
+  focusEndTone: "chime",
+  breakEndTone: "bell",
+  alarmVolume: 0.7,
+  repeatAlarm: false,
+  ticking: false,
+  tickVolume: 0.3,
+  noise: "off",
+  noiseVolume: 0.3,
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, Number(v) || 0));
+
+// Stored sound settings with defaults for anything missing or unknown
+export function normalizeSounds(sounds) {
+  const s = { ...DEFAULT_SOUNDS, ...(sounds || {}) };
+  return {
+    ...s,
+    focusEndTone: s.focusEndTone in ALARM_TONES ? s.focusEndTone : DEFAULT_SOUNDS.focusEndTone,
+    breakEndTone: s.breakEndTone in ALARM_TONES ? s.breakEndTone : DEFAULT_SOUNDS.breakEndTone,
+    noise: s.noise in NOISES ? s.noise : "off",
+    alarmVolume: clamp01(s.alarmVolume),
+    tickVolume: clamp01(s.tickVolume),
+    noiseVolume: clamp01(s.noiseVolume),
+  };
+}
+
+// -------------------- Patterns --------------------
+// Notes are { freq (Hz), at (s from start), dur (s), type (oscillator), gain }
+const note = (freq, at, dur, type = "sine", gain = 1) => ({ freq, at, dur, type, gain });
+
+const TONE_NOTES = {
+  classic: [note(750, 0, 0.18)],
+  chime: [note(880, 0, 0.5), note(1320, 0.18, 0.8)],
+  bell: [
+    note(660, 0, 1.6, "sine"),
+    note(1320, 0, 1.0, "sine", 0.4),
+    note(1980, 0, 0.6, "sine", 0.2),
+  ],
+  digital: [0, 0.15, 0.3, 0.6, 0.75, 0.9].map((at) => note(1000, at, 0.08, "square", 0.4)),
+  rise: [523, 659, 784, 1047].map((f, i) => note(f, i * 0.14, 0.3, "triangle")),
+};
+
+/** The notes of an alarm tone (falls back to the classic beep) */
+export const toneNotes = (name) => TONE_NOTES[name] || TONE_NOTES.classic;
+
+// Length of a tone in seconds
+export const toneLength = (name) =>
+  Math.max(...toneNotes(name).map((n) => n.at + n.dur));
+
+/**
+ * `length` samples of noise in [-1, 1]: white is uniform, pink falls off at
+ * 3 dB/octave (Paul Kellet's filter), brown at 6 dB/octave (leaky integrator).
+ */
+export function noiseSamples(kind, length, random = Math.random) {
+  const out = new Float32Array(length);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = random() * 2 - 1;
+    if (kind === "pink") {
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.969 * b2 + white * 0.153852;
+      b3 = 0.8665 * b3 + white * 0.3104856;
+      b4 = 0.55 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.016898;
+      out[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+      b6 = white * 0.115926;
+    } else if (kind === "brown") {
+      last = (last + 0.02 * white) / 1.02;
+      out[i] = last * 3.5;
+    } else {
+      out[i] = white;
+    }
+    out[i] = Math.max(-1, Math.min(1, out[i]));
+  }
+  return out;
+}
+
+// -------------------- Engine --------------------
+let context = null;
+
+function audio() {
+  if (!context) {
+    const Ctx =
+      typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+    if (!Ctx) return null;
+    try {
+      context = new Ctx();
+    } catch {
+      return null;
+    }
+  }
+  if (context.state === "suspended") context.resume().catch(() => {});
+  return context;
+}
+
+function playNotes(notes, volume) {
+  const ctx = audio();
+  if (!ctx || volume <= 0) return;
+  const t0 = ctx.currentTime + 0.01;
+  notes.forEach((n) => {
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+    o.type = n.type;
+    o.frequency.value = n.freq;
+    o.connect(g);
+    g.connect(ctx.destination);
+    const start = t0 + n.at;
+    const peak = Math.max(0.0002, 0.5 * volume * n.gain);
+    g.gain.setValueAtTime(0.0001, start);
+    g.gain.exponentialRampToValueAtTime(peak, start + 0.02);
+    g.gain.exponentialRampToValueAtTime(0.0001, start + n.dur);
+    o.start(start);
+    o.stop(start + n.dur + 0.02);
+  });
+}
+
+export function playTone(name, volume = DEFAULT_SOUNDS.alarmVolume) {
+  playNotes(toneNotes(name), volume);
+}
+
+// Alarm, optionally repeating until stopAlarm()
+const ALARM_GAP_MS = 2500;
+let alarmTimer = null;
+
+export function startAlarm(name, volume, repeat = false) {
+  stopAlarm();
+  playTone(name, volume);
+  if (repeat)
+    alarmTimer = setInterval(
+      () => playTone(name, volume),
+      toneLength(name) * 1000 + ALARM_GAP_MS
+    );
+}
+
+export function stopAlarm() {
+  clearInterval(alarmTimer);
+  alarmTimer = null;
+}
+
+export const isAlarmRepeating = () => alarmTimer != null;
+
+// Ticking, once a second until stopTicking()
+const TICK = [note(1800, 0, 0.025, "square", 0.25)];
+let tickTimer = null;
+
+export function startTicking(volume = DEFAULT_SOUNDS.tickVolume) {
+  stopTicking();
+  tickTimer = setInterval(() => playNotes(TICK, volume), 1000);
+}
+
+export function stopTicking() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+// Ambient noise: a few seconds of generated noise on a loop
+const NOISE_SECONDS = 4;
+let noise = null; // { kind, source, gain }
+
+export function startNoise(kind, volume = DEFAULT_SOUNDS.noiseVolume) {
+  if (noise && noise.kind === kind) return setNoiseVolume(volume);
+  stopNoise();
+  const ctx = audio();
+  if (!ctx || !(kind in NOISES)) return;
+  const length = ctx.sampleRate * NOISE_SECONDS;
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  buffer.getChannelData(0).set(noiseSamples(kind, length));
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  const gain = ctx.createGain();
+  gain.gain.value = volume * 0.5;
+  source.connect(gain);
+  gain.connect(ctx.destination);
+  source.start();
+  noise = { kind, source, gain };
+}
+
+export function setNoiseVolume(volume) {
+  if (noise) noise.gain.gain.value = volume * 0.5;
+}
+
+export function stopNoise() {
+  if (!noise) return;
+  try {
+    noise.source.stop();
+  } catch {}
+  noise = null;
+}
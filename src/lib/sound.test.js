@@ -0,0 +1,70 @@
+import {
+  ALARM_TONES,
+  DEFAULT_SOUNDS,
+  isAlarmRepeating,
+  noiseSamples,
+  normalizeSounds,
+  startAlarm,
+  startNoise,
+  stopAlarm,
+  toneLength,
+  toneNotes,
+} from './sound';
+
+// Deterministic "random" numbers in [0, 1)
+function seeded(seed = 1) {
+  let x = seed;
+  return () => {
+    x = (x * 16807) % 2147483647;
+    return (x - 1) / 2147483646;
+  };
+}
+
+// Mean absolute difference between neighbouring samples
+const roughness = (samples) => {
+  let sum = 0;
+  for (let i = 1; i < samples.length; i++) sum += Math.abs(samples[i] - samples[i - 1]);
+  return sum / (samples.length - 1);
+};
+
+test('fills in defaults and drops unknown tones, noises and volumes', () => {
+  expect(normalizeSounds(undefined)).toEqual(DEFAULT_SOUNDS);
+  expect(
+    normalizeSounds({ focusEndTone: 'siren', noise: 'purple', alarmVolume: 3, tickVolume: 'x' })
+  ).toMatchObject({
+    focusEndTone: DEFAULT_SOUNDS.focusEndTone,
+    noise: 'off',
+    alarmVolume: 1,
+    tickVolume: 0,
+  });
+});
+
+test('every alarm tone has notes and a length', () => {
+  Object.keys(ALARM_TONES).forEach((tone) => {
+    expect(toneNotes(tone).length).toBeGreaterThan(0);
+    expect(toneLength(tone)).toBeGreaterThan(0);
+  });
+  expect(toneNotes('missing')).toBe(toneNotes('classic'));
+});
+
+test('generates bounded noise, smoother from white to pink to brown', () => {
+  const white = noiseSamples('white', 20000, seeded());
+  const pink = noiseSamples('pink', 20000, seeded());
+  const brown = noiseSamples('brown', 20000, seeded());
+  [white, pink, brown].forEach((samples) =>
+    expect(samples.reduce((max, v) => Math.max(max, Math.abs(v)), 0)).toBeLessThanOrEqual(1)
+  );
+  expect(roughness(pink)).toBeLessThan(roughness(white));
+  expect(roughness(brown)).toBeLessThan(roughness(pink));
+});
+
+test('is silent but keeps its state without WebAudio', () => {
+  jest.useFakeTimers();
+  startAlarm('chime', 0.5, true);
+  expect(isAlarmRepeating()).toBe(true);
+  jest.advanceTimersByTime(10000);
+  stopAlarm();
+  expect(isAlarmRepeating()).toBe(false);
+  expect(() => startNoise('brown', 0.3)).not.toThrow();
+  jest.useRealTimers();
+});
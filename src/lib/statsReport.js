@@ -0,0 +1,259 @@
+/**
+ * Statistics page report
+ *
+ * Pure: takes the sessions of a range of local days (every mode, as returned
+ * by historyStats.sessionsInDays) plus the tasks, and returns everything the
+ * /stats page shows. Time totals count focus sessions only; completion vs.
+ * skip covers every block. Goal attainment follows lib/goals; focus ratings
+ * are averaged over the blocks that have one (see lib/sessionNotes). Pauses
+ * are counted per day and task by reason, voided blocks included (see
+ * lib/pauses); voided blocks add no focus time.
+ */
+import {
+  dayKeyAt,
+  dayKeysBetween,
+  formatDayKey,
+  sessionDayKey,
+  sessionStartHour,
+  shiftDayKey,
+} from "./days";
+import { countsAsFocus, dailyTotals } from "./historyStats";
+import { PAUSE_REASONS, UNSPECIFIED, pauseCounts, pausedSecondsOf } from "./pauses";
+import {
+  DEFAULT_GOALS,
+  EMPTY_TOTALS,
+  dayCountsForStreak,
+  goalHistory,
+  isRestDay,
+} from "./goals";
+
+// Rolling ranges ending today, in days
+export const STATS_RANGES = { week: 7, month: 30, year: 365 };
+
+export const NO_TASK = "No task";
+export const UNTAGGED = "Untagged";
+
+// { from, to } day keys for a range name; "custom" uses the given keys
+export function statsRange(range, now, dayStartHour = 0, custom = {}) {
+  const today = dayKeyAt(now, dayStartHour);
+  if (range !== "custom")
+    return { from: shiftDayKey(today, 1 - STATS_RANGES[range]), to: today };
+  const from = custom.from || today;
+  const to = custom.to || today;
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+const toMinutes = (secs) => Math.round(secs / 60);
+
+// Average to one decimal, or null without values
+const average = (sum, count) => (count ? Math.round((sum / count) * 10) / 10 : null);
+
+// Heat level 0–4 of each day relative to the busiest one
+function heatLevels(days) {
+  const max = Math.max(0, ...days.map((d) => d.minutes));
+  return days.map((d) => ({
+    ...d,
+    level: d.minutes > 0 ? Math.ceil((d.minutes / max) * 4) : 0,
+  }));
+}
+
+export const PAUSE_KINDS = [...Object.keys(PAUSE_REASONS), UNSPECIFIED];
+
+// Chart points with `fields` of each day: daily up to a month, summed per
+// month beyond
+function chartBuckets(days, fields = ["minutes"]) {
+  const pick = (d) => Object.fromEntries(fields.map((f) => [f, d[f]]));
+  if (days.length <= 31) {
+    const weekdays = days.length <= 7;
+    return days.map((d) => ({
+      label: formatDayKey(
+        d.key,
+        weekdays ? { weekday: "short" } : { month: "numeric", day: "numeric" }
+      ),
+      ...pick(d),
+    }));
+  }
+  const months = new Map();
+  days.forEach((d) => {
+    const month = d.key.slice(0, 7);
+    if (!months.has(month))
+      months.set(month, {
+        label: formatDayKey(d.key, { month: "short" }),
+        ...Object.fromEntries(fields.map((f) => [f, 0])),
+      });
+    const bucket = months.get(month);
+    fields.forEach((f) => (bucket[f] += d[f]));
+  });
+  return [...months.values()];
+}
+
+const emptyPauseCounts = () => Object.fromEntries(PAUSE_KINDS.map((k) => [k, 0]));
+
+function addCounts(target, counts) {
+  PAUSE_KINDS.forEach((k) => (target[k] += counts[k]));
+  return target;
+}
+
+// Longest streak in the range, with the same rules as computeStreak
+function longestRun(keys, totalsByDay, goals) {
+  let best = 0;
+  let run = 0;
+  keys.forEach((key) => {
+    if (dayCountsForStreak(goals, key, totalsByDay[key] || EMPTY_TOTALS)) run++;
+    else if (!isRestDay(goals, key)) run = 0;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+// Sorted [{ name, minutes, blocks }] from a Map of name → totals
+const ranked = (map) =>
+  [...map.entries()]
+    .map(([name, t]) => ({ name, minutes: toMinutes(t.seconds), blocks: t.blocks }))
+    .sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name));
+
+function addTo(map, name, seconds) {
+  const t = map.get(name) || { seconds: 0, blocks: 0 };
+  map.set(name, { seconds: t.seconds + seconds, blocks: t.blocks + 1 });
+}
+
+export function buildStatsReport(
+  sessions,
+  { from, to, tasks = [], dayStartHour = 0, goals = DEFAULT_GOALS }
+) {
+  const keys = dayKeysBetween(from, to);
+  const dayMinutes = Object.fromEntries(keys.map((k) => [k, 0]));
+  const taskById = new Map(tasks.map((t) => [t.id, t]));
+  const byTask = new Map();
+  const byTag = new Map();
+  const hourSeconds = Array(24).fill(0);
+  const hourRatings = Array.from({ length: 24 }, () => ({ sum: 0, count: 0 }));
+  let ratingSum = 0;
+  let rated = 0;
+  let interruptions = 0;
+  let voided = 0;
+  let pausedSeconds = 0;
+  const dayPauses = Object.fromEntries(keys.map((k) => [k, emptyPauseCounts()]));
+  const taskPauses = new Map();
+  let focusSeconds = 0;
+  let blocks = 0;
+  let completed = 0;
+  let skipped = 0;
+
+  sessions.forEach((s) => {
+    const key = sessionDayKey(s, dayStartHour);
+    if (!(key in dayMinutes)) return;
+    const task = s.taskId ? taskById.get(s.taskId) : null;
+    const taskName = task ? task.title : s.taskId ? "Deleted task" : NO_TASK;
+    if (s.mode === "focus") {
+      const counts = pauseCounts(s);
+      addCounts(dayPauses[key], counts);
+      if (!taskPauses.has(taskName)) taskPauses.set(taskName, emptyPauseCounts());
+      addCounts(taskPauses.get(taskName), counts);
+      pausedSeconds += pausedSecondsOf(s);
+    }
+    if (s.voided) voided++;
+    else if (s.skipped) skipped++;
+    else completed++;
+    if (!countsAsFocus(s)) return;
+
+    focusSeconds += s.seconds;
+    blocks++;
+    dayMinutes[key] += s.seconds / 60;
+    const hour = sessionStartHour(s);
+    hourSeconds[hour] += s.seconds;
+    if (s.rating != null) {
+      hourRatings[hour].sum += s.rating;
+      hourRatings[hour].count++;
+      ratingSum += s.rating;
+      rated++;
+    }
+    interruptions += s.interruptions || 0;
+
+    addTo(byTask, taskName, s.seconds);
+    const tags = (task && task.tags) || [];
+    if (tags.length) tags.forEach((tag) => addTo(byTag, tag, s.seconds));
+    else addTo(byTag, UNTAGGED, s.seconds);
+  });
+
+  const days = heatLevels(
+    keys.map((key) => ({ key, minutes: Math.round(dayMinutes[key]) }))
+  );
+  const pauseDays = keys.map((key) => ({ key, ...dayPauses[key] }));
+  const pauseTotals = pauseDays.reduce(addCounts, emptyPauseCounts());
+  const pauseCount = PAUSE_KINDS.reduce((a, k) => a + pauseTotals[k], 0);
+  const byHour = hourSeconds.map((secs, hour) => ({
+    hour,
+    minutes: toMinutes(secs),
+    rating: average(hourRatings[hour].sum, hourRatings[hour].count),
+  }));
+  const best = byHour.reduce((a, b) => (b.minutes > a.minutes ? b : a));
+  const totalsByDay = dailyTotals(sessions, dayStartHour);
+
+  return {
+    from,
+    to,
+    days,
+    buckets: chartBuckets(days),
+    byHour,
+    bestHour: best.minutes > 0 ? best.hour : null,
+    byTask: ranked(byTask),
+    byTag: ranked(byTag),
+    goals: goalHistory(goals, from, to, totalsByDay),
+    pauses: {
+      byDay: chartBuckets(pauseDays, PAUSE_KINDS),
+      byTask: [...taskPauses.entries()]
+        .map(([name, counts]) => ({
+          name,
+          ...counts,
+          total: PAUSE_KINDS.reduce((a, k) => a + counts[k], 0),
+        }))
+        .filter((t) => t.total > 0)
+        .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name)),
+      ...pauseTotals,
+      count: pauseCount,
+      pausedMin: toMinutes(pausedSeconds),
+    },
+    totals: {
+      focusMin: toMinutes(focusSeconds),
+      blocks,
+      avgBlockMin: blocks ? Math.round(focusSeconds / blocks / 6) / 10 : 0,
+      completed,
+      skipped,
+      completionRate:
+        completed + skipped ? Math.round((completed / (completed + skipped)) * 100) : null,
+      activeDays: days.filter((d) => d.minutes > 0).length,
+      longestStreak: longestRun(keys, totalsByDay, goals),
+      avgRating: average(ratingSum, rated),
+      ratedBlocks: rated,
+      interruptions,
+      voided,
+    },
+  };
+}
+
+/**
+ * Estimated vs. actual Pomodoros of every task with an estimate, finished
+ * tasks first. `ratio` is the average actual ÷ estimate of finished tasks.
+ */
+export function estimateReport(tasks) {
+  const rows = tasks
+    .filter((t) => t.estimate > 0)
+    .map((t) => ({
+      name: t.title,
+      estimate: t.estimate,
+      actual: t.pomodoros || 0,
+      done: t.done,
+    }));
+  const finished = rows.filter((r) => r.done);
+  const ratio = finished.length
+    ? finished.reduce((a, r) => a + r.actual / r.estimate, 0) / finished.length
+    : null;
+  return {
+    rows: [...finished, ...rows.filter((r) => !r.done)],
+    finished: finished.length,
+    over: finished.filter((r) => r.actual > r.estimate).length,
+    under: finished.filter((r) => r.actual < r.estimate).length,
+    ratio: ratio == null ? null : Math.round(ratio * 100) / 100,
+  };
+}
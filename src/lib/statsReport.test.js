@@ -0,0 +1,163 @@
+import {
+  buildStatsReport,
+  estimateReport,
+  NO_TASK,
+  statsRange,
+  UNTAGGED,
+} from './statsReport';
+
+process.env.TZ = 'UTC';
+
+let n = 0;
+const session = (date, extra = {}) => ({
+  id: `s${++n}`,
+  date,
+  mode: 'focus',
+  seconds: 1500,
+  planned: 1500,
+  skipped: false,
+  taskId: null,
+  tzOffset: 0,
+  ...extra,
+});
+
+const tasks = [
+  { id: 't1', title: 'Report', tags: ['work', 'writing'] },
+  { id: 't2', title: 'Chores' },
+];
+
+test('resolves rolling and custom ranges to day keys', () => {
+  const now = new Date('2025-01-10T12:00:00.000Z');
+  expect(statsRange('week', now)).toEqual({ from: '2025-01-04', to: '2025-01-10' });
+  expect(statsRange('month', now).from).toBe('2024-12-12');
+  expect(statsRange('custom', now, 0, { from: '2025-01-09', to: '2025-01-02' })).toEqual({
+    from: '2025-01-02',
+    to: '2025-01-09',
+  });
+});
+
+test('totals, rates, best hour and longest streak', () => {
+  const report = buildStatsReport(
+    [
+      session('2025-01-06T09:25:00.000Z', { taskId: 't1' }),
+      session('2025-01-07T09:25:00.000Z', { taskId: 't1' }),
+      session('2025-01-07T14:10:00.000Z', { taskId: 't2', seconds: 600, skipped: true }),
+      session('2025-01-07T14:15:00.000Z', { mode: 'short', seconds: 300 }),
+      session('2025-01-09T09:25:00.000Z'),
+      // outside the range
+      session('2025-01-11T09:25:00.000Z'),
+    ],
+    { from: '2025-01-04', to: '2025-01-10', tasks }
+  );
+  expect(report.totals).toEqual({
+    focusMin: 85,
+    blocks: 4,
+    avgBlockMin: 21.3,
+    completed: 4,
+    skipped: 1,
+    completionRate: 80,
+    activeDays: 3,
+    longestStreak: 2,
+    avgRating: null,
+    ratedBlocks: 0,
+    interruptions: 0,
+    voided: 0,
+  });
+  expect(report.bestHour).toBe(9);
+  expect(report.days.map((d) => d.level)).toEqual([0, 0, 3, 4, 0, 3, 0]);
+  expect(report.buckets).toHaveLength(7);
+});
+
+test('breaks focus time down by task and tag', () => {
+  const report = buildStatsReport(
+    [
+      session('2025-01-06T09:25:00.000Z', { taskId: 't1' }),
+      session('2025-01-06T10:25:00.000Z', { taskId: 't2' }),
+      session('2025-01-06T11:25:00.000Z', { taskId: 't2' }),
+      session('2025-01-06T12:25:00.000Z', { taskId: 'gone' }),
+      session('2025-01-06T13:25:00.000Z'),
+    ],
+    { from: '2025-01-06', to: '2025-01-06', tasks }
+  );
+  expect(report.byTask.map((t) => [t.name, t.minutes])).toEqual([
+    ['Chores', 50],
+    ['Deleted task', 25],
+    [NO_TASK, 25],
+    ['Report', 25],
+  ]);
+  expect(report.byTag.map((t) => [t.name, t.minutes])).toEqual([
+    [UNTAGGED, 100],
+    ['work', 25],
+    ['writing', 25],
+  ]);
+});
+
+test('groups long ranges by month', () => {
+  const report = buildStatsReport([session('2025-02-03T09:00:00.000Z')], {
+    from: '2025-01-01',
+    to: '2025-03-31',
+  });
+  expect(report.buckets.map((b) => b.minutes)).toEqual([0, 25, 0]);
+});
+
+test('compares estimates with actual pomodoros', () => {
+  const report = estimateReport([
+    { id: 'a', title: 'A', estimate: 4, pomodoros: 6, done: true },
+    { id: 'b', title: 'B', estimate: 4, pomodoros: 2, done: true },
+    { id: 'c', title: 'C', estimate: 3, pomodoros: 1, done: false },
+    { id: 'd', title: 'D', estimate: null, pomodoros: 5, done: true },
+  ]);
+  expect(report.rows.map((r) => r.name)).toEqual(['A', 'B', 'C']);
+  expect(report).toMatchObject({ finished: 2, over: 1, under: 1, ratio: 1 });
+});
+
+test('averages focus ratings overall and by start hour', () => {
+  const report = buildStatsReport(
+    [
+      session('2025-01-10T09:25:00.000Z', { rating: 4, interruptions: 1 }),
+      session('2025-01-10T09:55:00.000Z', { rating: 5 }),
+      session('2025-01-10T15:25:00.000Z', { rating: 2, interruptions: 3 }),
+      session('2025-01-10T16:25:00.000Z'),
+    ],
+    { from: '2025-01-10', to: '2025-01-10' }
+  );
+  expect(report.byHour[9].rating).toBe(4.5);
+  expect(report.byHour[15].rating).toBe(2);
+  expect(report.byHour[16].rating).toBeNull();
+  expect(report.totals).toMatchObject({ avgRating: 3.7, ratedBlocks: 3, interruptions: 4 });
+});
+
+test('counts pauses by reason per day and task and leaves voided blocks out', () => {
+  const pause = (reason, seconds = 60) => ({ at: '2025-01-09T09:05:00.000Z', seconds, reason });
+  const report = buildStatsReport(
+    [
+      session('2025-01-09T09:25:00.000Z', {
+        taskId: 't1',
+        pauses: [pause('internal'), pause('external', 120)],
+      }),
+      session('2025-01-10T09:10:00.000Z', {
+        seconds: 300,
+        voided: true,
+        pauses: [pause(null, 900)],
+      }),
+      session('2025-01-10T10:25:00.000Z'),
+    ],
+    { from: '2025-01-09', to: '2025-01-10', tasks }
+  );
+  expect(report.totals).toMatchObject({ blocks: 2, focusMin: 50, completed: 2, voided: 1 });
+  expect(report.pauses).toMatchObject({
+    count: 3,
+    internal: 1,
+    external: 1,
+    unspecified: 1,
+    pausedMin: 18,
+  });
+  expect(report.pauses.byDay.map((d) => [d.internal, d.external, d.unspecified])).toEqual([
+    [1, 1, 0],
+    [0, 0, 1],
+  ]);
+  expect(report.pauses.byTask).toEqual([
+    { name: 'Report', internal: 1, external: 1, unspecified: 0, total: 2 },
+    { name: NO_TASK, internal: 0, external: 0, unspecified: 1, total: 1 },
+  ]);
+});
@@ -0,0 +1,402 @@
+/**
+ * Versioned localStorage records
+ *
+ * Every record is stored as an envelope { version, data }. Values written by
+ * older builds (bare JSON without an envelope) count as version 1. Loading a
+ * record
+ * 1. runs the record's migrations in order up to its current version,
+ * 2. validates the data against the record's schema, merging in defaults for
+ *    missing fields and dropping list items that cannot be repaired,
+ * 3. reports anything it had to repair or discard as a storage issue and keeps
+ *    the original text under `<key>.corrupt` so nothing is lost silently.
+ *
+ * Schemas map field names to a type: "number", "string", "boolean", "array"
+ * or "object"; a trailing "?" also allows null. The key names keep their
+ * historical ".v1" suffix; the version lives in the envelope.
+ */
+
+export const STORAGE_KEYS = {
+  settings: "pomodoro.settings.v1",
+  history: "pomodoro.history.v1",
+  tasks: "pomodoro.tasks.v1",
+  ui: "pomodoro.ui.v1",
+  timer: "pomodoro.timer.v1",
+  sequences: "pomodoro.sequences.v1",
+  presets: "pomodoro.presets.v1",
+  sync: "pomodoro.sync.v1",
+  syncState: "pomodoro.sync-state.v1",
+  syncQueue: "pomodoro.sync-queue.v1",
+  room: "pomodoro.room.v1",
+};
+
+export const RECORDS = {
+  settings: {
+    version: 1,
+    schema: {
+      focusMin: "number",
+      shortMin: "number",
+      longMin: "number",
+      longInterval: "number",
+      autoStartNext: "boolean",
+      sound: "boolean",
+      sounds: "object",
+      notifications: "boolean",
+      warnBeforeEnd: "boolean",
+      notifyTemplates: "object",
+      reflectAfterFocus: "boolean",
+      sequenceId: "string?",
+      historyRetentionDays: "number?",
+      voidAfterPauseMin: "number?",
+      dayStartHour: "number",
+      goals: "object",
+      shortcuts: "object",
+    },
+  },
+  ui: {
+    version: 1,
+    schema: { showSettings: "boolean", showTasks: "boolean", taskView: "object" },
+  },
+  timer: {
+    version: 1,
+    schema: {
+      mode: "string",
+      isRunning: "boolean",
+      endsAt: "number?",
+      remaining: "number",
+      planned: "number",
+      completedFocusBlocks: "number",
+      sequence: "object",
+      stepIndex: "number",
+      rep: "number",
+      pauses: "array",
+      extensions: "array",
+      snooze: "boolean",
+      fromFirstStep: "boolean",
+    },
+  },
+  tasks: {
+    version: 1,
+    items: {
+      id: "string",
+      title: "string",
+      pomodoros: "number",
+      done: "boolean",
+      estimate: "number?",
+      project: "string?",
+      tags: "array",
+      due: "string?",
+      notes: "string",
+      subtasks: "array",
+      archived: "boolean",
+    },
+    itemDefaults: {
+      pomodoros: 0,
+      done: false,
+      estimate: null,
+      project: null,
+      tags: [],
+      due: null,
+      notes: "",
+      subtasks: [],
+      archived: false,
+    },
+  },
+  // Legacy: history now lives in IndexedDB (lib/historyDb); this record is
+  // only read once to move old data over.
+  history: {
+    version: 2,
+    items: {
+      id: "string",
+      date: "string",
+      mode: "string",
+      seconds: "number",
+      taskId: "string?",
+      planned: "number",
+      skipped: "boolean",
+      tzOffset: "number?",
+    },
+    itemDefaults: { taskId: null, skipped: false },
+    migrations: {
+      // v2: entries record the planned length and whether the block was skipped
+      2: (entries) =>
+        entries.map((e) => ({ planned: e.seconds, skipped: false, ...e })),
+    },
+  },
+  sequences: {
+    version: 1,
+    items: { id: "string", name: "string", steps: "array" },
+    itemDefaults: { loopFrom: 0 },
+  },
+  presets: {
+    version: 1,
+    items: { id: "string", name: "string" },
+    itemDefaults: { isDefault: false },
+  },
+  // Multi-device sync (lib/sync): the server to use, what was last synced and
+  // the changes waiting to be sent
+  sync: {
+    version: 1,
+    schema: { enabled: "boolean", serverUrl: "string", space: "string", token: "string" },
+  },
+  syncState: {
+    version: 1,
+    schema: { target: "string", rev: "number", joined: "boolean", shadow: "object" },
+  },
+  syncQueue: {
+    version: 1,
+    items: { collection: "string", id: "string", updatedAt: "number" },
+  },
+  // Focus rooms (lib/room): the name shown to others, the task worked on and
+  // an id for this device's copies of room blocks
+  room: {
+    version: 1,
+    schema: { name: "string", taskId: "string?", deviceId: "string" },
+  },
+};
+
+// -------------------- Issues --------------------
+let issues = [];
+const listeners = new Set();
+
+function report(name, message, extra) {
+  issues = [...issues, { name, message, ...extra }];
+  listeners.forEach((fn) => fn(issues));
+}
+
+/**
+ * A problem with stored data found outside this module (e.g. the history
+ * database), shown with the rest. No ".corrupt" copy exists for it
+ * (`kept: false`); the same message is listed once.
+ */
+export function reportStorageIssue(name, message) {
+  if (issues.some((i) => i.name === name && i.message === message)) return;
+  report(name, message, { kept: false });
+}
+
+export const getStorageIssues = () => issues;
+
+export function subscribeStorageIssues(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function dismissStorageIssues() {
+  issues = [];
+  listeners.forEach((fn) => fn(issues));
+}
+
+// -------------------- Validation --------------------
+function hasType(value, type) {
+  if (type.endsWith("?")) {
+    if (value === null || value === undefined) return true;
+    type = type.slice(0, -1);
+  }
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "object")
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  return typeof value === type;
+}
+
+const isPlainObject = (v) => hasType(v, "object");
+
+// Object record: defaults first, stored fields win when they have the right type
+function repairObject(data, schema, defaults, problems) {
+  if (!isPlainObject(data)) {
+    problems.push("expected an object");
+    return { ...defaults };
+  }
+  const out = { ...defaults, ...data };
+  Object.entries(schema).forEach(([field, type]) => {
+    if (!(field in data) || hasType(data[field], type)) return;
+    problems.push(`invalid "${field}"`);
+    if (field in defaults) out[field] = defaults[field];
+    else delete out[field];
+  });
+  return out;
+}
+
+// List record: fill item defaults, drop items still missing required fields
+function repairList(data, schema, itemDefaults = {}, problems) {
+  if (!Array.isArray(data)) {
+    problems.push("expected a list");
+    return [];
+  }
+  const kept = data
+    .filter(isPlainObject)
+    .map((item) => ({ ...itemDefaults, ...item }))
+    .filter((item) =>
+      Object.entries(schema).every(([field, type]) => hasType(item[field], type))
+    );
+  const dropped = data.length - kept.length;
+  if (dropped)
+    problems.push(`${dropped} unreadable entr${dropped === 1 ? "y" : "ies"} removed`);
+  return kept;
+}
+
+/**
+ * Bring stored data of `version` up to date and repair it against the record
+ * schema. Returns { data, problems }.
+ */
+export function upgradeRecord(name, version, data, defaults) {
+  const record = RECORDS[name];
+  const problems = [];
+  let current = data;
+  for (let v = version + 1; v <= record.version; v++) {
+    const migrate = record.migrations && record.migrations[v];
+    if (migrate) current = migrate(current);
+  }
+  const repaired = record.items
+    ? repairList(current, record.items, record.itemDefaults, problems)
+    : repairObject(current, record.schema, defaults, problems);
+  return { data: repaired, problems };
+}
+
+// -------------------- Load / save --------------------
+function readEnvelope(raw) {
+  const parsed = JSON.parse(raw);
+  if (
+    isPlainObject(parsed) &&
+    typeof parsed.version === "number" &&
+    "data" in parsed &&
+    Object.keys(parsed).length === 2
+  )
+    return parsed;
+  return { version: 1, data: parsed };
+}
+
+function keepCorrupt(name, raw) {
+  try {
+    localStorage.setItem(`${STORAGE_KEYS[name]}.corrupt`, raw);
+  } catch {}
+}
+
+export function loadRecord(name, defaults) {
+  const record = RECORDS[name];
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEYS[name]);
+  } catch {
+    return defaults;
+  }
+  if (raw == null) return defaults;
+
+  let envelope;
+  try {
+    envelope = readEnvelope(raw);
+  } catch (e) {
+    keepCorrupt(name, raw);
+    report(name, "saved data is not valid JSON and was reset");
+    return defaults;
+  }
+  if (envelope.version > record.version) {
+    keepCorrupt(name, raw);
+    report(name, `saved by a newer version (v${envelope.version}) and was reset`);
+    return defaults;
+  }
+  try {
+    const { data, problems } = upgradeRecord(
+      name,
+      envelope.version,
+      envelope.data,
+      defaults
+    );
+    if (problems.length) {
+      keepCorrupt(name, raw);
+      report(name, problems.join(", "));
+    }
+    return data;
+  } catch (e) {
+    keepCorrupt(name, raw);
+    report(name, `could not be upgraded (${e.message}) and was reset`);
+    return defaults;
+  }
+}
+
+const saveListeners = new Set();
+
+export function saveRecord(name, data) {
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS[name],
+      JSON.stringify({ version: RECORDS[name].version, data })
+    );
+  } catch {}
+  saveListeners.forEach((fn) => fn(name));
+}
+
+// Call `fn(name)` after this tab saves a record; returns an unsubscribe function
+export function subscribeRecordSaves(fn) {
+  saveListeners.add(fn);
+  return () => saveListeners.delete(fn);
+}
+
+// -------------------- Merging --------------------
+// Another tab may have saved a record since this one last saw it (`base`).
+// Saving merges this tab's changes (base → local) into the stored value
+// (base → stored) instead of overwriting it.
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Objects merge field by field; a field changed here wins
+export function mergeObjects(base, local, stored) {
+  let out = local;
+  Object.keys(stored).forEach((key) => {
+    if (same(stored[key], base[key]) || !same(local[key], base[key])) return;
+    if (out === local) out = { ...local };
+    out[key] = stored[key];
+  });
+  return out;
+}
+
+const hasIds = (list) => list.every((item) => typeof item?.id === "string");
+
+// Ids of `list` that are also in `base`, in list order
+const sharedIds = (list, baseIds) => list.map((i) => i.id).filter((id) => baseIds.has(id));
+
+// `ids` with the ids only `list` has inserted after their predecessor in it
+function withAdditions(ids, list, baseIds) {
+  const out = [...ids];
+  list.forEach((item, i) => {
+    if (baseIds.has(item.id) || out.includes(item.id)) return;
+    const at = i ? out.indexOf(list[i - 1].id) + 1 : 0;
+    out.splice(at, 0, item.id);
+  });
+  return out;
+}
+
+/**
+ * Lists of items with ids merge item by item: additions and deletions on
+ * either side are kept, an item edited here wins, and the order comes from
+ * whichever side reordered. Lists without ids are replaced whole.
+ */
+export function mergeLists(base, local, stored) {
+  if (same(stored, base)) return local;
+  if (same(local, base)) return stored;
+  if (![base, local, stored].every(hasIds)) return local;
+  const byId = (list) => new Map(list.map((item) => [item.id, item]));
+  const [b, l, s] = [byId(base), byId(local), byId(stored)];
+  const baseIds = new Set(b.keys());
+  const baseOrder = base.map((i) => i.id);
+  const reordered = (list) => {
+    const ids = sharedIds(list, baseIds);
+    return !same(ids, baseOrder.filter((id) => ids.includes(id)));
+  };
+  const [first, second] = reordered(local) ? [local, stored] : [stored, local];
+  const ids = withAdditions(withAdditions(sharedIds(first, baseIds), first, baseIds), second, baseIds);
+  return ids
+    .map((id) => {
+      if (!b.has(id)) return l.get(id) || s.get(id);
+      if (!l.has(id) || !s.has(id)) return null; // deleted on either side
+      return same(l.get(id), b.get(id)) ? s.get(id) : l.get(id);
+    })
+    .filter(Boolean);
+}
+
+/** The value to save for `name`: this tab's changes merged into `stored` */
+export function mergeRecord(name, base, local, stored) {
+  if (name === "timer") return local; // the tab that acted on the timer decides
+  return RECORDS[name].items
+    ? mergeLists(base, local, stored)
+    : mergeObjects(base, local, stored);
+}
@@ -0,0 +1,175 @@
+import {
+  STORAGE_KEYS,
+  dismissStorageIssues,
+  getStorageIssues,
+  loadRecord,
+  mergeLists,
+  mergeObjects,
+  mergeRecord,
+  saveRecord,
+} from './storage';
+import { TASK_DEFAULTS } from './tasks';
+
+const settingsDefaults = {
+  focusMin: 25,
+  shortMin: 5,
+  longMin: 15,
+  longInterval: 4,
+  autoStartNext: true,
+  sound: true,
+  notifications: false,
+  sequenceId: null,
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  dismissStorageIssues();
+});
+
+test('returns defaults when nothing is stored', () => {
+  expect(loadRecord('settings', settingsDefaults)).toEqual(settingsDefaults);
+  expect(getStorageIssues()).toEqual([]);
+});
+
+test('round-trips through a versioned envelope', () => {
+  saveRecord('tasks', [{ id: 'a', title: 'Write', pomodoros: 2, done: false }]);
+  expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.tasks))).toMatchObject({
+    version: 1,
+    data: [{ id: 'a' }],
+  });
+  // Fields added later are filled from the item defaults
+  expect(loadRecord('tasks', [])).toEqual([
+    { ...TASK_DEFAULTS, id: 'a', title: 'Write', pomodoros: 2, done: false },
+  ]);
+});
+
+test('merges new default fields into old unversioned settings', () => {
+  localStorage.setItem(
+    STORAGE_KEYS.settings,
+    JSON.stringify({ focusMin: 50, shortMin: 10, longMin: 20, longInterval: 3 })
+  );
+  expect(loadRecord('settings', settingsDefaults)).toEqual({
+    ...settingsDefaults,
+    focusMin: 50,
+    shortMin: 10,
+    longMin: 20,
+    longInterval: 3,
+  });
+  expect(getStorageIssues()).toEqual([]);
+});
+
+test('migrates v1 history entries to v2', () => {
+  localStorage.setItem(
+    STORAGE_KEYS.history,
+    JSON.stringify([
+      { id: '1', date: '2025-01-06T09:25:00.000Z', mode: 'focus', seconds: 1500, taskId: null },
+    ])
+  );
+  expect(loadRecord('history', [])).toEqual([
+    {
+      id: '1',
+      date: '2025-01-06T09:25:00.000Z',
+      mode: 'focus',
+      seconds: 1500,
+      taskId: null,
+      planned: 1500,
+      skipped: false,
+    },
+  ]);
+});
+
+test('repairs invalid fields and reports them', () => {
+  localStorage.setItem(
+    STORAGE_KEYS.settings,
+    JSON.stringify({ version: 1, data: { ...settingsDefaults, focusMin: 'lots' } })
+  );
+  expect(loadRecord('settings', settingsDefaults).focusMin).toBe(25);
+  expect(getStorageIssues()).toEqual([
+    { name: 'settings', message: 'invalid "focusMin"' },
+  ]);
+  expect(localStorage.getItem(`${STORAGE_KEYS.settings}.corrupt`)).toContain('lots');
+});
+
+test('drops unreadable list entries but keeps the rest', () => {
+  localStorage.setItem(
+    STORAGE_KEYS.tasks,
+    JSON.stringify([{ id: 'a', title: 'Ok' }, { title: 'No id' }, 42])
+  );
+  expect(loadRecord('tasks', [])).toEqual([
+    { ...TASK_DEFAULTS, id: 'a', title: 'Ok' },
+  ]);
+  expect(getStorageIssues()[0].message).toBe('2 unreadable entries removed');
+});
+
+test('reports corrupt JSON instead of silently resetting', () => {
+  localStorage.setItem(STORAGE_KEYS.tasks, '[{"id":');
+  expect(loadRecord('tasks', [])).toEqual([]);
+  expect(getStorageIssues()[0]).toEqual({
+    name: 'tasks',
+    message: 'saved data is not valid JSON and was reset',
+  });
+  expect(localStorage.getItem(`${STORAGE_KEYS.tasks}.corrupt`)).toBe('[{"id":');
+});
+
+test('refuses data written by a newer version', () => {
+  localStorage.setItem(STORAGE_KEYS.ui, JSON.stringify({ version: 99, data: {} }));
+  expect(loadRecord('ui', { showTasks: true })).toEqual({ showTasks: true });
+  expect(getStorageIssues()[0].message).toMatch(/newer version/);
+});
+
+describe('merging with another tab', () => {
+  const t = (id, title = id) => ({ id, title });
+
+  test('objects keep the fields changed on either side', () => {
+    const base = { focusMin: 25, sound: true, goals: { daily: 4 } };
+    const local = { ...base, focusMin: 50 };
+    const stored = { ...base, sound: false, goals: { daily: 6 } };
+    expect(mergeObjects(base, local, stored)).toEqual({
+      focusMin: 50,
+      sound: false,
+      goals: { daily: 6 },
+    });
+    expect(mergeObjects(base, local, base)).toBe(local);
+  });
+
+  test('lists keep additions, deletions and edits from both tabs', () => {
+    const base = [t('a'), t('b'), t('c')];
+    const local = [t('a', 'A!'), t('c'), t('d')]; // edit a, delete b, add d
+    const stored = [t('x'), t('a'), t('b', 'B!'), t('c', 'C!')]; // add x, edit b and c
+    expect(mergeLists(base, local, stored)).toEqual([
+      t('x'),
+      t('a', 'A!'),
+      t('c', 'C!'),
+      t('d'),
+    ]);
+  });
+
+  test('lists take the order of the side that reordered', () => {
+    const base = [t('a'), t('b'), t('c')];
+    // An addition follows the item it was added after
+    expect(mergeLists(base, [t('c'), t('a'), t('b')], [...base, t('d')]).map((i) => i.id)).toEqual([
+      'c',
+      'd',
+      'a',
+      'b',
+    ]);
+    expect(mergeLists(base, [...base, t('d')], [t('b'), t('a'), t('c')]).map((i) => i.id)).toEqual([
+      'b',
+      'a',
+      'c',
+      'd',
+    ]);
+  });
+
+  test('returns the local value when nobody else changed anything', () => {
+    const base = [t('a')];
+    const local = [t('a', 'A!')];
+    expect(mergeLists(base, local, [t('a')])).toBe(local);
+    expect(mergeRecord('tasks', base, local, [t('a')])).toBe(local);
+  });
+
+  test('the timer is never merged', () => {
+    const local = { mode: 'focus', isRunning: true };
+    expect(mergeRecord('timer', {}, local, { mode: 'short' })).toBe(local);
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Multi-device sync
+ *
+ * Optional: with a server and a space set (see components/SyncSettings),
+ * tasks, settings and session history are kept in step with every other
+ * device using the same space on a self-hosted sync server
+ * (server/syncServer.mjs).
+ *
+ * Items: each task, settings field and session is an item
+ * { collection, id, data | deleted, updatedAt }. Task and settings edits are
+ * found by comparing the records with the copy last synced (the shadow);
+ * session writes come from lib/historyDb. Either way they wait in a queue
+ * stamped with the time they were seen, which survives being offline. The
+ * server keeps the newest stamp per item.
+ *
+ * Rounds: the leading tab (lib/tabSync) sends the queue and gets back every
+ * item changed on the server since the revision it last saw; a remote item is
+ * applied unless a newer local change to it is still queued. Rounds run on
+ * start, shortly after local changes, every SYNC_INTERVAL_MS and when the
+ * browser comes back online.
+ *
+ * Joining a space only downloads at first, so data already in the space wins
+ * over this device's copy; tasks and settings the space does not have yet,
+ * and every local session, are uploaded right after.
+ */
+import { loadRecord, saveRecord, subscribeRecordSaves } from "./storage";
+import {
+  deleteSessions,
+  putSessions,
+  querySessions,
+  subscribeHistory,
+} from "./historyDb";
+import {
+  broadcastTabMessage,
+  onTabMessage,
+  postTabMessage,
+  watchLeadership,
+} from "./tabSync";
+
+export const SYNC_INTERVAL_MS = 60 * 1000;
+export const SYNC_DELAY_MS = 2000;
+const BATCH_SIZE = 500;
+
+export const SPACE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Settings that belong to the device rather than the person. Shortcuts depend
+// on the keyboard (the palette defaults to Cmd+K on a Mac, Ctrl+K elsewhere).
+export const LOCAL_SETTINGS = ["notifications", "sound", "sounds", "shortcuts"];
+
+export const DEFAULT_SYNC_CONFIG = { enabled: false, serverUrl: "", space: "", token: "" };
+const EMPTY_STATE = { target: "", rev: 0, joined: false, shadow: { tasks: {}, settings: {} } };
+
+export const isSyncConfigured = (config) =>
+  /^https?:\/\/\S+$/.test(config.serverUrl) && SPACE_PATTERN.test(config.space);
+
+const baseUrl = (config) => config.serverUrl.replace(/\/+$/, "");
+const targetOf = (config) => `${baseUrl(config)}#${config.space}`;
+
+// -------------------- Items --------------------
+const keyOf = (item) => `${item.collection}/${item.id}`;
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/** Tasks and synced settings fields as { collection: { id: JSON } } */
+export function snapshotOf(tasks, settings) {
+  const snapshot = { tasks: {}, settings: {} };
+  tasks.forEach((task) => (snapshot.tasks[task.id] = JSON.stringify(task)));
+  Object.entries(settings).forEach(([field, value]) => {
+    if (!LOCAL_SETTINGS.includes(field))
+      snapshot.settings[field] = JSON.stringify({ value });
+  });
+  return snapshot;
+}
+
+/** The changes that turn snapshot `before` into `after`, stamped `updatedAt` */
+export function diffSnapshots(before, after, updatedAt) {
+  const changes = [];
+  Object.entries(after).forEach(([collection, items]) => {
+    const old = before[collection] || {};
+    Object.entries(items).forEach(([id, json]) => {
+      if (old[id] !== json)
+        changes.push({ collection, id, data: JSON.parse(json), updatedAt });
+    });
+    Object.keys(old).forEach((id) => {
+      if (!has(items, id)) changes.push({ collection, id, deleted: true, updatedAt });
+    });
+  });
+  return changes;
+}
+
+/** The items to send for a lib/historyDb change made in this tab */
+export function historyChanges(change, updatedAt) {
+  if (change.origin !== "local") return [];
+  const item = (id) => ({ collection: "sessions", id, updatedAt });
+  return [
+    ...(change.put || []).map((s) => ({ ...item(s.id), data: s })),
+    ...(change.deleted || []).map((id) => ({ ...item(id), deleted: true })),
+  ];
+}
+
+/** `queue` with `changes` added; a later change to an item replaces the queued one */
+export function enqueue(queue, changes) {
+  if (!changes.length) return queue;
+  const byKey = new Map(queue.map((c) => [keyOf(c), c]));
+  changes.forEach((c) => {
+    byKey.delete(keyOf(c));
+    byKey.set(keyOf(c), c);
+  });
+  return [...byKey.values()];
+}
+
+/**
+ * The remote items to apply: not the ones this device has just sent itself,
+ * and none with a change at least as new still waiting in `queue`.
+ */
+export function remoteToApply(remote, sent, queue) {
+  const sentAt = new Map(sent.map((c) => [keyOf(c), c.updatedAt]));
+  const queuedAt = new Map(queue.map((c) => [keyOf(c), c.updatedAt]));
+  return remote.filter(
+    (c) => sentAt.get(keyOf(c)) !== c.updatedAt && !(queuedAt.get(keyOf(c)) >= c.updatedAt)
+  );
+}
+
+/**
+ * Tasks and settings with remote task and settings items applied. Unchanged
+ * values come back as the same objects; new tasks go to the end of the list.
+ */
+export function applyRemote({ tasks, settings }, remote) {
+  let nextTasks = tasks;
+  let nextSettings = settings;
+  remote.forEach((c) => {
+    if (c.collection === "tasks") {
+      const rest = nextTasks.filter((t) => t.id !== c.id);
+      if (c.deleted) {
+        if (rest.length !== nextTasks.length) nextTasks = rest;
+      } else if (rest.length === nextTasks.length) nextTasks = [...nextTasks, c.data];
+      else nextTasks = nextTasks.map((t) => (t.id === c.id ? c.data : t));
+    } else if (c.collection === "settings" && !c.deleted && !LOCAL_SETTINGS.includes(c.id)) {
+      nextSettings = { ...nextSettings, [c.id]: c.data.value };
+    }
+  });
+  return { tasks: nextTasks, settings: nextSettings };
+}
+
+// -------------------- Records --------------------
+export const loadSyncConfig = () => loadRecord("sync", DEFAULT_SYNC_CONFIG);
+const loadState = () => loadRecord("syncState", EMPTY_STATE);
+const loadQueue = () => loadRecord("syncQueue", []);
+const loadLocal = () => ({
+  tasks: loadRecord("tasks", []),
+  settings: loadRecord("settings", {}),
+});
+
+function addToQueue(changes) {
+  if (changes.length) saveRecord("syncQueue", enqueue(loadQueue(), changes));
+}
+
+// Queue task and settings edits made since the last look
+function trackLocal() {
+  const state = loadState();
+  if (!state.joined) return; // joining decides what to upload
+  const { tasks, settings } = loadLocal();
+  const snapshot = snapshotOf(tasks, settings);
+  const changes = diffSnapshots(state.shadow, snapshot, Date.now());
+  if (!changes.length) return;
+  addToQueue(changes);
+  saveRecord("syncState", { ...state, shadow: snapshot });
+}
+
+// Save a record changed by the server and reload it in every open tab
+function saveRemote(name, data) {
+  saveRecord(name, data);
+  broadcastTabMessage({ type: "record", name });
+}
+
+// -------------------- Rounds --------------------
+async function request(config, body) {
+  let res;
+  try {
+    res = await fetch(`${baseUrl(config)}/api/spaces/${config.space}/sync`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw Object.assign(new Error("server unreachable"), { offline: true });
+  }
+  const reply = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(reply.error || `server answered ${res.status}`);
+  return reply;
+}
+
+// Only the items of `snapshot` named in `changes`
+function pick(snapshot, changes) {
+  const out = { tasks: {}, settings: {} };
+  changes.forEach(({ collection, id }) => {
+    if (out[collection] && has(snapshot[collection], id))
+      out[collection][id] = snapshot[collection][id];
+  });
+  return out;
+}
+
+// Apply the server's answer to a request that sent `sent`
+async function applyReply(reply, sent) {
+  trackLocal(); // edits made while the request was out win over the reply
+  const state = loadState();
+  const changes = reply.changes || [];
+  const remote = remoteToApply(changes, sent, loadQueue());
+
+  const local = loadLocal();
+  const next = applyRemote(local, remote);
+  // The shadow moves first so saving the records below is not seen as an edit.
+  // On joining it holds only what the space has, so the rest gets uploaded.
+  const snapshot = snapshotOf(next.tasks, next.settings);
+  saveRecord("syncState", {
+    ...state,
+    rev: reply.rev,
+    joined: true,
+    shadow: state.joined ? snapshot : pick(snapshot, changes),
+  });
+  if (next.tasks !== local.tasks) saveRemote("tasks", next.tasks);
+  if (next.settings !== local.settings) saveRemote("settings", next.settings);
+
+  const sentKeys = new Set(sent.map((c) => `${keyOf(c)}@${c.updatedAt}`));
+  saveRecord(
+    "syncQueue",
+    loadQueue().filter((c) => !sentKeys.has(`${keyOf(c)}@${c.updatedAt}`))
+  );
+
+  const sessions = remote.filter((c) => c.collection === "sessions");
+  const put = sessions.filter((c) => !c.deleted).map((c) => c.data);
+  const gone = sessions.filter((c) => c.deleted).map((c) => c.id);
+  if (put.length) await putSessions(put, { origin: "sync" });
+  if (gone.length) await deleteSessions(gone, { origin: "sync" });
+}
+
+/**
+ * One sync round with the server in `config`: join the space if this device
+ * has not yet, send the queue in batches and apply what comes back.
+ */
+export async function syncRound(config) {
+  const target = targetOf(config);
+  if (loadState().target !== target) {
+    saveRecord("syncState", { ...EMPTY_STATE, target });
+    saveRecord("syncQueue", []);
+    addToQueue(historyChanges({ origin: "local", put: await querySessions() }, Date.now()));
+  }
+  for (let more = true; more; ) {
+    const state = loadState();
+    trackLocal();
+    const sent = state.joined ? loadQueue().slice(0, BATCH_SIZE) : [];
+    const reply = await request(config, { since: state.rev, changes: sent });
+    if (loadState().target !== target) return; // the settings changed meanwhile
+    await applyReply(reply, sent);
+    more = !state.joined || sent.length === BATCH_SIZE;
+  }
+}
+
+// -------------------- Status --------------------
+// state: "off" | "syncing" | "synced" | "offline" | "error"
+let status = { state: "off", pending: 0, lastSyncAt: null, error: null };
+const statusListeners = new Set();
+
+export const getSyncStatus = () => status;
+
+export function subscribeSyncStatus(fn) {
+  statusListeners.add(fn);
+  return () => statusListeners.delete(fn);
+}
+
+function setStatus(patch, share = true) {
+  status = { ...status, ...patch };
+  statusListeners.forEach((fn) => fn(status));
+  if (share) postTabMessage({ type: "sync-status", status });
+}
+
+// -------------------- Engine --------------------
+let leader = false;
+let running = false;
+let again = false;
+let delayTimer = null;
+let intervalTimer = null;
+
+async function run() {
+  const config = loadSyncConfig();
+  if (!leader || !config.enabled || !isSyncConfigured(config)) return;
+  if (running) {
+    again = true;
+    return;
+  }
+  if (navigator.onLine === false)
+    return setStatus({ state: "offline", pending: loadQueue().length });
+  running = true;
+  setStatus({ state: "syncing", pending: loadQueue().length });
+  try {
+    await syncRound(config);
+    setStatus({ state: "synced", pending: loadQueue().length, lastSyncAt: Date.now(), error: null });
+  } catch (e) {
+    setStatus({
+      state: e.offline ? "offline" : "error",
+      pending: loadQueue().length,
+      error: e.offline ? null : e.message,
+    });
+  } finally {
+    running = false;
+  }
+  if (again) {
+    again = false;
+    run();
+  }
+}
+
+function schedule() {
+  if (!leader) return;
+  if (status.state !== "off") setStatus({ pending: loadQueue().length });
+  clearTimeout(delayTimer);
+  delayTimer = setTimeout(run, SYNC_DELAY_MS);
+}
+
+function stopTimers() {
+  clearTimeout(delayTimer);
+  clearInterval(intervalTimer);
+}
+
+// (Re)start after leadership or the sync settings changed
+function restart() {
+  stopTimers();
+  if (!leader) return;
+  const config = loadSyncConfig();
+  if (!config.enabled || !isSyncConfigured(config)) {
+    // Turning sync back on joins again, uploading everything made meanwhile
+    if (loadState().target) {
+      saveRecord("syncState", EMPTY_STATE);
+      saveRecord("syncQueue", []);
+    }
+    return setStatus({ state: "off", pending: 0, error: null });
+  }
+  intervalTimer = setInterval(run, SYNC_INTERVAL_MS);
+  run();
+}
+
+function onRecordChange(name) {
+  if (!leader) return;
+  if (name === "sync") restart();
+  else if ((name === "tasks" || name === "settings") && loadSyncConfig().enabled) {
+    trackLocal();
+    schedule();
+  }
+}
+
+/** Sync as soon as possible, from whichever tab leads */
+export function syncNow() {
+  if (leader) run();
+  else postTabMessage({ type: "sync-now" });
+}
+
+/**
+ * Run sync in this tab; every tab queues its own session writes and the
+ * leading tab talks to the server. Returns a stop function.
+ */
+export function startSync() {
+  const stops = [
+    subscribeHistory((change) => {
+      if (change.origin === "tab") return schedule(); // queued by that tab
+      if (!loadSyncConfig().enabled) return;
+      addToQueue(historyChanges(change, Date.now()));
+      schedule();
+    }),
+    subscribeRecordSaves(onRecordChange),
+    onTabMessage((message) => {
+      if (message.type === "record") onRecordChange(message.name);
+      else if (message.type === "sync-status" && !leader) setStatus(message.status, false);
+      else if (message.type === "sync-now") syncNow();
+      else if (message.type === "sync-hello" && leader) setStatus({});
+    }),
+    watchLeadership((value) => {
+      leader = value;
+      if (value) restart();
+      else stopTimers();
+    }),
+  ];
+  window.addEventListener("online", run);
+  if (!leader) postTabMessage({ type: "sync-hello" });
+  return () => {
+    stops.forEach((stop) => stop());
+    window.removeEventListener("online", run);
+    stopTimers();
+    leader = false;
+  };
+}
@@ -0,0 +1,183 @@
+import { RECORDS, STORAGE_KEYS, loadRecord, saveRecord } from './storage';
+import { memoryBackend, putSessions, querySessions, setHistoryBackend } from './historyDb';
+import {
+  applyRemote,
+  diffSnapshots,
+  enqueue,
+  historyChanges,
+  remoteToApply,
+  snapshotOf,
+  syncRound,
+} from './sync';
+
+// Complete tasks, as loading the tasks record fills in the defaults
+const task = (id, extra = {}) => ({
+  ...RECORDS.tasks.itemDefaults,
+  id,
+  title: id,
+  ...extra,
+});
+
+describe('snapshots', () => {
+  test('diff finds added, edited and deleted items', () => {
+    const before = snapshotOf([task('a'), task('b')], { focusMin: 25 });
+    const after = snapshotOf([task('a', { done: true }), task('c')], { focusMin: 50 });
+    expect(diffSnapshots(before, after, 7)).toEqual([
+      { collection: 'tasks', id: 'a', data: task('a', { done: true }), updatedAt: 7 },
+      { collection: 'tasks', id: 'c', data: task('c'), updatedAt: 7 },
+      { collection: 'tasks', id: 'b', deleted: true, updatedAt: 7 },
+      { collection: 'settings', id: 'focusMin', data: { value: 50 }, updatedAt: 7 },
+    ]);
+  });
+
+  test('leaves device settings out', () => {
+    const snapshot = snapshotOf([], {
+      focusMin: 25,
+      notifications: true,
+      sounds: {},
+      shortcuts: { palette: 'Meta+KeyK' },
+    });
+    expect(Object.keys(snapshot.settings)).toEqual(['focusMin']);
+  });
+});
+
+test('turns history writes made here into items and ignores the rest', () => {
+  expect(historyChanges({ origin: 'local', put: [{ id: 's1' }], deleted: ['s2'] }, 3)).toEqual([
+    { collection: 'sessions', id: 's1', data: { id: 's1' }, updatedAt: 3 },
+    { collection: 'sessions', id: 's2', deleted: true, updatedAt: 3 },
+  ]);
+  expect(historyChanges({ origin: 'sync', put: [{ id: 's1' }] }, 3)).toEqual([]);
+  expect(historyChanges({ origin: 'prune', deleted: ['s1'] }, 3)).toEqual([]);
+});
+
+test('keeps only the latest queued change per item', () => {
+  const queue = enqueue(
+    [
+      { collection: 'tasks', id: 'a', data: task('a'), updatedAt: 1 },
+      { collection: 'tasks', id: 'b', data: task('b'), updatedAt: 1 },
+    ],
+    [{ collection: 'tasks', id: 'a', deleted: true, updatedAt: 2 }]
+  );
+  expect(queue.map((c) => [c.id, c.updatedAt])).toEqual([
+    ['b', 1],
+    ['a', 2],
+  ]);
+});
+
+test('skips remote items this device sent or changed again since', () => {
+  const remote = [
+    { collection: 'tasks', id: 'mine', data: task('mine'), updatedAt: 5 },
+    { collection: 'tasks', id: 'edited', data: task('edited'), updatedAt: 5 },
+    { collection: 'tasks', id: 'theirs', data: task('theirs'), updatedAt: 5 },
+  ];
+  const sent = [{ collection: 'tasks', id: 'mine', updatedAt: 5 }];
+  const queue = [...sent, { collection: 'tasks', id: 'edited', updatedAt: 6 }];
+  expect(remoteToApply(remote, sent, queue).map((c) => c.id)).toEqual(['theirs']);
+});
+
+test('applies remote tasks and settings', () => {
+  const local = { tasks: [task('a'), task('b')], settings: { focusMin: 25, sound: true } };
+  const next = applyRemote(local, [
+    { collection: 'tasks', id: 'a', deleted: true },
+    { collection: 'tasks', id: 'b', data: task('b', { done: true }) },
+    { collection: 'tasks', id: 'c', data: task('c') },
+    { collection: 'settings', id: 'focusMin', data: { value: 50 } },
+    { collection: 'settings', id: 'sound', data: { value: false } },
+  ]);
+  expect(next.tasks).toEqual([task('b', { done: true }), task('c')]);
+  expect(next.settings).toEqual({ focusMin: 50, sound: true });
+  expect(applyRemote(local, [])).toEqual(local);
+});
+
+describe('syncRound', () => {
+  // A stand-in for server/syncServer: newest stamp wins, changes by revision
+  let server;
+  const config = { enabled: true, serverUrl: 'http://sync.test/', space: 'team', token: 't' };
+
+  beforeEach(() => {
+    localStorage.clear();
+    setHistoryBackend(memoryBackend());
+    server = { rev: 0, items: new Map(), requests: [] };
+    global.fetch = jest.fn(async (url, { headers, body }) => {
+      const { since, changes } = JSON.parse(body);
+      server.requests.push({ url, auth: headers.Authorization, since, changes });
+      changes.forEach((c) => {
+        const key = `${c.collection}/${c.id}`;
+        const current = server.items.get(key);
+        if (current && current.updatedAt > c.updatedAt) return;
+        server.rev += 1;
+        server.items.set(key, { ...c, rev: server.rev });
+      });
+      const out = [...server.items.values()].filter((c) => c.rev > since);
+      return { ok: true, json: async () => ({ rev: server.rev, changes: out }) };
+    });
+  });
+
+  afterEach(() => delete global.fetch);
+
+  test('joins a space: its data wins, local-only data is uploaded', async () => {
+    server.items.set('tasks/shared', {
+      collection: 'tasks', id: 'shared', data: task('shared', { done: true }), updatedAt: 1, rev: 1,
+    });
+    server.items.set('settings/focusMin', {
+      collection: 'settings', id: 'focusMin', data: { value: 50 }, updatedAt: 1, rev: 2,
+    });
+    server.rev = 2;
+    saveRecord('tasks', [task('shared'), task('local')]);
+    saveRecord('settings', { focusMin: 25, longMin: 15 });
+    await putSessions([{ id: 's1', date: '2025-01-01T10:00:00.000Z', mode: 'focus' }]);
+
+    await syncRound(config);
+
+    expect(server.requests[0]).toMatchObject({
+      url: 'http://sync.test/api/spaces/team/sync',
+      auth: 'Bearer t',
+      since: 0,
+      changes: [],
+    });
+    expect(loadRecord('tasks', [])).toEqual([task('shared', { done: true }), task('local')]);
+    expect(loadRecord('settings', {})).toEqual({ focusMin: 50, longMin: 15 });
+    expect([...server.items.keys()].sort()).toEqual([
+      'sessions/s1', 'settings/focusMin', 'settings/longMin', 'tasks/local', 'tasks/shared',
+    ]);
+    expect(loadRecord('syncQueue', [])).toEqual([]);
+  });
+
+  test('sends later edits and applies remote ones', async () => {
+    saveRecord('tasks', [task('a')]);
+    await syncRound(config);
+    const rev = server.rev;
+
+    saveRecord('tasks', [task('a', { done: true })]);
+    server.rev += 1;
+    server.items.set('sessions/s9', {
+      collection: 'sessions', id: 's9', data: { id: 's9', date: '2025-01-02T10:00:00.000Z', mode: 'focus' },
+      updatedAt: 1, rev: server.rev,
+    });
+    await syncRound(config);
+
+    const last = server.requests[server.requests.length - 1];
+    expect(last.since).toBe(rev);
+    expect(last.changes).toEqual([
+      expect.objectContaining({ collection: 'tasks', id: 'a', data: task('a', { done: true }) }),
+    ]);
+    expect((await querySessions()).map((s) => s.id)).toEqual(['s9']);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.syncQueue)).data).toEqual([]);
+  });
+
+  test('keeps the queue when the server cannot be reached', async () => {
+    saveRecord('tasks', [task('a')]);
+    await syncRound(config);
+    saveRecord('tasks', []);
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await expect(syncRound(config)).rejects.toMatchObject({ offline: true });
+    expect(loadRecord('syncQueue', [])).toEqual([
+      expect.objectContaining({ collection: 'tasks', id: 'a', deleted: true }),
+    ]);
+
+    await syncRound(config);
+    expect(server.items.get('tasks/a').deleted).toBe(true);
+    expect(loadRecord('syncQueue', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Cross-tab coordination
+ *
+ * Channel: every open tab of the app shares one BroadcastChannel; browsers
+ * without it get the same messages through `storage` events on a scratch
+ * localStorage key. Messages are plain objects with a `type`:
+ *   { type: "record", name }   a storage record was saved (see
+ *                              hooks/useStoredState)
+ *   { type: "history" }        the session history was written (see
+ *                              lib/historyDb)
+ *   { type: "leader", id }     tab `id` took over as leader
+ *   { type: "leader-left" }    the leader closed
+ *   { type: "sync-…" }         multi-device sync status and requests (see
+ *                              lib/sync)
+ *
+ * Leader: exactly one tab records finished blocks, plays sounds and sends
+ * notifications. Leadership is a lease in localStorage that the leader renews
+ * every RENEW_MS; another tab takes over when it lapses (the leader was closed
+ * or frozen), and a tab the user brings to the front claims it straight away
+ * so alarms come from the tab in view. Without localStorage every tab leads,
+ * as before.
+ */
+
+const CHANNEL_NAME = "pomodoro";
+const MESSAGE_KEY = "pomodoro.tab-message";
+const LEADER_KEY = "pomodoro.leader";
+export const LEASE_MS = 5000;
+export const RENEW_MS = 2000;
+
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// -------------------- Channel --------------------
+const handlers = new Set();
+let channel;
+
+function receive(message) {
+  if (message && typeof message.type === "string") handlers.forEach((fn) => fn(message));
+}
+
+function openChannel() {
+  if (channel !== undefined) return channel;
+  channel = null;
+  if (typeof BroadcastChannel === "function") {
+    try {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = (e) => receive(e.data);
+      return channel;
+    } catch {}
+  }
+  if (typeof window !== "undefined")
+    window.addEventListener("storage", (e) => {
+      if (e.key !== MESSAGE_KEY || !e.newValue) return;
+      try {
+        receive(JSON.parse(e.newValue).message);
+      } catch {}
+    });
+  return channel;
+}
+
+/** Send `message` to the other open tabs (never to this one) */
+export function postTabMessage(message) {
+  const ch = openChannel();
+  if (ch) return ch.postMessage(message);
+  try {
+    // A nonce makes repeated messages still change the value
+    localStorage.setItem(MESSAGE_KEY, JSON.stringify({ message, nonce: Math.random() }));
+  } catch {}
+}
+
+/** Send `message` to every open tab, this one included */
+export function broadcastTabMessage(message) {
+  postTabMessage(message);
+  receive(message);
+}
+
+/** Call `fn(message)` for messages from other tabs and broadcasts; returns an unsubscribe function */
+export function onTabMessage(fn) {
+  openChannel();
+  handlers.add(fn);
+  return () => handlers.delete(fn);
+}
+
+// -------------------- Leader --------------------
+let leader = false;
+const leaderListeners = new Set();
+let stopElection = null;
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(LEADER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function setLeader(value) {
+  if (value === leader) return;
+  leader = value;
+  leaderListeners.forEach((fn) => fn(value));
+}
+
+/**
+ * Renew our lease, take over a lapsed one, or with `claim` take it from
+ * whoever holds it.
+ */
+function checkLease(claim = false) {
+  const now = Date.now();
+  const lease = readLease();
+  const ours = lease?.id === TAB_ID;
+  if (!claim && lease && !ours && lease.until > now) return setLeader(false);
+  try {
+    localStorage.setItem(LEADER_KEY, JSON.stringify({ id: TAB_ID, until: now + LEASE_MS }));
+  } catch {
+    return setLeader(true); // no storage: no other tab can coordinate either
+  }
+  // Two tabs taking over at once: the later write wins
+  const won = readLease()?.id === TAB_ID;
+  if (won && !ours) postTabMessage({ type: "leader", id: TAB_ID });
+  setLeader(won);
+}
+
+function startElection() {
+  const claim = () => document.visibilityState === "visible" && checkLease(true);
+  const unsubscribe = onTabMessage((message) => {
+    if (message.type === "leader" && message.id !== TAB_ID) setLeader(false);
+    else if (message.type === "leader-left") checkLease();
+  });
+  const leave = () => {
+    if (!leader) return;
+    try {
+      localStorage.removeItem(LEADER_KEY);
+    } catch {}
+    postTabMessage({ type: "leader-left" });
+    setLeader(false);
+  };
+  const timer = setInterval(() => checkLease(), RENEW_MS);
+  document.addEventListener("visibilitychange", claim);
+  window.addEventListener("focus", claim);
+  window.addEventListener("pagehide", leave);
+  if (document.visibilityState === "visible") checkLease(true);
+  else checkLease();
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+    document.removeEventListener("visibilitychange", claim);
+    window.removeEventListener("focus", claim);
+    window.removeEventListener("pagehide", leave);
+    leave();
+  };
+}
+
+export const isTabLeader = () => leader;
+
+/**
+ * Call `fn(isLeader)` whenever this tab gains or loses leadership. The
+ * election runs while anyone is watching; returns an unsubscribe function.
+ */
+export function watchLeadership(fn) {
+  leaderListeners.add(fn);
+  if (!stopElection) stopElection = startElection();
+  fn(leader);
+  return () => {
+    leaderListeners.delete(fn);
+    if (leaderListeners.size || !stopElection) return;
+    stopElection();
+    stopElection = null;
+  };
+}
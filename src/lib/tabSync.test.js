@@ -0,0 +1,99 @@
+import {
+  LEASE_MS,
+  RENEW_MS,
+  TAB_ID,
+  onTabMessage,
+  postTabMessage,
+  watchLeadership,
+} from './tabSync';
+
+const LEADER_KEY = 'pomodoro.leader';
+const MESSAGE_KEY = 'pomodoro.tab-message';
+
+// A message from another tab, as the storage-event fallback delivers it
+function fromOtherTab(message) {
+  window.dispatchEvent(
+    new StorageEvent('storage', { key: MESSAGE_KEY, newValue: JSON.stringify({ message }) })
+  );
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers();
+  jest.setSystemTime(Date.UTC(2025, 0, 6, 9));
+});
+afterEach(() => jest.useRealTimers());
+
+test('sends and receives messages through storage events without BroadcastChannel', () => {
+  const received = jest.fn();
+  const unsubscribe = onTabMessage(received);
+  postTabMessage({ type: 'history' });
+  expect(JSON.parse(localStorage.getItem(MESSAGE_KEY)).message).toEqual({ type: 'history' });
+
+  fromOtherTab({ type: 'record', name: 'tasks' });
+  expect(received).toHaveBeenCalledWith({ type: 'record', name: 'tasks' });
+  unsubscribe();
+  fromOtherTab({ type: 'history' });
+  expect(received).toHaveBeenCalledTimes(1);
+});
+
+test('a lone tab leads and renews its lease', () => {
+  const leader = jest.fn();
+  const stop = watchLeadership(leader);
+  expect(leader).toHaveBeenLastCalledWith(true);
+  expect(JSON.parse(localStorage.getItem(LEADER_KEY)).id).toBe(TAB_ID);
+
+  jest.advanceTimersByTime(RENEW_MS);
+  expect(JSON.parse(localStorage.getItem(LEADER_KEY)).until).toBe(Date.now() + LEASE_MS);
+  stop();
+  expect(localStorage.getItem(LEADER_KEY)).toBeNull();
+});
+
+test('steps down for another tab and takes over once its lease lapses', () => {
+  const leader = jest.fn();
+  const stop = watchLeadership(leader);
+  localStorage.setItem(LEADER_KEY, JSON.stringify({ id: 'other', until: Date.now() + LEASE_MS }));
+  fromOtherTab({ type: 'leader', id: 'other' });
+  expect(leader).toHaveBeenLastCalledWith(false);
+
+  jest.advanceTimersByTime(RENEW_MS);
+  expect(leader).toHaveBeenLastCalledWith(false);
+  jest.advanceTimersByTime(LEASE_MS);
+  expect(leader).toHaveBeenLastCalledWith(true);
+  stop();
+});
+
+describe('with another tab leading', () => {
+  let visibility;
+  beforeEach(() => {
+    localStorage.setItem(LEADER_KEY, JSON.stringify({ id: 'other', until: Date.now() + LEASE_MS }));
+    jest.spyOn(document, 'visibilityState', 'get').mockImplementation(() => visibility);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a background tab takes over straight away when the leader closes', () => {
+    visibility = 'hidden';
+    const leader = jest.fn();
+    const stop = watchLeadership(leader);
+    expect(leader).toHaveBeenLastCalledWith(false);
+    localStorage.removeItem(LEADER_KEY);
+    fromOtherTab({ type: 'leader-left' });
+    expect(leader).toHaveBeenLastCalledWith(true);
+    stop();
+  });
+
+  test('the tab in view claims leadership', () => {
+    visibility = 'hidden';
+    const leader = jest.fn();
+    const stop = watchLeadership(leader);
+    expect(leader).toHaveBeenLastCalledWith(false);
+    visibility = 'visible';
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(leader).toHaveBeenLastCalledWith(true);
+    expect(JSON.parse(localStorage.getItem(MESSAGE_KEY)).message).toEqual({
+      type: 'leader',
+      id: TAB_ID,
+    });
+    stop();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tasks
+ *
+ * A task is { id, title, pomodoros, done, estimate, project, tags, due, notes,
+ * subtasks, archived }: `estimate` is the planned number of Pomodoros (or
+ * null), `due` a local day key (YYYY-MM-DD) or null and `subtasks` a checklist
+ * of { id, title, done }. Finished tasks can be archived, which hides them
+ * everywhere except the archive view. The stored array order is the manual
+ * order that drag-to-reorder changes; filtering and sorting only affect what
+ * is shown.
+ */
+
+export const TASK_DEFAULTS = {
+  pomodoros: 0,
+  done: false,
+  estimate: null,
+  project: null,
+  tags: [],
+  due: null,
+  notes: "",
+  subtasks: [],
+  archived: false,
+};
+
+export const TASK_SORTS = {
+  manual: "Manual",
+  due: "Due date",
+  remaining: "Pomodoros left",
+  project: "Project",
+  title: "Title",
+};
+
+export const DEFAULT_TASK_VIEW = {
+  status: "all", // "open" | "done" | "all" | "archived"
+  project: "",
+  tag: "",
+  sort: "manual",
+};
+
+export function createTask(title, fields = {}) {
+  return { ...TASK_DEFAULTS, id: crypto.randomUUID(), title, ...fields };
+}
+
+// "a, b,,c " → ["a", "b", "c"] without duplicates
+export function parseTags(text) {
+  const tags = text
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+const sortedUnique = (values) =>
+  [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+export const projectsOf = (tasks) => sortedUnique(tasks.map((t) => t.project));
+
+export const tagsOf = (tasks) => sortedUnique(tasks.flatMap((t) => t.tags || []));
+
+// Pomodoros still planned (0 once the estimate is used up), or null
+export const remainingOf = (task) =>
+  task.estimate == null ? null : Math.max(0, task.estimate - (task.pomodoros || 0));
+
+// Open tasks can be selected and credited with Pomodoros
+export const isOpen = (task) => !!task && !task.done && !task.archived;
+
+// The next open task after `id` in manual order, wrapping around, or null
+export function nextOpenTask(tasks, id) {
+  const start = tasks.findIndex((t) => t.id === id);
+  for (let i = 1; i <= tasks.length; i++) {
+    const task = tasks[(start + i) % tasks.length];
+    if (task.id !== id && isOpen(task)) return task;
+  }
+  return null;
+}
+
+export function subtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  return { done: subtasks.filter((s) => s.done).length, total: subtasks.length };
+}
+
+export const archiveDone = (tasks) =>
+  tasks.map((t) => (t.done && !t.archived ? { ...t, archived: true } : t));
+
+// Put a deleted task back where it was
+export function restoreTask(tasks, task, index) {
+  const next = tasks.filter((t) => t.id !== task.id);
+  next.splice(Math.min(index, next.length), 0, task);
+  return next;
+}
+
+export function filterTasks(tasks, view) {
+  const archived = view.status === "archived";
+  return tasks.filter(
+    (t) =>
+      !!t.archived === archived &&
+      (archived || view.status === "all" || t.done === (view.status === "done")) &&
+      (!view.project || t.project === view.project) &&
+      (!view.tag || (t.tags || []).includes(view.tag))
+  );
+}
+
+// Missing values (no due date, no estimate, no project) sort last
+function byMaybe(a, b, compare) {
+  if (a == null) return b == null ? 0 : 1;
+  if (b == null) return -1;
+  return compare(a, b);
+}
+
+const COMPARATORS = {
+  due: (a, b) => byMaybe(a.due, b.due, (x, y) => x.localeCompare(y)),
+  remaining: (a, b) => byMaybe(remainingOf(a), remainingOf(b), (x, y) => x - y),
+  project: (a, b) => byMaybe(a.project, b.project, (x, y) => x.localeCompare(y)),
+  title: (a, b) => a.title.localeCompare(b.title),
+};
+
+// Stable sort; "manual" keeps the stored order
+export function sortTasks(tasks, sort) {
+  const compare = COMPARATORS[sort];
+  return compare ? [...tasks].sort(compare) : tasks;
+}
+
+// Move task `id` to where `targetId` is (dropping it onto that row)
+export function moveTask(tasks, id, targetId) {
+  const from = tasks.findIndex((t) => t.id === id);
+  const to = tasks.findIndex((t) => t.id === targetId);
+  if (from < 0 || to < 0 || from === to) return tasks;
+  const next = [...tasks];
+  const [task] = next.splice(from, 1);
+  next.splice(to, 0, task);
+  return next;
+}
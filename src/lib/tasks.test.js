@@ -0,0 +1,84 @@
+import {
+  DEFAULT_TASK_VIEW,
+  archiveDone,
+  createTask,
+  filterTasks,
+  moveTask,
+  nextOpenTask,
+  parseTags,
+  projectsOf,
+  restoreTask,
+  sortTasks,
+  subtaskProgress,
+  tagsOf,
+} from './tasks';
+
+const task = (id, fields) => ({ ...createTask(id, fields), id });
+
+const tasks = [
+  task('a', { project: 'Site', tags: ['web'], due: '2025-01-20', estimate: 4, pomodoros: 1 }),
+  task('b', { done: true, tags: ['web', 'ops'], estimate: 2, pomodoros: 2 }),
+  task('c', { project: 'Blog', due: '2025-01-10' }),
+];
+const ids = (list) => list.map((t) => t.id);
+
+test('parses comma separated tags', () => {
+  expect(parseTags(' web, ops,,web ')).toEqual(['web', 'ops']);
+  expect(projectsOf(tasks)).toEqual(['Blog', 'Site']);
+  expect(tagsOf(tasks)).toEqual(['ops', 'web']);
+});
+
+test('filters by status, project and tag', () => {
+  const view = (patch) => ({ ...DEFAULT_TASK_VIEW, ...patch });
+  expect(ids(filterTasks(tasks, view({})))).toEqual(['a', 'b', 'c']);
+  expect(ids(filterTasks(tasks, view({ status: 'open' })))).toEqual(['a', 'c']);
+  expect(ids(filterTasks(tasks, view({ status: 'done' })))).toEqual(['b']);
+  expect(ids(filterTasks(tasks, view({ project: 'Site' })))).toEqual(['a']);
+  expect(ids(filterTasks(tasks, view({ tag: 'web' })))).toEqual(['a', 'b']);
+});
+
+test('sorts with missing values last and keeps manual order', () => {
+  expect(ids(sortTasks(tasks, 'manual'))).toEqual(['a', 'b', 'c']);
+  expect(ids(sortTasks(tasks, 'due'))).toEqual(['c', 'a', 'b']);
+  expect(ids(sortTasks(tasks, 'remaining'))).toEqual(['b', 'a', 'c']);
+  expect(ids(sortTasks(tasks, 'project'))).toEqual(['c', 'a', 'b']);
+});
+
+test('moves a dropped task to the target position', () => {
+  expect(ids(moveTask(tasks, 'c', 'a'))).toEqual(['c', 'a', 'b']);
+  expect(ids(moveTask(tasks, 'a', 'c'))).toEqual(['b', 'c', 'a']);
+  expect(moveTask(tasks, 'a', 'missing')).toBe(tasks);
+});
+
+test('archived tasks only show in the archive view', () => {
+  const archived = archiveDone(tasks);
+  expect(archived.find((t) => t.id === 'b').archived).toBe(true);
+  expect(ids(filterTasks(archived, DEFAULT_TASK_VIEW))).toEqual(['a', 'c']);
+  expect(ids(filterTasks(archived, { ...DEFAULT_TASK_VIEW, status: 'archived' }))).toEqual([
+    'b',
+  ]);
+});
+
+test('finds the next open task, wrapping around', () => {
+  const list = [...tasks, task('d', { archived: true, done: true })];
+  expect(nextOpenTask(list, 'a').id).toBe('c');
+  expect(nextOpenTask(list, 'c').id).toBe('a');
+  expect(nextOpenTask(list, 'gone').id).toBe('a');
+  expect(nextOpenTask([tasks[0]], 'a')).toBeNull();
+});
+
+test('restores a deleted task at its old position', () => {
+  const without = tasks.filter((t) => t.id !== 'b');
+  expect(ids(restoreTask(without, tasks[1], 1))).toEqual(['a', 'b', 'c']);
+  expect(ids(restoreTask([], tasks[1], 5))).toEqual(['b']);
+});
+
+test('counts finished checklist items', () => {
+  const t = task('s', {
+    subtasks: [
+      { id: '1', title: 'x', done: true },
+      { id: '2', title: 'y', done: false },
+    ],
+  });
+  expect(subtaskProgress(t)).toEqual({ done: 1, total: 2 });
+});
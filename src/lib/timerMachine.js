@@ -0,0 +1,478 @@
+/**
+ * Pomodoro timer state machine
+ *
+ * A pure reducer that walks a session sequence: an ordered list of steps
+ * ({ id, label, kind, minutes, repeat, color }) where each step runs `repeat`
+ * times in a row and the sequence loops back to `loopFrom` after its last
+ * step. The classic focus/short/long cycle is just a generated sequence (see
+ * classicSequence). The machine also owns skip handling, auto-start and the
+ * session record of every finished block.
+ *
+ * Events carry the wall-clock time they happened at (`now`, epoch ms) so the
+ * machine never reads the clock itself and can be replayed in tests.
+ *
+ * Events
+ * - start            { now, taskId? }  also resumes; voids the block when it
+ *                                     was paused too long (see lib/pauses)
+ * - pause            { now, reason? }
+ * - pause-reason     { reason }        why the current pause happened
+ * - tick             { now, taskId? }  completes the block once its end passed
+ * - complete         { now, taskId? }  finish the running block naturally
+ * - skip             { now, taskId? }  end the block early, never auto-starts
+ * - reset            { stepIndex? }    restart the current (or given) step
+ * - extend           { now, minutes }  make the current block longer
+ * - set-length       { now, minutes }  change the current block's length; one
+ *                                     shorter than the time already spent
+ *                                     completes it now
+ * - snooze           { now, minutes }  after a break ended, run that break
+ *                                     again for `minutes` (see canSnooze)
+ * - jump             { now, kind }     run the next "focus" or "break" (any
+ *                                     break), "short" or "long" step now; a
+ *                                     block in progress ends as skipped
+ * - settings-changed { settings, sequence? }
+ *
+ * Every finished block sets `ended`; the component watches it to record
+ * history, play sounds and notify.
+ *
+ * Length changes are kept in `extensions` ({ at, seconds }, negative when
+ * shortened) and recorded on the session, so `planned` always is the length
+ * the block finally had.
+ */
+
+import { exceedsPauseLimit, sessionPauses } from "./pauses";
+
+/** @typedef {"focus"|"short"|"long"} Mode */
+
+// A block whose end passed this long ago was missed (tab closed, machine asleep)
+export const MISSED_END_MS = 60 * 1000;
+
+export const CLASSIC_SEQUENCE_ID = "classic";
+
+export const KIND_LABELS = {
+  focus: "Focus",
+  short: "Short Break",
+  long: "Long Break",
+};
+
+export const KIND_COLORS = {
+  focus: "#ef4444",
+  short: "#22c55e",
+  long: "#3b82f6",
+};
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+const makeStep = (id, kind, minutes) => ({
+  id,
+  label: KIND_LABELS[kind],
+  kind,
+  minutes,
+  repeat: 1,
+  color: KIND_COLORS[kind],
+});
+
+// Focus and short breaks, with a long break after every longInterval blocks
+export function classicSequence(settings) {
+  const interval = clamp(settings.longInterval, 2, 12);
+  const steps = [];
+  for (let i = 1; i <= interval; i++) {
+    steps.push(makeStep(`focus-${i}`, "focus", settings.focusMin));
+    steps.push(
+      i < interval
+        ? makeStep(`short-${i}`, "short", settings.shortMin)
+        : makeStep("long", "long", settings.longMin)
+    );
+  }
+  return { id: CLASSIC_SEQUENCE_ID, name: "Classic", steps, loopFrom: 0 };
+}
+
+// Fill in missing or out-of-range step fields so the machine can trust them
+export function normalizeSequence(sequence) {
+  const steps = (sequence.steps || []).map((s, i) => {
+    const kind = s.kind in KIND_LABELS ? s.kind : "focus";
+    return {
+      id: s.id || `step-${i + 1}`,
+      label: s.label || KIND_LABELS[kind],
+      kind,
+      minutes: clamp(Math.round(s.minutes) || 1, 1, 180),
+      repeat: clamp(Math.round(s.repeat) || 1, 1, 20),
+      color: s.color || KIND_COLORS[kind],
+    };
+  });
+  if (!steps.length) steps.push(makeStep("focus-1", "focus", 25));
+  return {
+    ...sequence,
+    steps,
+    loopFrom: clamp(sequence.loopFrom || 0, 0, steps.length - 1),
+  };
+}
+
+// Position after the given one: next repetition, next step, or the loop start
+export function nextPosition(sequence, stepIndex, rep) {
+  const step = sequence.steps[stepIndex];
+  if (step && rep + 1 < step.repeat) return { stepIndex, rep: rep + 1 };
+  if (stepIndex + 1 < sequence.steps.length)
+    return { stepIndex: stepIndex + 1, rep: 0 };
+  return { stepIndex: sequence.loopFrom, rep: 0 };
+}
+
+// Position of the block after the current one. A block still running from
+// before a sequence switch (or at a position the sequence no longer has) is
+// followed by the first step.
+function positionAfter(state) {
+  if (state.fromFirstStep || !state.sequence.steps[state.stepIndex])
+    return { stepIndex: 0, rep: 0 };
+  return nextPosition(state.sequence, state.stepIndex, state.rep);
+}
+
+// Step that runs after the current block
+export function upcomingStep(state) {
+  return state.sequence.steps[positionAfter(state).stepIndex];
+}
+
+// Whether a block of `mode` is of `kind` ("break" matches either break)
+const isOfKind = (mode, kind) => (kind === "break" ? mode !== "focus" : mode === kind);
+
+// Position of the next step of `kind`, starting with `pos`; null if the
+// sequence has none
+function positionOfKind(sequence, pos, kind) {
+  const limit = sequence.steps.reduce((n, s) => n + s.repeat, 0);
+  for (let i = 0; i <= limit; i++) {
+    const step = sequence.steps[pos.stepIndex];
+    if (step && isOfKind(step.kind, kind)) return pos;
+    pos = nextPosition(sequence, pos.stepIndex, pos.rep);
+  }
+  return null;
+}
+
+// A break can be snoozed until this much of the focus block after it ran
+export const SNOOZE_WINDOW_MS = 5 * 60 * 1000;
+
+// Net seconds added to a block or session by length changes
+export const extendedSecondsOf = (entry) =>
+  (entry.extensions || []).reduce((sum, e) => sum + e.seconds, 0);
+
+// Remaining seconds, measured against the wall clock while running
+export function remainingSeconds(state, now) {
+  if (!state.isRunning) return state.remaining;
+  return Math.max(0, Math.ceil((state.endsAt - now) / 1000));
+}
+
+// Idle state positioned at the start of a step (the first one when the
+// position is out of range)
+function enter(state, stepIndex, rep) {
+  if (!state.sequence.steps[stepIndex]) [stepIndex, rep] = [0, 0];
+  const step = state.sequence.steps[stepIndex];
+  const planned = step.minutes * 60;
+  return {
+    ...state,
+    stepIndex,
+    rep,
+    mode: step.kind,
+    label: step.label,
+    color: step.color,
+    isRunning: false,
+    endsAt: null,
+    remaining: planned,
+    planned,
+    pauses: [],
+    extensions: [],
+    snooze: false,
+    fromFirstStep: false,
+  };
+}
+
+export function initialTimerState(settings, sequence = null) {
+  const base = {
+    sequence: normalizeSequence(sequence || classicSequence(settings)),
+    autoStartNext: settings.autoStartNext,
+    voidAfterPauseMin: settings.voidAfterPauseMin ?? null,
+    completedFocusBlocks: 0,
+    taskId: null,
+    ended: null, // { id, mode, label, skipped, missed, voided, session }
+  };
+  return enter(base, 0, 0);
+}
+
+// Session record of the current block ending at `endedAt`, or null if no
+// time was spent in it
+function sessionOf(state, { endedAt, skipped, voided, taskId }) {
+  const actual = state.planned - remainingSeconds(state, endedAt);
+  if (actual <= 0) return null;
+  const pauses = state.pauses || [];
+  return {
+    id: `${endedAt}-${state.mode}`,
+    date: new Date(endedAt).toISOString(),
+    mode: state.mode,
+    label: state.label,
+    seconds: actual,
+    planned: state.planned,
+    skipped,
+    taskId: state.mode === "focus" ? taskId : null,
+    ...(pauses.length && { pauses: sessionPauses(pauses, endedAt) }),
+    ...(state.extensions?.length && {
+      extensions: state.extensions.map((e) => ({
+        at: new Date(e.at).toISOString(),
+        seconds: e.seconds,
+      })),
+    }),
+    ...(state.snooze && { snooze: true }),
+    ...(voided && { voided: true }),
+  };
+}
+
+const isVoid = (state, now) =>
+  state.mode === "focus" &&
+  exceedsPauseLimit(state.pauses || [], state.voidAfterPauseMin, now);
+
+function finish(state, { endedAt, now, skipped, taskId }) {
+  const missed = now - endedAt >= MISSED_END_MS;
+  const id = `${endedAt}-${state.mode}`;
+  const voided = isVoid(state, endedAt);
+  const session = sessionOf(state, { endedAt, skipped, voided, taskId });
+
+  const { stepIndex, rep } = positionAfter(state);
+  const next = enter(state, stepIndex, rep);
+  // A block recovered after the app was closed never auto-starts the next one;
+  // otherwise the next block starts exactly when this one ended.
+  const autoStart = state.autoStartNext && !skipped && !missed;
+  return {
+    ...next,
+    isRunning: autoStart,
+    endsAt: autoStart ? endedAt + next.planned * 1000 : null,
+    completedFocusBlocks:
+      state.completedFocusBlocks + (state.mode === "focus" ? 1 : 0),
+    taskId,
+    ended: {
+      id,
+      mode: state.mode,
+      label: state.label,
+      stepIndex: state.stepIndex,
+      rep: state.rep,
+      skipped,
+      missed,
+      voided,
+      session,
+    },
+  };
+}
+
+// Resuming a block paused for too long records it as void and starts the
+// same step over
+function restartVoided(state, { now, taskId }) {
+  const session = sessionOf(state, { endedAt: now, skipped: false, voided: true, taskId });
+  const fresh = enter(state, state.stepIndex, state.rep);
+  return {
+    ...fresh,
+    isRunning: true,
+    endsAt: now + fresh.planned * 1000,
+    taskId,
+    ended: {
+      id: `${now}-${state.mode}`,
+      mode: state.mode,
+      label: state.label,
+      skipped: false,
+      missed: false,
+      voided: true,
+      session,
+    },
+  };
+}
+
+// Close the open pause, if any, at `now`
+const resumePauses = (pauses = [], now) =>
+  pauses.map((p) => (p.until == null ? { ...p, until: now } : p));
+
+function changeSequence(state, sequence) {
+  const same = sequence.id === state.sequence.id;
+  const stepIndex = same ? clamp(state.stepIndex, 0, sequence.steps.length - 1) : 0;
+  const rep = same ? clamp(state.rep, 0, sequence.steps[stepIndex].repeat - 1) : 0;
+  if (state.isRunning) {
+    // A running block keeps its length; a different sequence starts from its
+    // first step once this block ends.
+    return {
+      ...state,
+      sequence,
+      stepIndex,
+      rep,
+      fromFirstStep: !same || !!state.fromFirstStep || !state.sequence.steps[state.stepIndex],
+    };
+  }
+  const entered = enter({ ...state, sequence }, stepIndex, rep);
+  // Keep the progress (and any length change) of a paused block whose step
+  // did not change
+  const unchanged =
+    (state.snooze || entered.planned === state.planned - extendedSecondsOf(state)) &&
+    entered.mode === state.mode &&
+    entered.label === state.label;
+  return unchanged
+    ? {
+        ...entered,
+        planned: state.planned,
+        remaining: state.remaining,
+        pauses: state.pauses || [],
+        extensions: state.extensions || [],
+        snooze: !!state.snooze,
+      }
+    : entered;
+}
+
+const taskOf = (state, action) =>
+  action.taskId !== undefined ? action.taskId : state.taskId;
+
+// Add `seconds` (maybe negative) to the current block's length
+function adjust(state, seconds, now) {
+  return {
+    ...state,
+    planned: state.planned + seconds,
+    remaining: state.isRunning ? state.remaining : state.remaining + seconds,
+    endsAt: state.isRunning ? state.endsAt + seconds * 1000 : state.endsAt,
+    extensions: [...(state.extensions || []), { at: now, seconds }],
+  };
+}
+
+/**
+ * Whether the break that just ended can be snoozed: the focus block after it
+ * has not been paused and ran less than SNOOZE_WINDOW_MS.
+ */
+export function canSnooze(state, now) {
+  const { ended } = state;
+  if (!ended || ended.mode === "focus" || ended.skipped || ended.voided) return false;
+  if (!state.sequence.steps[ended.stepIndex]) return false;
+  if (state.mode !== "focus" || state.pauses?.length) return false;
+  const spent = state.planned - remainingSeconds(state, now);
+  return spent * 1000 < SNOOZE_WINDOW_MS;
+}
+
+export function timerReducer(state, action) {
+  switch (action.type) {
+    case "start": {
+      if (state.isRunning) return state;
+      const taskId = taskOf(state, action);
+      if (isVoid(state, action.now))
+        return restartVoided(state, { now: action.now, taskId });
+      return {
+        ...state,
+        isRunning: true,
+        endsAt: action.now + state.remaining * 1000,
+        taskId,
+        pauses: resumePauses(state.pauses, action.now),
+      };
+    }
+    case "pause":
+      if (!state.isRunning) return state;
+      return {
+        ...state,
+        isRunning: false,
+        endsAt: null,
+        remaining: remainingSeconds(state, action.now),
+        pauses: [
+          ...(state.pauses || []),
+          { at: action.now, until: null, reason: action.reason ?? null },
+        ],
+      };
+    case "pause-reason": {
+      const pauses = [...(state.pauses || [])];
+      if (!pauses.length) return state;
+      pauses[pauses.length - 1] = { ...pauses[pauses.length - 1], reason: action.reason };
+      return { ...state, pauses };
+    }
+    case "tick":
+      if (!state.isRunning || action.now < state.endsAt) return state;
+      return finish(state, {
+        endedAt: state.endsAt,
+        now: action.now,
+        skipped: false,
+        taskId: taskOf(state, action),
+      });
+    case "complete":
+      return finish(state, {
+        endedAt: state.isRunning ? Math.min(action.now, state.endsAt) : action.now,
+        now: action.now,
+        skipped: false,
+        taskId: taskOf(state, action),
+      });
+    case "skip":
+      return finish(state, {
+        endedAt: action.now,
+        now: action.now,
+        skipped: true,
+        taskId: taskOf(state, action),
+      });
+    case "extend": {
+      const secs = Math.round(action.minutes * 60);
+      if (!(secs > 0)) return state;
+      return adjust(state, secs, action.now);
+    }
+    case "set-length": {
+      const target = clamp(Math.round(action.minutes * 60), 60, 180 * 60);
+      if (!(target > 0) || target === state.planned) return state;
+      const spent = state.planned - remainingSeconds(state, action.now);
+      if (target > spent) return adjust(state, target - state.planned, action.now);
+      // Ends right now, as long as it has run
+      return timerReducer(adjust(state, spent - state.planned, action.now), {
+        ...action,
+        type: "complete",
+      });
+    }
+    case "snooze": {
+      const secs = Math.round(action.minutes * 60);
+      if (!(secs > 0) || !canSnooze(state, action.now)) return state;
+      const { stepIndex, rep } = state.ended;
+      return {
+        ...enter(state, stepIndex, rep),
+        planned: secs,
+        remaining: secs,
+        isRunning: true,
+        endsAt: action.now + secs * 1000,
+        snooze: true,
+      };
+    }
+    case "jump": {
+      if (isOfKind(state.mode, action.kind))
+        return timerReducer(state, { ...action, type: "start" });
+      if (!positionOfKind(state.sequence, positionAfter(state), action.kind)) return state;
+      const taskId = taskOf(state, action);
+      const inProgress = state.isRunning || state.remaining < state.planned;
+      // Finishing the block moves on to the position after it
+      const base = inProgress
+        ? finish(state, { endedAt: action.now, now: action.now, skipped: true, taskId })
+        : state;
+      const target = positionOfKind(
+        base.sequence,
+        inProgress ? base : positionAfter(base),
+        action.kind
+      );
+      const next = enter(base, target.stepIndex, target.rep);
+      return {
+        ...next,
+        isRunning: true,
+        endsAt: action.now + next.planned * 1000,
+        taskId,
+      };
+    }
+    case "reset": {
+      const stepIndex =
+        action.stepIndex !== undefined
+          ? clamp(action.stepIndex, 0, state.sequence.steps.length - 1)
+          : Math.max(0, state.stepIndex);
+      const rep = action.stepIndex !== undefined ? 0 : state.rep;
+      return enter(state, stepIndex, rep);
+    }
+    case "settings-changed": {
+      const sequence = normalizeSequence(
+        action.sequence || classicSequence(action.settings)
+      );
+      return changeSequence(
+        {
+          ...state,
+          autoStartNext: action.settings.autoStartNext,
+          voidAfterPauseMin: action.settings.voidAfterPauseMin ?? null,
+        },
+        sequence
+      );
+    }
+    default:
+      return state;
+  }
+}
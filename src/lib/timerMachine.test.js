@@ -0,0 +1,482 @@
+import {
+  MISSED_END_MS,
+  canSnooze,
+  classicSequence,
+  extendedSecondsOf,
+  initialTimerState,
+  remainingSeconds,
+  timerReducer,
+  upcomingStep,
+} from './timerMachine';
+
+const settings = {
+  focusMin: 25,
+  shortMin: 5,
+  longMin: 15,
+  longInterval: 4,
+  autoStartNext: true,
+};
+const T0 = Date.UTC(2025, 0, 6, 9, 0, 0);
+const MIN = 60 * 1000;
+
+const run = (state, ...actions) => actions.reduce(timerReducer, state);
+
+// Start the current block and let it run to its end
+function completeBlock(state, now) {
+  const started = state.isRunning
+    ? state
+    : timerReducer(state, { type: 'start', now });
+  return timerReducer(started, { type: 'tick', now: started.endsAt });
+}
+
+describe('timerReducer', () => {
+  test('starts, pauses and resumes against the wall clock', () => {
+    let s = run(initialTimerState(settings), { type: 'start', now: T0 });
+    expect(s.isRunning).toBe(true);
+    expect(s.endsAt).toBe(T0 + 25 * MIN);
+    expect(remainingSeconds(s, T0 + 10 * MIN)).toBe(15 * 60);
+
+    s = run(s, { type: 'pause', now: T0 + 10 * MIN });
+    expect(s.isRunning).toBe(false);
+    expect(s.remaining).toBe(15 * 60);
+
+    s = run(s, { type: 'start', now: T0 + 60 * MIN });
+    expect(s.endsAt).toBe(T0 + 75 * MIN);
+  });
+
+  test('ticks before the end time leave the state untouched', () => {
+    const s = run(initialTimerState(settings), { type: 'start', now: T0 });
+    expect(timerReducer(s, { type: 'tick', now: T0 + 24 * MIN })).toBe(s);
+  });
+
+  test('takes a long break after every longInterval focus blocks', () => {
+    let s = initialTimerState(settings);
+    const modes = [];
+    let now = T0;
+    for (let i = 0; i < 12; i++) {
+      s = completeBlock(s, now);
+      now = s.endsAt || now;
+      modes.push(s.mode);
+    }
+    expect(modes).toEqual([
+      'short', 'focus', 'short', 'focus', 'short', 'focus', 'long', 'focus',
+      'short', 'focus', 'short', 'focus',
+    ]);
+    expect(s.completedFocusBlocks).toBe(6);
+  });
+
+  test('natural completion records the full block and auto-starts', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0, taskId: 'task-1' },
+      { type: 'tick', now: T0 + 25 * MIN + 200 }
+    );
+    expect(s.ended.session).toMatchObject({
+      mode: 'focus',
+      seconds: 25 * 60,
+      planned: 25 * 60,
+      skipped: false,
+      taskId: 'task-1',
+      date: new Date(T0 + 25 * MIN).toISOString(),
+    });
+    expect(s.mode).toBe('short');
+    expect(s.isRunning).toBe(true);
+    // The break starts exactly when the focus block ended
+    expect(s.endsAt).toBe(T0 + 30 * MIN);
+  });
+
+  test('skip records the partial block and does not auto-start', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'skip', now: T0 + 10 * MIN }
+    );
+    expect(s.ended.skipped).toBe(true);
+    expect(s.ended.session.seconds).toBe(10 * 60);
+    expect(s.mode).toBe('short');
+    expect(s.isRunning).toBe(false);
+    expect(s.completedFocusBlocks).toBe(1);
+  });
+
+  test('skipping an untouched block records no session', () => {
+    const s = run(initialTimerState(settings), { type: 'skip', now: T0 });
+    expect(s.ended.session).toBeNull();
+    expect(s.mode).toBe('short');
+  });
+
+  test('complete finishes the running block now', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'complete', now: T0 + 20 * MIN }
+    );
+    expect(s.ended.skipped).toBe(false);
+    expect(s.ended.session.seconds).toBe(20 * 60);
+    expect(s.isRunning).toBe(true);
+  });
+
+  test('a block that ended while the app was closed is recorded but not chained', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'tick', now: T0 + 25 * MIN + MISSED_END_MS + 1 }
+    );
+    expect(s.ended.missed).toBe(true);
+    expect(s.ended.session.date).toBe(new Date(T0 + 25 * MIN).toISOString());
+    expect(s.isRunning).toBe(false);
+  });
+
+  test('breaks are not credited to a task', () => {
+    let s = completeBlock(initialTimerState(settings), T0);
+    s = run(s, { type: 'tick', now: s.endsAt, taskId: 'task-1' });
+    expect(s.ended.mode).toBe('short');
+    expect(s.ended.session.taskId).toBeNull();
+  });
+
+  test('reset returns to a fresh block of the requested step', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'reset', stepIndex: 7 }
+    );
+    expect(s).toMatchObject({
+      mode: 'long',
+      isRunning: false,
+      remaining: 15 * 60,
+      planned: 15 * 60,
+    });
+  });
+});
+
+describe('settings changes', () => {
+  test('apply immediately while idle', () => {
+    const s = run(initialTimerState(settings), {
+      type: 'settings-changed',
+      settings: { ...settings, focusMin: 50 },
+    });
+    expect(s.remaining).toBe(50 * 60);
+    expect(s.planned).toBe(50 * 60);
+  });
+
+  test('keep the running block and apply from the next one', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'settings-changed', settings: { ...settings, focusMin: 50, shortMin: 10 } }
+    );
+    expect(s.endsAt).toBe(T0 + 25 * MIN);
+    expect(s.planned).toBe(25 * 60);
+
+    s = run(s, { type: 'tick', now: T0 + 25 * MIN });
+    expect(s.ended.session.seconds).toBe(25 * 60);
+    expect(s.planned).toBe(10 * 60);
+  });
+
+  test('a new long-break interval changes the cadence mid-cycle', () => {
+    let s = initialTimerState(settings);
+    s = completeBlock(s, T0); // focus 1 -> short
+    s = completeBlock(s, s.endsAt); // short -> focus
+    s = run(s, { type: 'settings-changed', settings: { ...settings, longInterval: 2 } });
+    s = completeBlock(s, s.endsAt); // focus 2 -> long
+    expect(s.mode).toBe('long');
+  });
+
+  test('turning auto-start off stops the cycle after the current block', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'settings-changed', settings: { ...settings, autoStartNext: false } },
+      { type: 'tick', now: T0 + 25 * MIN }
+    );
+    expect(s.mode).toBe('short');
+    expect(s.isRunning).toBe(false);
+  });
+});
+
+describe('custom sequences', () => {
+  const step = (kind, minutes, extra = {}) => ({ kind, minutes, ...extra });
+  const deepWork = {
+    id: 'deep',
+    name: 'Deep work',
+    steps: [
+      step('focus', 15, { label: 'Warm-up' }),
+      step('short', 5),
+      step('focus', 90, { label: 'Deep work', repeat: 2 }),
+      step('long', 20),
+    ],
+    loopFrom: 2,
+  };
+
+  test('walks steps, repeats and loops back to loopFrom', () => {
+    let s = initialTimerState({ ...settings, autoStartNext: false }, deepWork);
+    const seen = [];
+    let now = T0;
+    for (let i = 0; i < 7; i++) {
+      seen.push(`${s.label}/${s.planned / 60}`);
+      s = completeBlock(s, now);
+      now += s.planned * 1000;
+    }
+    expect(seen).toEqual([
+      'Warm-up/15',
+      'Short Break/5',
+      'Deep work/90',
+      'Deep work/90',
+      'Long Break/20',
+      'Deep work/90',
+      'Deep work/90',
+    ]);
+  });
+
+  test('sessions carry the step label', () => {
+    const s = completeBlock(initialTimerState(settings, deepWork), T0);
+    expect(s.ended.session).toMatchObject({ mode: 'focus', label: 'Warm-up' });
+  });
+
+  test('switching sequence while idle jumps to its first step', () => {
+    let s = completeBlock(initialTimerState({ ...settings, autoStartNext: false }), T0);
+    expect(s.mode).toBe('short');
+    s = run(s, { type: 'settings-changed', settings, sequence: deepWork });
+    expect(s).toMatchObject({ stepIndex: 0, label: 'Warm-up', planned: 15 * 60 });
+  });
+
+  test('switching sequence while running takes effect after the block', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'settings-changed', settings, sequence: deepWork }
+    );
+    expect(s.planned).toBe(25 * 60);
+    s = run(s, { type: 'tick', now: T0 + 25 * MIN });
+    expect(s).toMatchObject({ stepIndex: 0, label: 'Warm-up' });
+  });
+
+  test('settings can change again before the block started under another sequence ends', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'settings-changed', settings, sequence: deepWork },
+      { type: 'settings-changed', settings: { ...settings, autoStartNext: false }, sequence: deepWork }
+    );
+    expect(s).toMatchObject({ mode: 'focus', planned: 25 * 60, isRunning: true });
+    expect(upcomingStep(s).label).toBe('Warm-up');
+    s = run(s, { type: 'tick', now: T0 + 25 * MIN });
+    expect(s).toMatchObject({ stepIndex: 0, label: 'Warm-up', fromFirstStep: false });
+  });
+
+  test('jumping after a sequence switch moves on within the new sequence', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'settings-changed', settings, sequence: deepWork }
+    );
+    expect(run(s, { type: 'jump', kind: 'focus', now: T0 + MIN })).toBe(s);
+    s = run(s, { type: 'jump', kind: 'break', now: T0 + 10 * MIN });
+    expect(s.ended).toMatchObject({ mode: 'focus', skipped: true });
+    expect(s).toMatchObject({ mode: 'short', stepIndex: 1, isRunning: true });
+  });
+
+  test('a stored position the sequence does not have restarts it', () => {
+    const s = { ...run(initialTimerState(settings), { type: 'start', now: T0 }), stepIndex: -1 };
+    expect(run(s, { type: 'settings-changed', settings })).toMatchObject({ stepIndex: 0, fromFirstStep: true });
+    expect(run(s, { type: 'jump', kind: 'break', now: T0 + MIN })).toMatchObject({ mode: 'short', stepIndex: 1 });
+    expect(run(s, { type: 'tick', now: T0 + 25 * MIN })).toMatchObject({ stepIndex: 0, mode: 'focus' });
+  });
+
+  test('the classic sequence follows the long-break interval', () => {
+    const kinds = classicSequence({ ...settings, longInterval: 3 }).steps.map(
+      (st) => st.kind
+    );
+    expect(kinds).toEqual(['focus', 'short', 'focus', 'short', 'focus', 'long']);
+  });
+});
+
+describe('pauses', () => {
+  test('are recorded with their reason on the finished session', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'pause', now: T0 + 5 * MIN },
+      { type: 'pause-reason', reason: 'external' },
+      { type: 'start', now: T0 + 7 * MIN },
+      { type: 'pause', now: T0 + 10 * MIN },
+      { type: 'start', now: T0 + 11 * MIN }
+    );
+    expect(s.pauses).toEqual([
+      { at: T0 + 5 * MIN, until: T0 + 7 * MIN, reason: 'external' },
+      { at: T0 + 10 * MIN, until: T0 + 11 * MIN, reason: null },
+    ]);
+    s = run(s, { type: 'tick', now: s.endsAt });
+    expect(s.pauses).toEqual([]);
+    expect(s.ended.voided).toBe(false);
+    expect(s.ended.session.seconds).toBe(25 * 60);
+    expect(s.ended.session.pauses).toEqual([
+      { at: new Date(T0 + 5 * MIN).toISOString(), seconds: 120, reason: 'external' },
+      { at: new Date(T0 + 10 * MIN).toISOString(), seconds: 60, reason: null },
+    ]);
+  });
+
+  test('void a focus block paused past the limit and restart it on resume', () => {
+    const strict = { ...settings, voidAfterPauseMin: 10 };
+    let s = run(
+      initialTimerState(strict),
+      { type: 'start', now: T0 },
+      { type: 'pause', now: T0 + 5 * MIN },
+      { type: 'start', now: T0 + 15 * MIN, taskId: 't1' }
+    );
+    expect(s).toMatchObject({ mode: 'focus', isRunning: true, endsAt: T0 + 40 * MIN });
+    expect(s.pauses).toEqual([]);
+    expect(s.completedFocusBlocks).toBe(0);
+    expect(s.ended).toMatchObject({ voided: true, skipped: false });
+    expect(s.ended.session).toMatchObject({
+      seconds: 5 * 60,
+      voided: true,
+      taskId: 't1',
+      pauses: [{ seconds: 600, reason: null }],
+    });
+  });
+
+  test('shorter pauses and breaks are never void', () => {
+    const strict = { ...settings, voidAfterPauseMin: 10 };
+    let s = run(
+      initialTimerState(strict),
+      { type: 'start', now: T0 },
+      { type: 'pause', now: T0 + 5 * MIN },
+      { type: 'start', now: T0 + 14 * MIN }
+    );
+    expect(s.endsAt).toBe(T0 + 34 * MIN);
+    s = run(s, { type: 'tick', now: s.endsAt });
+    expect(s.ended.session).not.toHaveProperty('voided');
+
+    s = run(s, { type: 'pause', now: s.endsAt + MIN }, { type: 'start', now: s.endsAt + 60 * MIN });
+    expect(s.mode).toBe('short');
+    expect(s.ended.mode).toBe('focus');
+  });
+});
+
+describe('extend', () => {
+  test('adds time to the running or idle block and to the recorded plan', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'extend', minutes: 5, now: T0 + MIN }
+    );
+    expect(s.endsAt).toBe(T0 + 30 * MIN);
+    s = run(s, { type: 'tick', now: s.endsAt });
+    expect(s.ended.session).toMatchObject({
+      seconds: 30 * 60,
+      planned: 30 * 60,
+      extensions: [{ at: new Date(T0 + MIN).toISOString(), seconds: 300 }],
+    });
+
+    s = run(s, { type: 'pause', now: T0 + 31 * MIN }, { type: 'extend', minutes: 5, now: T0 + 32 * MIN });
+    expect(s.remaining).toBe(9 * 60);
+    expect(s.planned).toBe(10 * 60);
+    expect(extendedSecondsOf(s)).toBe(300);
+    expect(run(s, { type: 'extend', minutes: 0 })).toBe(s);
+  });
+
+  test('keeps the length change of a paused block across settings changes', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'extend', minutes: 5, now: T0 + MIN },
+      { type: 'pause', now: T0 + 2 * MIN },
+      { type: 'settings-changed', settings: { ...settings, autoStartNext: false } }
+    );
+    expect(s).toMatchObject({ planned: 30 * 60, remaining: 28 * 60 });
+    s = run(s, { type: 'settings-changed', settings: { ...settings, focusMin: 50 } });
+    expect(s).toMatchObject({ planned: 50 * 60, remaining: 50 * 60, extensions: [] });
+  });
+});
+
+describe('set-length', () => {
+  test('lengthens or shortens the block in progress', () => {
+    let s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'set-length', minutes: 15, now: T0 + 5 * MIN }
+    );
+    expect(s).toMatchObject({ planned: 15 * 60, endsAt: T0 + 15 * MIN, isRunning: true });
+    s = run(s, { type: 'set-length', minutes: 40, now: T0 + 6 * MIN });
+    expect(s.endsAt).toBe(T0 + 40 * MIN);
+    expect(extendedSecondsOf(s)).toBe(15 * 60);
+  });
+
+  test('completes the block when it is shorter than the time spent', () => {
+    const s = run(
+      initialTimerState(settings),
+      { type: 'start', now: T0 },
+      { type: 'set-length', minutes: 10, now: T0 + 12 * MIN }
+    );
+    expect(s.mode).toBe('short');
+    expect(s.ended).toMatchObject({ mode: 'focus', skipped: false });
+    expect(s.ended.session).toMatchObject({ seconds: 12 * 60, planned: 12 * 60 });
+    expect(s.completedFocusBlocks).toBe(1);
+  });
+});
+
+describe('snooze', () => {
+  const afterBreak = () => {
+    let s = completeBlock(initialTimerState(settings), T0);
+    s = completeBlock(s, s.endsAt); // the short break; focus auto-starts
+    return s;
+  };
+
+  test('runs the break that just ended again', () => {
+    let s = afterBreak();
+    const breakEnd = s.ended.session.date;
+    const now = Date.parse(breakEnd) + MIN;
+    expect(canSnooze(s, now)).toBe(true);
+    s = run(s, { type: 'snooze', minutes: 5, now });
+    expect(s).toMatchObject({ mode: 'short', planned: 300, isRunning: true, snooze: true });
+    s = run(s, { type: 'tick', now: now + 5 * MIN });
+    expect(s.ended.session).toMatchObject({ mode: 'short', seconds: 300, snooze: true });
+    expect(s).toMatchObject({ mode: 'focus', stepIndex: 2, snooze: false });
+  });
+
+  test('is only offered shortly after a break ended', () => {
+    const s = afterBreak();
+    const end = Date.parse(s.ended.session.date);
+    expect(canSnooze(s, end + 6 * MIN)).toBe(false);
+    expect(run(s, { type: 'snooze', minutes: 5, now: end + 6 * MIN })).toBe(s);
+    expect(canSnooze(run(s, { type: 'pause', now: end + MIN }), end + MIN)).toBe(false);
+    expect(canSnooze(completeBlock(initialTimerState(settings), T0), T0 + 26 * MIN)).toBe(false);
+  });
+});
+
+describe('jump', () => {
+  test('starts the next break, ending the focus block in progress as skipped', () => {
+    let s = run(initialTimerState(settings), { type: 'start', now: T0 });
+    s = run(s, { type: 'jump', kind: 'break', now: T0 + 10 * MIN });
+    expect(s.ended).toMatchObject({ mode: 'focus', skipped: true });
+    expect(s.ended.session.seconds).toBe(10 * 60);
+    expect(s).toMatchObject({ mode: 'short', isRunning: true, endsAt: T0 + 15 * MIN });
+    expect(s.completedFocusBlocks).toBe(1);
+  });
+
+  test('starts the current block when it is already of that kind', () => {
+    const s = run(initialTimerState(settings), { type: 'jump', kind: 'focus', now: T0 });
+    expect(s).toMatchObject({ mode: 'focus', stepIndex: 0, isRunning: true, ended: null });
+  });
+
+  test('moves past an untouched block without recording it', () => {
+    let s = completeBlock(initialTimerState({ ...settings, autoStartNext: false }), T0);
+    const ended = s.ended;
+    s = run(s, { type: 'jump', kind: 'focus', now: T0 + 30 * MIN });
+    expect(s.ended).toBe(ended);
+    expect(s).toMatchObject({ mode: 'focus', stepIndex: 2, isRunning: true });
+  });
+
+  test('runs a long break past the short ones', () => {
+    const s = run(initialTimerState(settings), { type: 'jump', kind: 'long', now: T0 });
+    expect(s).toMatchObject({ mode: 'long', isRunning: true, endsAt: T0 + settings.longMin * MIN });
+  });
+
+  test('ignores a kind the sequence does not have', () => {
+    const s = initialTimerState(settings, {
+      id: 'solo',
+      steps: [{ kind: 'focus', minutes: 50 }],
+    });
+    expect(run(s, { type: 'jump', kind: 'break', now: T0 })).toBe(s);
+  });
+});
@@ -3,3 +3,18 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// react-router needs TextEncoder, which jsdom does not provide
+import { TextEncoder, TextDecoder } from 'util';
+
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// recharts' ResponsiveContainer observes its size; jsdom has no layout
+global.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// Ids are made with crypto.randomUUID, which jsdom does not provide
+if (!global.crypto) global.crypto = require('crypto').webcrypto;